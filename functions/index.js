@@ -0,0 +1,156 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getDownloadURL, getStorage } from 'firebase-admin/storage';
+import { FieldValue, getFirestore } from 'firebase-admin/firestore';
+import { onDocumentCreated, onDocumentDeleted, onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { projectSearchTokens } from './search.js';
+
+initializeApp();
+
+const ROLES = ['MANAGER', 'DESIGNER', 'ENGINEER', 'GUEST'];
+
+// users 文档中的 role 是角色的唯一来源；写入后同步到 custom claims，供 firestore.rules / storage.rules 判断。
+// canPurge (彻底删除权限，只能在控制台设置) 同步为 claim purge。完成后更新 claimsUpdatedAt，客户端据此刷新 ID token。
+export const syncRoleClaims = onDocumentWritten('artifacts/{appId}/public/data/users/{uid}', async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  if (!after || (before?.role === after.role && !!before?.canPurge === !!after.canPurge)) return;
+
+  const role = ROLES.includes(after.role) ? after.role : 'GUEST';
+  await getAuth().setCustomUserClaims(event.params.uid, { role, purge: after.canPurge === true });
+  await event.data.after.ref.update({ claimsUpdatedAt: FieldValue.serverTimestamp() });
+});
+
+// 与 App.jsx 中 groupArtifacts 一致：每个交付物的当前版本由 currentVersions 指定，未指定时取最高版本
+const currentOutputIds = (project) => {
+  const groups = new Map();
+  (project.outputs || []).forEach((file) => {
+    const artifactId = file.artifactId || file.id;
+    if (!groups.has(artifactId)) groups.set(artifactId, []);
+    groups.get(artifactId).push(file);
+  });
+  return [...groups.entries()].map(([artifactId, versions]) => {
+    const current = versions.find(v => v.id === project.currentVersions?.[artifactId])
+      || versions.reduce((a, b) => ((b.version || 1) > (a.version || 1) ? b : a));
+    return current.id;
+  });
+};
+
+// requestedAt 为服务端时间 (Timestamp)，需用 isEqual 比较
+const sameReviewRequest = (a, b) => (a?.isEqual && b ? a.isEqual(b) : a === b);
+
+// 每个交付物的当前版本都发起了审核，且每位审核人对这次请求的最后一条结论都是通过
+const approvalsComplete = (project, decisions) => currentOutputIds(project).every((fileId) => {
+  const review = project.reviews?.[fileId];
+  if (!review?.reviewers?.length) return false;
+  const latest = {};
+  decisions
+    .filter(d => d.fileId === fileId && sameReviewRequest(d.requestedAt, review.requestedAt))
+    .forEach((d) => { latest[d.reviewerId] = d.decision; });
+  return review.reviewers.every(uid => latest[uid] === 'approved');
+});
+
+const refreshApprovals = (projectRef) => getFirestore().runTransaction(async (transaction) => {
+  const project = await transaction.get(projectRef);
+  if (!project.exists) return;
+  const decisions = await transaction.get(projectRef.collection('review_decisions').orderBy('at'));
+  const complete = approvalsComplete(project.data(), decisions.docs.map(d => d.data()));
+  if (project.get('approvalsComplete') !== complete) transaction.update(projectRef, { approvalsComplete: complete });
+});
+
+// 审核结论写在 review_decisions 子集合中，客户端不能直接标记审核完成：
+// 结论新增、或交付成果 / 当前版本 / 审核请求变化 (客户端会同时清除 approvalsComplete) 后重新汇总，
+// firestore.rules 只允许 approvalsComplete 为 true 的项目从审核中变为已完成
+export const syncApprovalsOnDecision = onDocumentCreated('artifacts/{appId}/public/data/projects/{projectId}/review_decisions/{decisionId}', (event) => 
+  refreshApprovals(event.data.ref.parent.parent)
+);
+
+export const syncApprovals = onDocumentWritten('artifacts/{appId}/public/data/projects/{projectId}', async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  if (!after) return;
+  const changed = (key) => JSON.stringify(before?.[key]) !== JSON.stringify(after[key]);
+  if (!['outputs', 'currentVersions', 'reviews', 'approvalsComplete'].some(changed)) return;
+  await refreshApprovals(event.data.after.ref);
+});
+
+// 项目列表的全文搜索需要评论内容：评论增删改后把内容同步到项目文档的 commentSearch ({ [commentId]: text })，
+// 客户端随项目分页查询一起拿到，不必跨应用读取所有评论。单条只保留前 500 字，避免项目文档过大
+export const indexCommentSearch = onDocumentWritten('artifacts/{appId}/public/data/projects/{projectId}/comments/{commentId}', async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  if (before?.text === after?.text) return;
+  const projectRef = event.data.after.ref.parent.parent;
+  const text = after?.text ? after.text.slice(0, 500) : FieldValue.delete();
+  try {
+    await projectRef.update({ [`commentSearch.${event.params.commentId}`]: text });
+  } catch (e) {
+    // 项目已被彻底删除
+    if (e.code !== 5) throw e;
+  }
+});
+
+// 项目内容 (标题、描述、文件名、commentSearch) 变化后重新生成 searchTokens，供列表的服务端搜索查询
+export const indexProjectSearch = onDocumentWritten('artifacts/{appId}/public/data/projects/{projectId}', async (event) => {
+  const after = event.data.after.data();
+  if (!after) return;
+  const searchTokens = projectSearchTokens(after);
+  if (JSON.stringify(searchTokens) === JSON.stringify(after.searchTokens || null)) return;
+  await event.data.after.ref.update({ searchTokens });
+});
+
+// 复制的项目 (clonedFrom) 一开始沿用原项目的需求附件，文件仍在原项目目录下；
+// 把它们复制到新项目自己的目录并改写 storagePath / url，原项目被彻底删除后副本的文件不受影响
+export const copyClonedInputs = onDocumentCreated('artifacts/{appId}/public/data/projects/{projectId}', async (event) => {
+  if (!event.data.get('clonedFrom')) return;
+  const { appId, projectId } = event.params;
+  const bucket = getStorage().bucket();
+  const prefix = `artifacts/${appId}/projects/${projectId}/`;
+  const copies = new Map();
+  await Promise.all((event.data.get('inputs') || []).map(async (file) => {
+    if (!file.storagePath || file.storagePath.startsWith(prefix)) return;
+    const storagePath = `${prefix}inputs/${file.storagePath.split('/').pop()}`;
+    try {
+      await bucket.file(file.storagePath).copy(storagePath);
+      copies.set(file.id, { storagePath, url: await getDownloadURL(bucket.file(storagePath)) });
+    } catch (e) {
+      // 原文件已不存在时保留原记录
+      console.error(`Failed to copy ${file.storagePath}`, e);
+    }
+  }));
+  if (!copies.size) return;
+  // 期间可能有人追加了文件，在事务中只改写复制过的文件
+  await getFirestore().runTransaction(async (transaction) => {
+    const project = await transaction.get(event.data.ref);
+    if (!project.exists) return;
+    const inputs = (project.get('inputs') || []).map(f => (copies.has(f.id) ? { ...f, ...copies.get(f.id) } : f));
+    transaction.update(event.data.ref, { inputs });
+  });
+});
+
+// 仍在引用 prefix 下文件的项目：沿 clonedFrom 查找副本及副本的副本 (copyClonedInputs 尚未完成或早于它创建的副本)
+const referencedStoragePaths = async (projects, projectId, prefix) => {
+  const paths = new Set();
+  const queue = [projectId];
+  while (queue.length) {
+    const clones = await projects.where('clonedFrom', '==', queue.shift()).get();
+    clones.docs.forEach((clone) => {
+      queue.push(clone.id);
+      (clone.get('inputs') || []).forEach((file) => {
+        if (file.storagePath?.startsWith(prefix)) paths.add(file.storagePath);
+      });
+    });
+  }
+  return paths;
+};
+
+// 项目只能由 purge 权限持有者从回收站彻底删除；删除后清理它的子集合 (评论、修订、标注、审核结论)
+// 和存储中的附件 (artifacts/{appId}/projects/{projectId}/)，其中仍被副本引用的文件保留
+export const cleanupPurgedProject = onDocumentDeleted('artifacts/{appId}/public/data/projects/{projectId}', async (event) => {
+  const { appId, projectId } = event.params;
+  const prefix = `artifacts/${appId}/projects/${projectId}/`;
+  await getFirestore().recursiveDelete(event.data.ref);
+  const keep = await referencedStoragePaths(event.data.ref.parent, projectId, prefix);
+  const [files] = await getStorage().bucket().getFiles({ prefix });
+  await Promise.all(files.filter(file => !keep.has(file.name)).map(file => file.delete()));
+});
@@ -0,0 +1,23 @@
+// 一次性迁移：把已有评论同步到项目文档的 commentSearch，之后由 indexCommentSearch 维护。
+// 用法 (在 functions/ 下)：GOOGLE_APPLICATION_CREDENTIALS=<服务账号密钥> node scripts/backfill-comment-search.js <appId>
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const appId = process.argv[2] || 'default-app';
+
+initializeApp();
+const db = getFirestore();
+
+const projects = await db.collection(`artifacts/${appId}/public/data/projects`).get();
+const writer = db.bulkWriter();
+let updated = 0;
+for (const project of projects.docs) {
+  const comments = await project.ref.collection('comments').get();
+  const commentSearch = Object.fromEntries(comments.docs
+    .filter(c => c.get('text'))
+    .map(c => [c.id, c.get('text').slice(0, 500)]));
+  writer.update(project.ref, { commentSearch });
+  updated += 1;
+}
+await writer.close();
+console.log(`Indexed comments of ${updated} projects in ${appId}`);
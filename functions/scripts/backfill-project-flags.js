@@ -0,0 +1,24 @@
+// 一次性迁移：项目列表按 deleted / archived 字段查询，缺少这两个字段的旧项目不会出现在列表中。
+// 用法 (在 functions/ 下)：GOOGLE_APPLICATION_CREDENTIALS=<服务账号密钥> node scripts/backfill-project-flags.js <appId>
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const appId = process.argv[2] || 'default-app';
+
+initializeApp();
+const db = getFirestore();
+
+const snapshot = await db.collection(`artifacts/${appId}/public/data/projects`).get();
+const writer = db.bulkWriter();
+let updated = 0;
+snapshot.docs.forEach((doc) => {
+  const data = doc.data();
+  const patch = {};
+  if (typeof data.deleted !== 'boolean') patch.deleted = false;
+  if (typeof data.archived !== 'boolean') patch.archived = false;
+  if (!Object.keys(patch).length) return;
+  writer.update(doc.ref, patch);
+  updated += 1;
+});
+await writer.close();
+console.log(`Updated ${updated} of ${snapshot.size} projects in ${appId}`);
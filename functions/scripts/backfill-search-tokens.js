@@ -0,0 +1,21 @@
+// 一次性迁移：为已有项目生成 searchTokens，之后由 indexProjectSearch 维护。
+// 在 backfill-comment-search.js 之后运行。
+// 用法 (在 functions/ 下)：GOOGLE_APPLICATION_CREDENTIALS=<服务账号密钥> node scripts/backfill-search-tokens.js <appId>
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { projectSearchTokens } from '../search.js';
+
+const appId = process.argv[2] || 'default-app';
+
+initializeApp();
+const db = getFirestore();
+
+const projects = await db.collection(`artifacts/${appId}/public/data/projects`).get();
+const writer = db.bulkWriter();
+let updated = 0;
+for (const project of projects.docs) {
+  writer.update(project.ref, { searchTokens: projectSearchTokens(project.data()) });
+  updated += 1;
+}
+await writer.close();
+console.log(`Indexed ${updated} projects in ${appId}`);
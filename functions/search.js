@@ -0,0 +1,35 @@
+// 项目列表的服务端搜索：项目文档的 searchTokens 保存标题、描述、文件名和评论的搜索词元，
+// 客户端用 array-contains 查询其中一个词元。切分规则与 App.jsx 中的 searchQueryToken 一致：
+// 中日韩文字取单字和相邻两字，其余文字和数字按词取前缀 (最长 SEARCH_PREFIX_LENGTH 个字符)
+const SEARCH_PREFIX_LENGTH = 20;
+// 控制文档大小和索引条目数；标题在最前，超出时先舍弃评论中的词元
+const MAX_SEARCH_TOKENS = 2000;
+const SEARCH_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}])[\p{L}\p{N}])+/gu;
+const CJK = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const MENTION_LINK = /\[@([^\]]+)\]\(mention:([^)\s]+)\)/g;
+
+// 与 App.jsx 中 projectSearchText 相同的内容
+const projectSearchText = (project) => [
+  project.title,
+  project.description,
+  ...(project.inputs || []).map(f => f.name),
+  ...(project.outputs || []).map(f => f.name),
+  ...Object.values(project.commentSearch || {}).map(text => text.replace(MENTION_LINK, '@$1'))
+].join('\n').toLowerCase();
+
+export const projectSearchTokens = (project) => {
+  const tokens = new Set();
+  for (const [run] of projectSearchText(project).matchAll(SEARCH_RUN)) {
+    const chars = [...run];
+    if (CJK.test(run)) {
+      chars.forEach((c, i) => {
+        tokens.add(c);
+        if (i > 0) tokens.add(chars[i - 1] + c);
+      });
+    } else {
+      for (let i = 1; i <= Math.min(chars.length, SEARCH_PREFIX_LENGTH); i++) tokens.add(chars.slice(0, i).join(''));
+    }
+    if (tokens.size >= MAX_SEARCH_TOKENS) break;
+  }
+  return [...tokens].slice(0, MAX_SEARCH_TOKENS);
+};
@@ -3,17 +3,37 @@ import {
   Plus, FileText, Image as ImageIcon, Box, Upload, Download, 
   CheckCircle, Clock, MoreHorizontal, X, Eye, File, 
   LayoutDashboard, Users, Settings, LogOut, Search, 
-  MessageSquare, ChevronRight, PieChart, Activity, Link as LinkIcon
+  MessageSquare, ChevronRight, PieChart, Activity,
+  Ruler, Scissors, Grid3x3, Boxes, RotateCcw, FlipHorizontal, GitCompare, Columns2, Layers,
+  History, RefreshCw, Reply, Pencil, Trash2, Paperclip, Lock, Shield, Filter, Bookmark, 
+  ArrowUp, ArrowDown, ArrowUpDown, List, SquareKanban, AlertTriangle, ListChecks, Link2, 
+  Heading2, Heading3, Bold, Table, ListTodo, LayoutTemplate, Circle, ShieldCheck, 
+  Hand, MapPin, Square, MoveUpRight, PenLine, ZoomIn, ZoomOut, Maximize, Cloud, CloudOff, 
+  Archive, ArchiveRestore, Copy
 } from 'lucide-react';
 import { initializeApp } from 'firebase/app';
 import { 
-  getAuth, signInAnonymously, onAuthStateChanged, updateProfile, signOut, signInWithCustomToken 
+  getAuth, signInAnonymously, onAuthStateChanged, updateProfile, signOut, signInWithCustomToken, 
+  connectAuthEmulator, EmailAuthProvider, linkWithCredential, createUserWithEmailAndPassword, 
+  signInWithEmailAndPassword, sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink 
 } from 'firebase/auth';
 import { 
-  getFirestore, collection, doc, addDoc, updateDoc, 
-  onSnapshot, query, serverTimestamp, setDoc, getDoc, deleteDoc 
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, 
+  onSnapshot, query, serverTimestamp, setDoc, getDoc, arrayUnion, arrayRemove, orderBy,
+  writeBatch, where, limit, connectFirestoreEmulator, runTransaction, deleteField, 
+  startAfter, getCountFromServer 
 } from 'firebase/firestore';
+import { 
+  getStorage, ref as storageRef, uploadBytesResumable, getDownloadURL, connectStorageEmulator 
+} from 'firebase/storage';
+import ReactMarkdown, { defaultUrlTransform } from 'react-markdown';
+import remarkGfm from 'remark-gfm';
 import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import occtWasmUrl from 'occt-import-js/dist/occt-import-js.wasm?url';
 
 // --- Firebase Configuration & Init ---
 // 自动获取环境配置，如果不可用则使用空配置（会报错提示）
@@ -23,13 +43,30 @@ const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app';
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+// 持久化本地缓存 (IndexedDB)：离线时照常读取，写入先进入缓存并在联网后按顺序提交；多标签页共享同一缓存
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
+const storage = getStorage(app);
+
+// 本地开发：VITE_USE_FIREBASE_EMULATORS=true 时连接 Firebase 模拟器 (端口见 firebase.json)
+if (import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true') {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
 
 // --- Constants & Utilities ---
 const COLLECTIONS = {
   PROJECTS: 'projects',
   USERS: 'users',
-  LOGS: 'activity_logs'
+  LOGS: 'activity_logs',
+  COMMENTS: 'comments', // projects/{projectId}/comments 子集合
+  REVISIONS: 'revisions', // projects/{projectId}/revisions 子集合，需求描述的历史版本
+  ANNOTATIONS: 'annotations', // projects/{projectId}/annotations 子集合，图片交付物上的标注
+  REVIEW_DECISIONS: 'review_decisions', // projects/{projectId}/review_decisions 子集合，审核结论，只增不改
+  SETTINGS: 'settings', // 团队级配置，每个文档一类配置 (如 board)
+  TEMPLATES: 'templates' // 项目模板，由经理维护
 };
 
 const ROLES = {
@@ -39,6 +76,29 @@ const ROLES = {
   GUEST: { label: '访客', color: 'bg-slate-100 text-slate-700' }
 };
 
+// 操作权限。服务端由 firestore.rules 依据 custom claims 中的 role 强制执行，这里仅用于界面展示
+const PERMISSIONS = {
+  createProject: ['MANAGER', 'DESIGNER', 'ENGINEER'],
+  deleteProject: ['MANAGER'], // 移入回收站 / 恢复
+  archiveProject: ['MANAGER'],
+  addFile: ['MANAGER', 'DESIGNER', 'ENGINEER'],
+  editProject: ['MANAGER', 'DESIGNER', 'ENGINEER'],
+  manageRoles: ['MANAGER'],
+  manageBoard: ['MANAGER'],
+  manageTemplates: ['MANAGER'],
+  requestReview: ['MANAGER'], // 项目的审核人 (reviewerId) 也可以发起，见 canRequestReview
+  annotate: ['MANAGER', 'DESIGNER', 'ENGINEER']
+};
+
+const can = (role, action) => (PERMISSIONS[action] || []).includes(role);
+
+const canRequestReview = (userData, project) => can(userData?.role, 'requestReview')
+  || (can(userData?.role, 'editProject') && !!project?.reviewerId && project.reviewerId === userData.uid);
+
+// 从回收站彻底删除、修改保留期不按角色授权：需要 users 文档中的 canPurge (同步为 custom claim purge)，
+// 只能在 Firebase 控制台中设置
+const canPurge = (userData) => userData?.canPurge === true;
+
 const STATUS_MAP = {
   pending: { label: '待处理', color: 'bg-yellow-100 text-yellow-800', icon: Clock },
   in_progress: { label: '进行中', color: 'bg-blue-100 text-blue-800', icon: Activity },
@@ -46,851 +106,6769 @@ const STATUS_MAP = {
   completed: { label: '已完成', color: 'bg-green-100 text-green-800', icon: CheckCircle }
 };
 
+const PRIORITY_MAP = {
+  urgent: { label: '紧急', color: 'bg-red-100 text-red-700', rank: 0 },
+  high: { label: '高', color: 'bg-orange-100 text-orange-700', rank: 1 },
+  medium: { label: '中', color: 'bg-slate-100 text-slate-700', rank: 2 },
+  low: { label: '低', color: 'bg-slate-50 text-slate-500', rank: 3 }
+};
+const DEFAULT_PRIORITY = 'medium';
+
+// 距截止日期不足 DUE_SOON_DAYS 天视为即将到期
+const DUE_SOON_DAYS = 3;
+
+// 状态流转规则：每个状态可流转到的目标、允许执行的角色以及前置条件 (guards)
+const STATUS_WORKFLOW = {
+  pending: [
+    { to: 'in_progress', roles: ['MANAGER', 'DESIGNER', 'ENGINEER'], guards: ['requiredInputs'] }
+  ],
+  in_progress: [
+    { to: 'review', roles: ['MANAGER', 'DESIGNER', 'ENGINEER'], guards: ['hasOutputs', 'requiredOutputs'] },
+    { to: 'pending', roles: ['MANAGER'] }
+  ],
+  review: [
+    { to: 'completed', roles: ['MANAGER'], guards: ['hasOutputs', 'requiredOutputs', 'requirementsCovered', 'approvalsComplete'] },
+    { to: 'in_progress', roles: ['MANAGER'] } // 打回修改
+  ],
+  completed: [
+    { to: 'in_progress', roles: ['MANAGER'] } // 重新打开
+  ]
+};
+
+const WORKFLOW_GUARDS = {
+  hasOutputs: {
+    check: (project) => (project.outputs || []).length > 0,
+    reason: '至少需要提交一个交付成果'
+  },
+  requirementsCovered: {
+    check: (project) => getRequirementCoverage(project).every(c => c.artifactIds.length > 0),
+    reason: (project) => `还有 ${getRequirementCoverage(project).filter(c => !c.artifactIds.length).length} 个需求项未关联交付成果`
+  },
+  // 以下两项只对由模板创建、带有 inputSlots / outputSpecs 的项目生效
+  requiredInputs: {
+    check: (project) => missingRequired(getInputSlotStatus(project)).length === 0,
+    reason: (project) => `缺少必需的需求附件：${missingRequired(getInputSlotStatus(project)).join('、')}`
+  },
+  requiredOutputs: {
+    check: (project) => missingRequired(getOutputSpecStatus(project)).length === 0,
+    reason: (project) => `缺少必需的交付成果：${missingRequired(getOutputSpecStatus(project)).join('、')}`
+  },
+  // approvalsComplete 由服务端 (functions 中的 syncApprovals) 根据审核结论汇总，列表中的项目也能判断
+  approvalsComplete: {
+    check: (project) => project.approvalsComplete === true,
+    reason: () => '交付成果的当前版本尚未全部通过审核 (刚提交的结论需要几秒钟汇总)'
+  }
+};
+
+const REQUIREMENT_STATUS = {
+  open: { label: '待开始', color: 'bg-slate-100 text-slate-600' },
+  in_progress: { label: '进行中', color: 'bg-blue-100 text-blue-700' },
+  done: { label: '已验收', color: 'bg-green-100 text-green-700' }
+};
+
+const REVIEW_STATES = {
+  pending: { label: '待审核', color: 'bg-purple-100 text-purple-700' },
+  approved: { label: '已批准', color: 'bg-green-100 text-green-700' },
+  changes_requested: { label: '需修改', color: 'bg-amber-100 text-amber-700' }
+};
+
+// 活动日志类型
+const ACTIVITY_TYPES = {
+  project_create: { label: '创建项目', icon: Plus, color: 'bg-blue-100 text-blue-600' },
+  status_change: { label: '状态变更', icon: Activity, color: 'bg-purple-100 text-purple-600' },
+  file_add: { label: '添加文件', icon: Upload, color: 'bg-green-100 text-green-600' },
+  file_set_current: { label: '切换版本', icon: History, color: 'bg-teal-100 text-teal-600' },
+  file_remove: { label: '删除文件', icon: Trash2, color: 'bg-slate-100 text-slate-600' },
+  comment_add: { label: '发表评论', icon: MessageSquare, color: 'bg-sky-100 text-sky-600' },
+  comment_edit: { label: '编辑评论', icon: MessageSquare, color: 'bg-sky-100 text-sky-600' },
+  comment_delete: { label: '删除评论', icon: MessageSquare, color: 'bg-slate-100 text-slate-600' },
+  project_delete: { label: '删除项目', icon: Trash2, color: 'bg-red-100 text-red-600' },
+  project_trash: { label: '移入回收站', icon: Trash2, color: 'bg-slate-100 text-slate-600' },
+  project_restore: { label: '恢复项目', icon: RotateCcw, color: 'bg-green-100 text-green-600' },
+  project_archive: { label: '归档项目', icon: Archive, color: 'bg-slate-100 text-slate-600' },
+  project_unarchive: { label: '取消归档', icon: ArchiveRestore, color: 'bg-blue-100 text-blue-600' },
+  profile_update: { label: '资料变更', icon: Users, color: 'bg-indigo-100 text-indigo-600' },
+  role_change: { label: '角色变更', icon: Shield, color: 'bg-indigo-100 text-indigo-600' },
+  account_link: { label: '账号升级', icon: Users, color: 'bg-indigo-100 text-indigo-600' },
+  project_update: { label: '更新信息', icon: Pencil, color: 'bg-blue-100 text-blue-600' },
+  requirement_add: { label: '新增需求项', icon: ListChecks, color: 'bg-teal-100 text-teal-600' },
+  requirement_update: { label: '修改需求项', icon: ListChecks, color: 'bg-teal-100 text-teal-600' },
+  requirement_delete: { label: '删除需求项', icon: ListChecks, color: 'bg-slate-100 text-slate-600' },
+  requirement_link: { label: '关联需求', icon: Link2, color: 'bg-teal-100 text-teal-600' },
+  description_edit: { label: '编辑描述', icon: FileText, color: 'bg-blue-100 text-blue-600' },
+  template_save: { label: '保存模板', icon: LayoutTemplate, color: 'bg-indigo-100 text-indigo-600' },
+  template_delete: { label: '删除模板', icon: LayoutTemplate, color: 'bg-slate-100 text-slate-600' },
+  review_request: { label: '发起审核', icon: ShieldCheck, color: 'bg-purple-100 text-purple-600' },
+  review_decision: { label: '审核结论', icon: ShieldCheck, color: 'bg-green-100 text-green-600' },
+  annotation_add: { label: '添加标注', icon: MapPin, color: 'bg-rose-100 text-rose-600' },
+  annotation_resolve: { label: '解决标注', icon: CheckCircle, color: 'bg-green-100 text-green-600' },
+  annotation_delete: { label: '删除标注', icon: MapPin, color: 'bg-slate-100 text-slate-600' }
+};
+
+// 邮件登录链接：发送时记住邮箱，回到应用后用它完成登录
+const EMAIL_LINK_STORAGE_KEY = 'emailForSignIn';
+
+const AUTH_ERRORS = {
+  'auth/invalid-email': '邮箱格式不正确',
+  'auth/missing-password': '请输入密码',
+  'auth/weak-password': '密码至少需要 6 位',
+  'auth/email-already-in-use': '该邮箱已注册，请直接登录',
+  'auth/credential-already-in-use': '该邮箱已绑定其他账号，访客数据无法合并到已有账号',
+  'auth/provider-already-linked': '当前账号已绑定邮箱',
+  'auth/invalid-credential': '邮箱或密码错误',
+  'auth/user-disabled': '该账号已被停用',
+  'auth/too-many-requests': '尝试次数过多，请稍后再试',
+  'auth/invalid-action-code': '登录链接无效或已过期',
+  'auth/expired-action-code': '登录链接已过期',
+  'auth/operation-not-allowed': '该登录方式未在 Firebase 控制台启用'
+};
+
+const authErrorMessage = (e) => AUTH_ERRORS[e?.code] || e?.message || '操作失败，请重试';
+
 // 安全的 Firestore 路径生成器 (遵循规则1)
 const getCollectionPath = (collectionName) => {
   return collection(db, 'artifacts', appId, 'public', 'data', collectionName);
 };
 
-// --- Components ---
+const getProjectSubcollection = (projectId, collectionName) => {
+  return collection(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.PROJECTS, projectId, collectionName);
+};
 
-// 1. 3D Viewer (Three.js) - 保持原有逻辑，增加加载状态
-const ThreeViewer = ({ isActive, modelUrl }) => {
-  const mountRef = useRef(null);
-  
-  useEffect(() => {
-    if (!isActive || !mountRef.current) return;
+// 返回 { allowed, reason }；UI 与 handleUpdateStatus 共用同一套判断
+const checkStatusTransition = (project, to, role) => {
+  if (project.status === to) return { allowed: false, reason: '已是当前状态' };
+  const rule = (STATUS_WORKFLOW[project.status] || []).find(r => r.to === to);
+  if (!rule) {
+    return { allowed: false, reason: `不能从「${STATUS_MAP[project.status]?.label || project.status}」直接变更为「${STATUS_MAP[to]?.label}」` };
+  }
+  if (!rule.roles.includes(role)) {
+    return { allowed: false, reason: `仅${rule.roles.map(r => ROLES[r].label).join('、')}可执行此操作` };
+  }
+  const failed = (rule.guards || []).map(g => WORKFLOW_GUARDS[g]).find(g => !g.check(project));
+  if (failed) return { allowed: false, reason: typeof failed.reason === 'function' ? failed.reason(project) : failed.reason };
+  return { allowed: true, reason: '' };
+};
 
-    // Scene
-    const scene = new THREE.Scene();
-    scene.background = new THREE.Color(0xf8fafc); // Slate-50
+// 在业务写入所在的 batch 中追加一条活动日志
+const logActivity = (batch, { type, actorId, project = null, details = {} }) => {
+  batch.set(doc(getCollectionPath(COLLECTIONS.LOGS)), {
+    type,
+    actorId,
+    projectId: project?.id || null,
+    projectTitle: project?.title || null,
+    details,
+    createdAt: serverTimestamp()
+  });
+};
 
-    // Camera
-    const width = mountRef.current.clientWidth;
-    const height = mountRef.current.clientHeight;
-    const camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
-    camera.position.z = 5;
+// 访客升级后记一条动态。users 文档和动态所有登录用户 (包括访客) 都能读取，邮箱不写入其中，只从 auth.currentUser 读取
+const recordAccountLink = async (user) => {
+  const batch = writeBatch(db);
+  logActivity(batch, { type: 'account_link', actorId: user.uid, details: {} });
+  await batch.commit();
+};
 
-    // Renderer
-    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    renderer.setSize(width, height);
-    mountRef.current.appendChild(renderer.domElement);
+// 通过邮件链接打开应用时完成登录；当前为访客时改为绑定，保留原 uid
+const completeEmailLinkSignIn = async () => {
+  const href = window.location.href;
+  const email = window.localStorage.getItem(EMAIL_LINK_STORAGE_KEY) || window.prompt('请输入接收登录链接的邮箱');
+  if (!email) return;
+  await auth.authStateReady();
+  if (auth.currentUser?.isAnonymous) {
+    await linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, href));
+    await recordAccountLink(auth.currentUser);
+  } else {
+    await signInWithEmailLink(auth, email, href);
+  }
+  window.localStorage.removeItem(EMAIL_LINK_STORAGE_KEY);
+  // 去掉地址栏中的 oobCode 等一次性参数
+  window.history.replaceState(null, '', window.location.pathname);
+};
 
-    // Lights
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
-    scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(5, 10, 7.5);
-    scene.add(directionalLight);
+// 日志的文字描述 (不含操作人)
+const describeActivity = ({ type, details = {} }) => {
+  const statusLabel = (s) => STATUS_MAP[s]?.label || s;
+  const roleLabel = (r) => ROLES[r]?.label || r;
+  switch (type) {
+    case 'project_create':
+      return details.clonedFrom ? `复制「${details.clonedFrom.title}」创建了项目` : '创建了项目';
+    case 'status_change':
+      return `将状态从「${statusLabel(details.from)}」改为「${statusLabel(details.to)}」`;
+    case 'file_add':
+      return details.version > 1
+        ? `上传了 ${details.name} 的新版本 v${details.version}`
+        : `添加了${details.fileType === 'outputs' ? '交付成果' : '需求附件'} ${details.name}`;
+    case 'file_set_current':
+      return `将 ${details.name} 的当前版本设为 v${details.version}`;
+    case 'file_remove':
+      return `删除了${details.fileType === 'outputs' ? '交付成果' : '需求附件'} ${details.name} v${details.version}`;
+    case 'comment_add':
+      return details.isReply ? '回复了评论' : details.fileName ? `评论了 ${details.fileName}` : '发表了评论';
+    case 'comment_edit':
+      return '编辑了评论';
+    case 'comment_delete':
+      return '删除了评论';
+    case 'project_delete':
+      return details.purged ? '从回收站彻底删除了项目' : '删除了项目';
+    case 'project_trash':
+      return '将项目移入了回收站';
+    case 'project_restore':
+      return '从回收站恢复了项目';
+    case 'project_archive':
+      return '归档了项目';
+    case 'project_unarchive':
+      return '取消了项目归档';
+    case 'profile_update': {
+      const changes = [];
+      if (details.from?.name !== details.to?.name) changes.push(`名称从「${details.from?.name}」改为「${details.to?.name}」`);
+      if (details.from?.role !== details.to?.role) changes.push(`角色从「${roleLabel(details.from?.role)}」改为「${roleLabel(details.to?.role)}」`);
+      return changes.length ? `将${changes.join('，')}` : '更新了个人资料';
+    }
+    case 'role_change':
+      return `将 ${details.name} 的角色从「${roleLabel(details.from)}」改为「${roleLabel(details.to)}」`;
+    case 'account_link':
+      return '将访客账号升级为正式账号';
+    case 'requirement_add':
+      return `新增了需求项 ${details.code} ${details.title}`;
+    case 'requirement_update':
+      return details.statusTo 
+        ? `将需求项 ${details.code} 标记为「${REQUIREMENT_STATUS[details.statusTo]?.label || details.statusTo}」`
+        : `修改了需求项 ${details.code}`;
+    case 'requirement_delete':
+      return `删除了需求项 ${details.code}`;
+    case 'requirement_link':
+      return details.codes?.length 
+        ? `将 ${details.name} 关联到需求 ${details.codes.join('、')}` 
+        : `取消了 ${details.name} 的需求关联`;
+    case 'description_edit':
+      return `编辑了需求描述 (修订 ${details.revision})`;
+    case 'template_save':
+      return `${details.isNew ? '创建' : '修改'}了项目模板「${details.name}」`;
+    case 'template_delete':
+      return `删除了项目模板「${details.name}」`;
+    case 'review_request':
+      return `请 ${(details.reviewerNames || []).join('、')} 审核 ${details.name} v${details.version}`;
+    case 'annotation_add':
+      return `在 ${details.name} v${details.version} 上添加了${ANNOTATION_TOOLS[details.annotationType]?.label || ''}标注`;
+    case 'annotation_resolve':
+      return `${details.resolved ? '解决' : '重新打开'}了 ${details.name} 上的标注`;
+    case 'annotation_delete':
+      return '删除了标注';
+    case 'review_decision':
+      return `${details.decision === 'approved' ? '批准了' : '要求修改'} ${details.name} v${details.version}${details.comment ? `：${details.comment}` : ''}`;
+    case 'project_update':
+      return `更新了${Object.keys(details.changes || {}).map(k => PROJECT_FIELD_LABELS[k] || k).join('、')}`;
+    default:
+      return ACTIVITY_TYPES[type]?.label || type;
+  }
+};
 
-    // Placeholder Mesh (模拟模型加载)
-    const geometry = new THREE.TorusKnotGeometry(1.2, 0.4, 100, 16);
-    const material = new THREE.MeshStandardMaterial({ 
-      color: 0x3b82f6, metalness: 0.6, roughness: 0.2 
-    });
-    const mesh = new THREE.Mesh(geometry, material);
-    scene.add(mesh);
+// serverTimestamp 在本地写入未确认前为 null
+const formatTimestamp = (ts) => (ts?.seconds ? new Date(ts.seconds * 1000).toLocaleString() : '刚刚');
 
-    // Animation
-    let animationId;
-    const animate = () => {
-      animationId = requestAnimationFrame(animate);
-      mesh.rotation.x += 0.005;
-      mesh.rotation.y += 0.01;
-      renderer.render(scene, camera);
-    };
-    animate();
+const formatBytes = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
 
-    // Resize
-    const handleResize = () => {
-      if (!mountRef.current) return;
-      const w = mountRef.current.clientWidth;
-      const h = mountRef.current.clientHeight;
-      camera.aspect = w / h;
-      camera.updateProjectionMatrix();
-      renderer.setSize(w, h);
-    };
-    window.addEventListener('resize', handleResize);
+// 将 inputs/outputs 按 artifactId 归组为逻辑文件，版本按 version 升序；
+// 当前版本由 project.currentVersions 指定，未指定时取最新版本。旧数据没有 artifactId，各自成组
+const groupArtifacts = (files = [], currentVersions = {}) => {
+  const groups = new Map();
+  files.forEach((file) => {
+    const artifactId = file.artifactId || file.id;
+    if (!groups.has(artifactId)) groups.set(artifactId, []);
+    groups.get(artifactId).push(file);
+  });
+  return [...groups.entries()].map(([artifactId, versions]) => {
+    versions.sort((a, b) => (a.version || 1) - (b.version || 1));
+    const current = versions.find(v => v.id === currentVersions[artifactId]) || versions[versions.length - 1];
+    return { artifactId, versions, current };
+  });
+};
 
-    return () => {
-      cancelAnimationFrame(animationId);
-      window.removeEventListener('resize', handleResize);
-      if (mountRef.current && renderer.domElement) {
-        mountRef.current.removeChild(renderer.domElement);
-      }
-      geometry.dispose();
-      material.dispose();
-    };
-  }, [isActive, modelUrl]);
+// 上传者本人或经理可删除文件；已完成项目的文件保持不变 (与 firestore.rules 一致)
+const canRemoveFile = (project, file, uid, role) => 
+  can(role, 'addFile') && project?.status !== 'completed' && (file.addedBy === uid || role === 'MANAGER');
 
-  return <div ref={mountRef} className="w-full h-full rounded-lg bg-slate-50" />;
+// 按交付物顺序重排文件列表；不在 artifactIds 中的 (期间新增的) 排在最后
+const orderFilesByArtifact = (files, artifactIds) => {
+  const rank = new Map(artifactIds.map((id, i) => [id, i]));
+  const rankOf = (f) => rank.get(f.artifactId || f.id) ?? artifactIds.length;
+  return [...files].sort((a, b) => rankOf(a) - rankOf(b));
 };
 
-// 2. Main App Component
-export default function RequirementSystemPro() {
-  const [user, setUser] = useState(null);
-  const [userData, setUserData] = useState(null); // Firestore user profile
-  const [projects, setProjects] = useState([]);
-  const [usersMap, setUsersMap] = useState({}); // Cache for user names
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [selectedProject, setSelectedProject] = useState(null);
-  const [loading, setLoading] = useState(true);
+// --- Comments & Mentions ---
+// @提及在正文中存为 [@名称](mention:uid)，渲染为高亮标签；编辑时还原为 @名称
+const MENTION_LINK = /\[@([^\]]+)\]\(mention:([^)\s]+)\)/g;
 
-  // Auth Initialization
-  useEffect(() => {
-    const initAuth = async () => {
-      try {
-        // 优先检查是否有初始 Token
-        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-           await signInWithCustomToken(auth, __initial_auth_token);
-        } else {
-           await signInAnonymously(auth);
-        }
-      } catch(e) {
-        console.error("Auth failed, falling back to anon", e);
-        // 如果 custom token 失败，尝试匿名登录作为后备
-        try {
-           await signInAnonymously(auth);
-        } catch (anonErr) {
-           console.error("Anonymous auth also failed", anonErr);
-        }
-      }
-    };
-    initAuth();
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
-      setUser(currentUser);
-      if (currentUser) {
-        // Fetch extended user profile
-        const userRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.USERS, currentUser.uid);
-        // We use onSnapshot for user profile to get real-time role updates
-        onSnapshot(userRef, (docSnap) => {
-          if (docSnap.exists()) {
-            setUserData(docSnap.data());
-          } else {
-            // Create default profile if not exists
-            const defaultProfile = {
-              uid: currentUser.uid,
-              name: `User-${currentUser.uid.substring(0,4)}`,
-              role: 'GUEST',
-              avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${currentUser.uid}`,
-              joinedAt: serverTimestamp()
-            };
-            setDoc(userRef, defaultProfile);
-            setUserData(defaultProfile);
-          }
-        });
-      }
-      setLoading(false);
-    });
-    return () => unsubscribe();
-  }, []);
+const encodeMentions = (text, usersMap) => {
+  const uidByName = {};
+  Object.values(usersMap).forEach((u) => {
+    if (u.name && !uidByName[u.name]) uidByName[u.name] = u.uid;
+  });
+  // 较长的名字优先匹配，避免 "@张三丰" 被识别为 "@张三"
+  const names = Object.keys(uidByName).sort((a, b) => b.length - a.length);
+  if (!names.length) return { text, mentions: [] };
 
-  // Data Fetching (Projects & Users)
-  useEffect(() => {
-    if (!user) return;
+  const mentions = new Set();
+  const pattern = new RegExp(`(^|[^\\w@])@(${names.map(escapeRegExp).join('|')})`, 'g');
+  const encoded = text.replace(pattern, (match, prefix, name) => {
+    mentions.add(uidByName[name]);
+    return `${prefix}[@${name}](mention:${uidByName[name]})`;
+  });
+  return { text: encoded, mentions: [...mentions] };
+};
 
-    // Fetch Projects
-    const projectsQuery = getCollectionPath(COLLECTIONS.PROJECTS);
-    const unsubProjects = onSnapshot(projectsQuery, (snapshot) => {
-      const projs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      // Client-side sort by date desc
-      projs.sort((a, b) => (b.updatedAt?.seconds || 0) - (a.updatedAt?.seconds || 0));
-      setProjects(projs);
-    }, (error) => console.error("Error fetching projects:", error));
+const decodeMentions = (text = '') => text.replace(MENTION_LINK, '@$1');
 
-    // Fetch All Users (for mapping IDs to names)
-    const usersQuery = getCollectionPath(COLLECTIONS.USERS);
-    const unsubUsers = onSnapshot(usersQuery, (snapshot) => {
-      const mapping = {};
-      snapshot.docs.forEach(doc => {
-        mapping[doc.id] = doc.data();
-      });
-      setUsersMap(mapping);
-    }, (error) => console.error("Error fetching users:", error));
+// --- Routing ---
+// 基于 History API 的轻量路由：
+// /  /projects?查询  /projects/:projectId  /projects/:projectId/files/:fileId  /team  /settings  /admin
+const BASE_PATH = import.meta.env.BASE_URL.replace(/\/$/, '');
+const ROUTE_TABS = ['projects', 'team', 'settings', 'admin', 'trash'];
 
-    return () => {
-      unsubProjects();
-      unsubUsers();
-    };
-  }, [user]);
+const parseRoute = (pathname) => {
+  const parts = pathname.slice(BASE_PATH.length).split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts[0] === 'projects' && parts[1]) {
+    return { tab: 'detail', projectId: parts[1], fileId: parts[2] === 'files' ? parts[3] || null : null };
+  }
+  return { tab: ROUTE_TABS.includes(parts[0]) ? parts[0] : 'dashboard', projectId: null, fileId: null };
+};
 
-  // --- Actions ---
+const routePath = ({ tab, projectId, fileId, search = '' }) => {
+  let path = '/';
+  if (tab === 'detail') {
+    path = `/projects/${encodeURIComponent(projectId)}`;
+    if (fileId) path += `/files/${encodeURIComponent(fileId)}`;
+  } else if (ROUTE_TABS.includes(tab)) {
+    path = `/${tab}`;
+  }
+  return BASE_PATH + path + search;
+};
 
-  const handleCreateProject = async (data) => {
-    if (!user) return;
-    try {
-      await addDoc(getCollectionPath(COLLECTIONS.PROJECTS), {
-        ...data,
-        createdBy: user.uid,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-        status: 'pending',
-        inputs: [], // Array of input files
-        outputs: [], // Array of output files
-        comments: [] // Simple comments array
-      });
-      setActiveTab('projects');
-    } catch (error) {
-      console.error("Error creating project:", error);
-      alert("创建失败，请重试");
-    }
+// --- Project List Search & Filters ---
+// 筛选与排序状态序列化到地址栏 (?q=&status=&creator=&role=&from=&to=&has3d=&sort=)，保存的视图也存这段查询串
+// archived: false 时隐藏已归档项目，true 时只显示已归档项目
+const DEFAULT_LIST_FILTERS = { q: '', status: [], creator: '', role: '', from: '', to: '', has3d: false, archived: false };
+const DEFAULT_LIST_SORT = { key: 'updatedAt', dir: 'desc' };
+const STATUS_ORDER = Object.keys(STATUS_MAP);
+const OPEN_STATUSES = STATUS_ORDER.filter(status => status !== 'completed');
+
+const assigneeName = (p, usersMap) => usersMap[getProjectAssignees(p)[0]]?.name || '';
+
+const LIST_SORTERS = {
+  title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+  status: (a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status),
+  assignee: (a, b, usersMap) => assigneeName(a, usersMap).localeCompare(assigneeName(b, usersMap)),
+  priority: (a, b) => PRIORITY_MAP[b.priority || DEFAULT_PRIORITY].rank - PRIORITY_MAP[a.priority || DEFAULT_PRIORITY].rank,
+  // 无截止日期的排在最后
+  dueDate: (a, b) => (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31'),
+  updatedAt: (a, b) => (a.updatedAt?.seconds || 0) - (b.updatedAt?.seconds || 0)
+};
+
+const parseListQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const [key, dir] = (params.get('sort') || '').split(':');
+  return {
+    mode: params.get('mode') === 'board' ? 'board' : 'table',
+    filters: {
+      q: params.get('q') || '',
+      status: (params.get('status') || '').split(',').filter(st => STATUS_MAP[st]),
+      creator: params.get('creator') || '',
+      role: ROLES[params.get('role')] ? params.get('role') : '',
+      from: params.get('from') || '',
+      to: params.get('to') || '',
+      has3d: params.get('has3d') === '1',
+      archived: params.get('archived') === '1'
+    },
+    sort: LIST_SORTERS[key] ? { key, dir: dir === 'asc' ? 'asc' : 'desc' } : DEFAULT_LIST_SORT
   };
+};
 
-  const handleUpdateStatus = async (projectId, newStatus) => {
-    if (!user) return;
-    try {
-      const projectRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.PROJECTS, projectId);
-      await updateDoc(projectRef, {
-        status: newStatus,
-        updatedAt: serverTimestamp()
-      });
-    } catch (e) {
-      console.error(e);
+const serializeListQuery = ({ filters, sort, mode = 'table' }) => {
+  const params = new URLSearchParams();
+  if (mode === 'board') params.set('mode', 'board');
+  if (filters.q) params.set('q', filters.q);
+  if (filters.status.length) params.set('status', filters.status.join(','));
+  if (filters.creator) params.set('creator', filters.creator);
+  if (filters.role) params.set('role', filters.role);
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  if (filters.has3d) params.set('has3d', '1');
+  if (filters.archived) params.set('archived', '1');
+  if (sort.key !== DEFAULT_LIST_SORT.key || sort.dir !== DEFAULT_LIST_SORT.dir) params.set('sort', `${sort.key}:${sort.dir}`);
+  return params.toString();
+};
+
+// 全文检索的文本：标题、描述、所有文件名 (含历史版本) 与评论。
+// 评论内容由 functions 中的 indexCommentSearch 写入项目文档的 commentSearch ({ [commentId]: text })
+const projectSearchText = (project) => [
+  project.title,
+  project.description,
+  ...(project.inputs || []).map(f => f.name),
+  ...(project.outputs || []).map(f => f.name),
+  ...Object.values(project.commentSearch || {}).map(decodeMentions)
+].join('\n').toLowerCase();
+
+// 服务端搜索：functions 中的 indexProjectSearch 把上述内容切分为词元写入 searchTokens，列表用 array-contains 查询其中一个。
+// 与 functions/search.js 的规则一致：中日韩文字取相邻两字，其余文字和数字按词取前缀 (最长 20 个字符)。
+// 取最长的搜索词中的第一段文字作为查询词元，完整的搜索词仍在已加载的项目上匹配
+const CJK_CHARS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const SEARCH_RUN = new RegExp(`[${CJK_CHARS}]+|(?:(?![${CJK_CHARS}])[\\p{L}\\p{N}])+`, 'u');
+const CJK_START = new RegExp(`^[${CJK_CHARS}]`, 'u');
+
+const searchQueryToken = (q) => {
+  const term = q.toLowerCase().split(/\s+/).filter(Boolean).sort((a, b) => b.length - a.length)[0];
+  const run = term?.match(SEARCH_RUN)?.[0];
+  if (!run) return null;
+  return [...run].slice(0, CJK_START.test(run) ? 2 : 20).join('');
+};
+
+// 只在已加载的项目上进行的筛选 (搜索词由服务端按词元初筛)
+const hasClientOnlyFilters = (filters) => !!(filters.creator || filters.role || filters.from || filters.to || filters.has3d);
+
+const filterProjects = (projects, filters, { usersMap }) => {
+  const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+  return projects.filter(p => {
+    if (!!p.archived !== filters.archived) return false;
+    if (filters.status.length && !filters.status.includes(p.status)) return false;
+    if (filters.creator && p.createdBy !== filters.creator) return false;
+    if (filters.role && usersMap[p.createdBy]?.role !== filters.role) return false;
+    const created = (p.createdAt?.seconds || 0) * 1000;
+    if (from !== null && created < from) return false;
+    if (to !== null && created > to) return false;
+    if (filters.has3d && !(p.outputs || []).some(f => detectModelLoader(f))) return false;
+    if (terms.length) {
+      const text = projectSearchText(p);
+      if (!terms.every(t => text.includes(t))) return false;
     }
+    return true;
+  });
+};
+
+// --- Project List Paging ---
+// 列表按页订阅：服务端按 deleted / archived / 状态 / 搜索词元过滤并排序，每页 PROJECT_PAGE_SIZE 个，
+// 下一页从上一页最后一个文档之后开始 (startAfter)。创建人、日期等其余筛选在已加载的项目上进行
+const PROJECT_PAGE_SIZE = 30;
+
+// 可在服务端排序的字段；其余排序 (状态、负责人、优先级、截止日期) 只对已加载的项目生效
+const SERVER_SORT_KEYS = ['updatedAt', 'title'];
+
+// 服务端查询条件序列化为字符串，作为分页状态的 key
+const projectListQueryKey = (filters, sort) => JSON.stringify({
+  status: [...filters.status].sort(),
+  archived: filters.archived,
+  search: searchQueryToken(filters.q),
+  sort: SERVER_SORT_KEYS.includes(sort.key) ? sort : DEFAULT_LIST_SORT
+});
+
+const projectListConstraints = (key) => {
+  const { status, archived, search, sort } = JSON.parse(key);
+  return [
+    where('deleted', '==', false),
+    where('archived', '==', archived),
+    ...(search ? [where('searchTokens', 'array-contains', search)] : []),
+    ...(status.length ? [where('status', 'in', status)] : []),
+    orderBy(sort.key, sort.dir)
+  ];
+};
+
+const EMPTY_NEW_PROJECT = { title: '', description: '', priority: DEFAULT_PRIORITY, dueDate: '', templateId: '' };
+
+// 批量操作每个项目写两个文档 (项目 + 动态)。动态的规则要检查项目是否存在，
+// 一个 batch 的规则最多读取 20 个文档，因此每批不超过 15 个项目
+const BULK_BATCH_SIZE = 15;
+
+const buildProjectsCsv = (projects, usersMap) => {
+  const userName = (uid) => usersMap[uid]?.name || uid || '';
+  const header = ['项目', '状态', '负责人', '优先级', '截止日期', '创建人', '创建时间', '更新时间', '需求附件', '交付成果', '已归档'];
+  const rows = projects.map(p => [
+    p.title,
+    STATUS_MAP[p.status]?.label || p.status,
+    getProjectAssignees(p).map(userName).join('、'),
+    PRIORITY_MAP[p.priority || DEFAULT_PRIORITY].label,
+    p.dueDate || '',
+    userName(p.createdBy),
+    formatTimestamp(p.createdAt),
+    formatTimestamp(p.updatedAt),
+    groupArtifacts(p.inputs, p.currentVersions).length,
+    groupArtifacts(p.outputs, p.currentVersions).length,
+    p.archived ? '是' : ''
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+};
+
+// 复制项目：保留描述、需求项 (状态重置)、模板结构和需求附件；交付成果及其审核、需求关联不复制
+const buildProjectClone = (project) => {
+  const inputArtifactIds = new Set((project.inputs || []).map(f => f.artifactId || f.id));
+  return {
+    title: `${project.title} (副本)`,
+    description: project.description || '',
+    priority: project.priority || DEFAULT_PRIORITY,
+    requirements: (project.requirements || []).map(r => ({ ...r, status: 'open' })),
+    ...(project.templateId && {
+      templateId: project.templateId,
+      templateName: project.templateName,
+      inputSlots: project.inputSlots || [],
+      outputSpecs: project.outputSpecs || []
+    }),
+    // 文件先沿用原项目的存储路径，由 functions 中的 copyClonedInputs 复制到新项目目录下
+    inputs: project.inputs || [],
+    currentVersions: Object.fromEntries(Object.entries(project.currentVersions || {}).filter(([id]) => inputArtifactIds.has(id))),
+    clonedFrom: project.id
   };
+};
 
-  const handleAddFile = async (projectId, fileData, type = 'inputs') => {
-    // fileData: { name, url, fileType, format }
-    if (!selectedProject || !user) return;
-    
-    try {
-      const projectRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.PROJECTS, projectId);
-      const newFile = {
-        ...fileData,
-        id: crypto.randomUUID(),
-        addedBy: user.uid,
-        addedAt: new Date().toISOString()
-      };
-      
-      // Update the specific array
-      const currentList = selectedProject[type] || [];
-      await updateDoc(projectRef, {
-        [type]: [...currentList, newFile],
-        updatedAt: serverTimestamp()
-      });
-    } catch (e) {
-      console.error(e);
-      alert("添加文件失败");
-    }
+// --- Kanban Board ---
+// 看板列内的手动顺序保存在 boardOrder；未排序过的项目按创建时间倒序排在前面
+const boardOrderOf = (project) => project.boardOrder ?? -(project.createdAt?.seconds || 0);
+
+// 插入到 list[index] 之前时的新顺序值 (取前后两张卡片的中间值)
+const boardOrderAt = (list, index) => {
+  const prev = list[index - 1];
+  const next = list[index];
+  if (prev && next) return (boardOrderOf(prev) + boardOrderOf(next)) / 2;
+  if (prev) return boardOrderOf(prev) + 1;
+  if (next) return boardOrderOf(next) - 1;
+  return 0;
+};
+
+// --- Requirement Items ---
+// project.requirements: [{ id, code, title, priority, criteria: string[], status }]
+// project.requirementLinks: { [artifactId]: requirementId[] }，按交付物 (所有版本) 关联
+
+// 每个需求项及满足它的交付物 artifactId；只统计仍存在的交付成果
+const getRequirementCoverage = (project) => {
+  const outputArtifactIds = new Set((project.outputs || []).map(f => f.artifactId || f.id));
+  const covered = {};
+  Object.entries(project.requirementLinks || {}).forEach(([artifactId, ids]) => {
+    if (!outputArtifactIds.has(artifactId)) return;
+    (ids || []).forEach(id => { (covered[id] ||= []).push(artifactId); });
+  });
+  return (project.requirements || []).map(r => ({ requirement: r, artifactIds: covered[r.id] || [] }));
+};
+
+const nextRequirementCode = (requirements = []) => {
+  const max = requirements.reduce((m, r) => Math.max(m, parseInt(r.code?.split('-')[1], 10) || 0), 0);
+  return `REQ-${max + 1}`;
+};
+
+// --- Project Templates ---
+// template: { name, description, inputSlots: [{ id, label, required }], outputSpecs: [{ id, label, format, required }],
+//             requirements: [{ title, priority, criteria }], defaultAssignees: { DESIGNER, ENGINEER } }
+// 创建项目时复制 inputSlots / outputSpecs / requirements，之后修改模板不影响已有项目
+
+// 预期交付格式及其匹配规则
+const OUTPUT_SPEC_FORMATS = {
+  stp: { label: '3D 模型', match: (file) => !!detectModelLoader(file) },
+  pdf: { label: 'PDF 图纸', match: (file) => getFileExtension(file.name) === 'pdf' },
+  image: { label: '图片', match: (file) => file.format === 'image' },
+  doc: { label: '文档', match: (file) => file.format === 'doc' }
+};
+
+// 上传时标记了 slotId 的附件 (任一版本) 即视为已提供该槽位
+const getInputSlotStatus = (project) => (project.inputSlots || []).map(slot => ({
+  ...slot,
+  files: (project.inputs || []).filter(f => f.slotId === slot.id)
+}));
+
+// 交付格式只看各交付物的当前版本
+const getOutputSpecStatus = (project) => {
+  const current = groupArtifacts(project.outputs, project.currentVersions).map(a => a.current);
+  return (project.outputSpecs || []).map(spec => ({
+    ...spec,
+    files: current.filter(f => OUTPUT_SPEC_FORMATS[spec.format]?.match(f))
+  }));
+};
+
+const missingRequired = (items) => items.filter(i => i.required && !i.files.length).map(i => i.label);
+
+// 新项目中由模板预置的字段；需求项重新编号，负责人取各角色的默认人选
+const instantiateTemplate = (template, uid) => ({
+  templateId: template.id,
+  templateName: template.name,
+  inputSlots: template.inputSlots || [],
+  outputSpecs: template.outputSpecs || [],
+  requirements: (template.requirements || []).map((r, i) => ({
+    ...r, id: crypto.randomUUID(), code: `REQ-${i + 1}`, status: 'open', createdBy: uid
+  })),
+  assignees: [...new Set(Object.values(template.defaultAssignees || {}).filter(Boolean))]
+});
+
+// --- Deliverable Reviews ---
+// project.reviews: { [fileId]: { artifactId, version, reviewers: uid[], requestedBy, requestedAt, removed?: { by, at, name, checksum } } }
+// 结论在 review_decisions 子集合：{ fileId, requestedAt, reviewerId, decision: 'approved' | 'changes_requested', comment, at }
+// 审核绑定到具体的文件版本 (fileId)：上传新版本后需要重新审核，旧版本的签核记录保留。
+// 结论只追加，同一审核人以最后一条为准；重新发起的审核 (requestedAt 不同) 不沿用之前的结论。
+// requestedAt 为服务端时间 (Timestamp)，需用 isEqual 比较
+
+const sameReviewRequest = (a, b) => (a?.isEqual && b ? a.isEqual(b) : a === b);
+
+// 本地尚未确认的审核请求没有时间 (null)
+const reviewRequestTime = (value) => value?.toDate() ?? null;
+
+// 把子集合中的结论合并到 reviews[fileId]：decisions 为本次审核请求的结论，供界面使用；history 为该文件的全部结论，供导出
+const attachReviewDecisions = (project, decisions) => {
+  if (!project?.reviews) return project;
+  const reviews = Object.fromEntries(Object.entries(project.reviews).map(([fileId, review]) => [fileId, {
+    ...review,
+    decisions: decisions.filter(d => d.fileId === fileId && sameReviewRequest(d.requestedAt, review.requestedAt)),
+    history: decisions.filter(d => d.fileId === fileId)
+  }]));
+  return { ...project, reviews };
+};
+
+const getLatestDecisions = (review) => {
+  const latest = {};
+  (review?.decisions || []).forEach(d => { latest[d.reviewerId] = d; });
+  return latest;
+};
+
+const getReviewState = (review) => {
+  if (!review) return null;
+  const latest = getLatestDecisions(review);
+  const decisions = review.reviewers.map(uid => latest[uid]?.decision);
+  if (decisions.includes('changes_requested')) return 'changes_requested';
+  return decisions.every(d => d === 'approved') ? 'approved' : 'pending';
+};
+
+// 每个交付物当前版本的审核情况；state 为 null 表示尚未发起审核
+const getApprovalStatus = (project) => groupArtifacts(project.outputs, project.currentVersions).map(artifact => {
+  const review = project.reviews?.[artifact.current.id] || null;
+  return { artifact, review, state: getReviewState(review) };
+});
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 签核记录 (CSV)：该文件历次审核请求的每条结论一行，本次请求中尚未给出结论的审核人也列出。
+// 项目只保留最近一次请求的发起人，之前请求的结论行不填发起人
+const buildSignOffCsv = (project, usersMap) => {
+  const userName = (uid) => usersMap[uid]?.name || uid;
+  const files = new Map((project.outputs || []).map(f => [f.id, f]));
+  const header = ['项目', '文件', '版本', '文件ID', 'SHA-256', '发起人', '发起时间', '审核人', '结论', '意见', '时间'];
+  const rows = [];
+  Object.entries(project.reviews || {}).forEach(([fileId, review]) => {
+    // 文件已被删除的审核仍导出，文件信息取自删除时的记录
+    const file = files.get(fileId) || review.removed || {};
+    const name = review.removed ? `${file.name} (已删除)` : file.name;
+    const base = [project.title, name, `v${review.version || 1}`, fileId, file.checksum];
+    const request = (requestedAt) => [
+      sameReviewRequest(requestedAt, review.requestedAt) ? userName(review.requestedBy) : '',
+      reviewRequestTime(requestedAt)?.toISOString()
+    ];
+    review.reviewers
+      .filter(uid => !(review.decisions || []).some(d => d.reviewerId === uid))
+      .forEach(uid => rows.push([...base, ...request(review.requestedAt), userName(uid), REVIEW_STATES.pending.label, '', '']));
+    (review.history || []).forEach(d => rows.push([
+      ...base, ...request(d.requestedAt), userName(d.reviewerId), REVIEW_STATES[d.decision]?.label, d.comment, d.at
+    ]));
+  });
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+};
+
+const downloadTextFile = (filename, text, type = 'text/csv') => {
+  // 加 BOM，Excel 才能正确识别 UTF-8 中文
+  const url = URL.createObjectURL(new Blob(['\ufeff', text], { type: `${type};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- Text Diff ---
+// 英文按单词、中文按单字切分，空白单独成词
+const tokenizeForDiff = (text = '') => text.match(/\s+|[\u3400-\u9fff\uf900-\ufaff]|[^\s\u3400-\u9fff\uf900-\ufaff]+/g) || [];
+
+// 超过此规模 (词数乘积) 不再逐词对比，直接显示整段替换
+const MAX_DIFF_CELLS = 4_000_000;
+
+// 返回 [{ type: 'equal' | 'insert' | 'delete', text }]
+const diffWords = (before, after) => {
+  const a = tokenizeForDiff(before);
+  const b = tokenizeForDiff(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
   };
 
-  const handleDeleteProject = async (projectId) => {
-    if (!user) return;
-    if (confirm('确定要删除这个项目吗？此操作不可恢复。')) {
-      try {
-        await deleteDoc(doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.PROJECTS, projectId));
-        if (selectedProject?.id === projectId) setSelectedProject(null);
-      } catch (e) {
-        console.error(e);
+  push('equal', a.slice(0, start).join(''));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    // LCS 表，lcs[i][j] 为 midA[i..] 与 midB[j..] 的最长公共子序列长度
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
       }
     }
-  };
-
-  const handleUpdateProfile = async (name, role) => {
-    if (!user) return;
-    try {
-      const userRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.USERS, user.uid);
-      await updateDoc(userRef, { name, role });
-      alert("个人资料已更新");
-    } catch(e) {
-      console.error(e);
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) { push('equal', midA[i]); i++; j++; }
+      else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) { push('delete', midA[i]); i++; }
+      else { push('insert', midB[j]); j++; }
     }
-  };
+  }
+  push('equal', a.slice(endA).join(''));
+  return parts.filter(p => p.text);
+};
 
-  // --- Views ---
+// --- Assignment & Due Dates ---
+const PROJECT_FIELD_LABELS = { assignees: '负责人', reviewerId: '审核人', dueDate: '截止日期', priority: '优先级' };
 
-  if (loading) return <div className="h-screen flex items-center justify-center text-slate-500">正在连接云端服务...</div>;
+// 可被指派为负责人的角色
+const ASSIGNABLE_ROLES = ['DESIGNER', 'ENGINEER'];
 
-  return (
-    <div className="flex h-screen bg-slate-50 font-sans text-slate-900 overflow-hidden">
-      {/* Sidebar */}
-      <aside className="w-64 bg-slate-900 text-white flex flex-col shrink-0 transition-all duration-300">
-        <div className="p-6 flex items-center gap-3 border-b border-slate-800">
-          <div className="bg-blue-600 p-2 rounded-lg">
-            <Box size={20} className="text-white" />
+const getProjectAssignees = (project) => project.assignees || [];
+
+// dueDate 以 'YYYY-MM-DD' 存储，按本地时间当天结束计算
+const getDueState = (project, now = Date.now()) => {
+  if (!project.dueDate || project.status === 'completed') return null;
+  const due = new Date(`${project.dueDate}T23:59:59.999`).getTime();
+  if (due < now) return 'overdue';
+  if (due - now < DUE_SOON_DAYS * 24 * 60 * 60 * 1000) return 'due_soon';
+  return null;
+};
+
+const DUE_STATES = {
+  overdue: { label: '已逾期', color: 'bg-red-100 text-red-700' },
+  due_soon: { label: '即将到期', color: 'bg-amber-100 text-amber-700' }
+};
+
+// --- Trash ---
+// 项目删除后先进入回收站 (deleted: true)，超过保留期才可以彻底删除；保留天数存于 settings/trash
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// 可彻底删除的时间 (毫秒)；deletedAt 尚未写入服务端时为 null
+const getPurgeState = (project, retentionDays, now = Date.now()) => {
+  if (!project.deletedAt?.seconds) return { purgeAt: null, expired: false };
+  const purgeAt = (project.deletedAt.seconds + retentionDays * 24 * 60 * 60) * 1000;
+  return { purgeAt, expired: purgeAt <= now };
+};
+
+// --- 3D Model Loading ---
+// 扩展名 -> 解析器；format 为 stp 但扩展名无法识别时按 STEP 处理
+const MODEL_LOADERS = {
+  stp: 'step',
+  step: 'step',
+  stl: 'stl',
+  obj: 'obj',
+  gltf: 'gltf',
+  glb: 'gltf'
+};
+
+const DEFAULT_MODEL_COLOR = 0x3b82f6;
+
+const getFileExtension = (nameOrUrl = '') => {
+  const path = nameOrUrl.split(/[?#]/)[0];
+  const match = path.match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : '';
+};
+
+const detectModelLoader = ({ url, format, name }) => {
+  const ext = getFileExtension(name) || getFileExtension(url);
+  if (MODEL_LOADERS[ext]) return MODEL_LOADERS[ext];
+  return format === 'stp' ? 'step' : null;
+};
+
+const createModelMaterial = (color = DEFAULT_MODEL_COLOR) => new THREE.MeshStandardMaterial({
+  color, metalness: 0.3, roughness: 0.5, side: THREE.DoubleSide
+});
+
+const fetchWithProgress = async (url, { onProgress, signal } = {}) => {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`下载失败 (HTTP ${res.status})`);
+  if (!res.body) return res.arrayBuffer();
+
+  const total = Number(res.headers.get('content-length')) || 0;
+  const reader = res.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress?.({ loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes.buffer;
+};
+
+// OpenCascade WASM 体积较大，首次遇到 STEP 文件时才加载，之后复用同一实例
+let occtPromise = null;
+const getOcct = () => {
+  if (!occtPromise) {
+    occtPromise = import('occt-import-js')
+      .then(({ default: occtimportjs }) => occtimportjs({ locateFile: () => occtWasmUrl }))
+      .catch((err) => {
+        occtPromise = null;
+        throw err;
+      });
+  }
+  return occtPromise;
+};
+
+const parseStep = async (buffer) => {
+  const occt = await getOcct();
+  const result = occt.ReadStepFile(new Uint8Array(buffer), null);
+  if (!result.success) throw new Error('STEP 文件解析失败，请确认文件完整');
+
+  // 每个 mesh 对应一个实体，保留为独立子节点
+  const group = new THREE.Group();
+  result.meshes.forEach((m) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(m.attributes.position.array, 3));
+    if (m.attributes.normal) {
+      geometry.setAttribute('normal', new THREE.Float32BufferAttribute(m.attributes.normal.array, 3));
+    }
+    geometry.setIndex(m.index.array);
+    if (!m.attributes.normal) geometry.computeVertexNormals();
+
+    const color = m.color ? new THREE.Color(m.color[0], m.color[1], m.color[2]) : DEFAULT_MODEL_COLOR;
+    const mesh = new THREE.Mesh(geometry, createModelMaterial(color));
+    mesh.name = m.name || '';
+    group.add(mesh);
+  });
+  return group;
+};
+
+const parseStl = (buffer) => {
+  const geometry = new STLLoader().parse(buffer);
+  geometry.computeVertexNormals();
+  return new THREE.Mesh(geometry, createModelMaterial());
+};
+
+const parseObj = (buffer) => {
+  const object = new OBJLoader().parse(new TextDecoder().decode(buffer));
+  // 未加载 MTL，统一替换为默认材质
+  object.traverse((child) => {
+    if (child.isMesh) child.material = createModelMaterial();
+  });
+  return object;
+};
+
+const parseGltf = (buffer, url) => new Promise((resolve, reject) => {
+  const resourcePath = url.split(/[?#]/)[0].replace(/[^/]*$/, '');
+  new GLTFLoader().parse(buffer, resourcePath, (gltf) => resolve(gltf.scene), reject);
+});
+
+const loadModel = async (file, { onProgress, onParse, signal } = {}) => {
+  const loader = detectModelLoader(file);
+  if (!loader) throw new Error(`不支持的模型格式: ${getFileExtension(file.name) || file.format || '未知'}`);
+
+  let buffer;
+  try {
+    buffer = await fetchWithProgress(file.url, { onProgress, signal });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    // fetch 的 TypeError 通常意味着跨域被拦截或网络不可达
+    throw new Error(err instanceof TypeError ? '无法下载模型文件，请检查链接是否允许跨域访问' : err.message);
+  }
+
+  onParse?.();
+  const object = loader === 'step' ? await parseStep(buffer)
+    : loader === 'stl' ? parseStl(buffer)
+    : loader === 'obj' ? parseObj(buffer)
+    : await parseGltf(buffer, file.url);
+
+  if (new THREE.Box3().setFromObject(object).isEmpty()) {
+    disposeObject(object);
+    throw new Error('模型中没有可显示的几何体');
+  }
+  return object;
+};
+
+const disposeObject = (object) => {
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    child.geometry?.dispose();
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach(m => m?.dispose());
+  });
+};
+
+// 根据包围盒调整相机，使整个模型完整落在视野内；返回包围盒中心供控制器作为旋转目标
+const frameObject = (camera, object) => frameBox(camera, new THREE.Box3().setFromObject(object));
+
+const frameBox = (camera, box) => {
+  if (box.isEmpty()) return new THREE.Vector3();
+  const center = box.getCenter(new THREE.Vector3());
+  const radius = box.getSize(new THREE.Vector3()).length() / 2 || 1;
+  const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+
+  camera.position.copy(center).add(new THREE.Vector3(1, 0.8, 1).normalize().multiplyScalar(distance));
+  camera.near = distance / 100;
+  camera.far = distance * 100;
+  camera.lookAt(center);
+  camera.updateProjectionMatrix();
+  return center;
+};
+
+// --- 3D Inspection Tools ---
+// section.offset 为剖切面沿所选轴在包围盒内的相对位置 (0~1)；explode 为爆炸系数 (0~1)
+const DEFAULT_VIEWER_TOOLS = {
+  measure: false,
+  wireframe: false,
+  section: { enabled: false, axis: 'x', offset: 0.5, flip: false },
+  explode: 0
+};
+
+// STEP 由 OpenCascade 统一输出为毫米，glTF 规范单位为米，其余格式无单位信息
+const MODEL_UNITS = { step: 'mm', gltf: 'm' };
+
+const formatLength = (value, unit) => `${value.toFixed(value < 10 ? 3 : 2)} ${unit || '模型单位'}`;
+
+// 记录每个实体相对装配体中心的偏移方向 (父节点局部坐标)，用于爆炸视图
+const collectBodies = (model) => {
+  const meshes = [];
+  model.traverse(child => child.isMesh && meshes.push(child));
+  if (meshes.length < 2) return { count: meshes.length, bodies: [] };
+
+  model.updateMatrixWorld(true);
+  const center = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+  const bodies = meshes.map((mesh) => {
+    const meshCenter = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3());
+    const dir = mesh.parent.worldToLocal(meshCenter).sub(mesh.parent.worldToLocal(center.clone()));
+    return { mesh, base: mesh.position.clone(), dir };
+  });
+  return { count: meshes.length, bodies };
+};
+
+const clearMeasure = (viewer) => {
+  viewer.measurePoints = [];
+  disposeObject(viewer.measureGroup);
+  viewer.measureGroup.clear();
+};
+
+const addMeasureMarker = (viewer, point) => {
+  const marker = new THREE.Mesh(
+    new THREE.SphereGeometry(viewer.radius * 0.012, 16, 16),
+    new THREE.MeshBasicMaterial({ color: 0xef4444, depthTest: false })
+  );
+  marker.position.copy(point);
+  marker.renderOrder = 999;
+  viewer.measureGroup.add(marker);
+};
+
+const addMeasureLine = (viewer, from, to) => {
+  const line = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([from, to]),
+    new THREE.LineBasicMaterial({ color: 0xef4444, depthTest: false })
+  );
+  line.renderOrder = 999;
+  viewer.measureGroup.add(line);
+};
+
+const applyViewerTools = (viewer, tools) => {
+  const { section } = tools;
+
+  // 剖切面：默认保留坐标小于切面位置的一侧，flip 后保留另一侧
+  const axisIndex = { x: 0, y: 1, z: 2 }[section.axis];
+  const min = viewer.bounds.min.getComponent(axisIndex);
+  const max = viewer.bounds.max.getComponent(axisIndex);
+  const coord = min + (max - min) * section.offset;
+  const normal = new THREE.Vector3().setComponent(axisIndex, section.flip ? 1 : -1);
+  viewer.clipPlane.set(normal, section.flip ? -coord : coord);
+  viewer.sectionEnabled = section.enabled;
+
+  viewer.model.traverse((child) => {
+    if (!child.isMesh) return;
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach((m) => {
+      m.wireframe = tools.wireframe;
+      m.clippingPlanes = section.enabled ? [viewer.clipPlane] : null;
+    });
+  });
+
+  viewer.bodies.forEach(({ mesh, base, dir }) => {
+    mesh.position.copy(base).addScaledVector(dir, tools.explode);
+  });
+
+  // 爆炸系数变化或关闭测量后，旧的测量点已失效
+  if (!tools.measure || viewer.explode !== tools.explode) {
+    if (viewer.measurePoints.length) viewer.onMeasure?.(null);
+    clearMeasure(viewer);
+  }
+  viewer.explode = tools.explode;
+  // 标注跟随实体移动
+  viewer.pivot.updateMatrixWorld(true);
+  updatePinPositions(viewer);
+};
+
+// --- 3D Pins ---
+// 标注存于评论的 anchor.pin：{ body, point, normal, camera: { position, target } }
+// point / normal 为被点击实体 (按遍历顺序的第 body 个网格) 的局部坐标，爆炸视图中随实体移动；camera 为添加时的视角
+const vectorToJSON = ({ x, y, z }) => ({ x, y, z });
+
+const createPinAnchor = (viewer, hit) => ({
+  body: viewer.meshes.indexOf(hit.object),
+  point: vectorToJSON(hit.object.worldToLocal(hit.point.clone())),
+  normal: hit.face ? vectorToJSON(hit.face.normal) : null,
+  camera: { position: vectorToJSON(viewer.camera.position), target: vectorToJSON(viewer.controls.target) }
+});
+
+const pinWorldPosition = (viewer, pin) => {
+  const point = new THREE.Vector3(pin.point.x, pin.point.y, pin.point.z);
+  const mesh = viewer.meshes[pin.body];
+  return mesh ? mesh.localToWorld(point) : point;
+};
+
+const updatePinPositions = (viewer) => {
+  viewer.pinGroup.children.forEach(sprite => sprite.position.copy(pinWorldPosition(viewer, sprite.userData.pin)));
+};
+
+// 带编号的圆形标记，始终显示在模型前方且屏幕尺寸固定
+const createPinSprite = (label, color) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  ctx.beginPath();
+  ctx.arc(32, 32, 28, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 28px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, 32, 34);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ 
+    map: new THREE.CanvasTexture(canvas), depthTest: false, sizeAttenuation: false 
+  }));
+  sprite.scale.set(0.05, 0.05, 1);
+  sprite.renderOrder = 1000;
+  return sprite;
+};
+
+// pins: [{ id, label, color, pin }]；只重建内容有变化的标记
+const syncPins = (viewer, pins) => {
+  const wanted = new Map(pins.map(p => [`${p.id}|${p.label}|${p.color}`, p]));
+  viewer.pinGroup.children.slice().forEach((sprite) => {
+    if (wanted.delete(sprite.userData.key)) return;
+    viewer.pinGroup.remove(sprite);
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+  });
+  wanted.forEach((p, key) => {
+    const sprite = createPinSprite(p.label, p.color);
+    sprite.userData = { id: p.id, key, pin: p.pin };
+    viewer.pinGroup.add(sprite);
+  });
+  updatePinPositions(viewer);
+};
+
+const PIN_FLIGHT_MS = 600;
+
+// --- Image Annotations ---
+// shape 坐标为相对图片宽高的 0~1 值，与缩放和平移无关：
+// pin { x, y } · rect { x, y, w, h } · arrow { x1, y1, x2, y2 } · freehand { points: [{ x, y }] }
+const ANNOTATION_TOOLS = {
+  pin: { label: '图钉', icon: MapPin },
+  rect: { label: '矩形', icon: Square },
+  arrow: { label: '箭头', icon: MoveUpRight },
+  freehand: { label: '手绘', icon: PenLine }
+};
+
+const IMAGE_ZOOM_RANGE = [0.25, 8];
+
+// 以视口中的 (px, py) 为中心缩放
+const zoomViewAt = (view, px, py, factor) => {
+  const zoom = Math.min(IMAGE_ZOOM_RANGE[1], Math.max(IMAGE_ZOOM_RANGE[0], view.zoom * factor));
+  const k = zoom / view.zoom;
+  return { zoom, x: px - (px - view.x) * k, y: py - (py - view.y) * k };
+};
+
+const startShape = (type, p) => {
+  switch (type) {
+    case 'rect': return { x: p.x, y: p.y, w: 0, h: 0 };
+    case 'arrow': return { x1: p.x, y1: p.y, x2: p.x, y2: p.y };
+    case 'freehand': return { points: [p] };
+    default: return { x: p.x, y: p.y };
+  }
+};
+
+// start 为按下时的点；手绘时丢弃过近的点，控制文档大小
+const extendShape = (type, shape, start, p) => {
+  switch (type) {
+    case 'rect': 
+      return { x: Math.min(start.x, p.x), y: Math.min(start.y, p.y), w: Math.abs(p.x - start.x), h: Math.abs(p.y - start.y) };
+    case 'arrow': 
+      return { ...shape, x2: p.x, y2: p.y };
+    case 'freehand': {
+      const last = shape.points[shape.points.length - 1];
+      return Math.hypot(p.x - last.x, p.y - last.y) < 0.004 ? shape : { points: [...shape.points, p] };
+    }
+    default: 
+      return shape;
+  }
+};
+
+// 过小的形状视为误触
+const isShapeValid = (type, shape) => {
+  switch (type) {
+    case 'rect': return shape.w > 0.005 && shape.h > 0.005;
+    case 'arrow': return Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) > 0.01;
+    case 'freehand': return shape.points.length > 1;
+    default: return true;
+  }
+};
+
+const roundCoord = (v) => Math.round(v * 10000) / 10000;
+
+const roundShape = (shape) => shape.points 
+  ? { points: shape.points.map(p => ({ x: roundCoord(p.x), y: roundCoord(p.y) })) }
+  : Object.fromEntries(Object.entries(shape).map(([k, v]) => [k, roundCoord(v)]));
+
+// 标注编号显示的位置
+const annotationAnchor = ({ type, shape }) => {
+  if (type === 'arrow') return { x: shape.x1, y: shape.y1 };
+  if (type === 'freehand') return shape.points[0];
+  return { x: shape.x, y: shape.y };
+};
+
+// --- 3D Model Comparison ---
+const DIFF_COLORS = {
+  same: new THREE.Color(0x94a3b8),
+  added: new THREE.Color(0x22c55e),
+  removed: new THREE.Color(0xef4444),
+  moved: new THREE.Color(0xf59e0b)
+};
+
+// 将模型展开为世界坐标下的三角形数组 (每个实体一组)，对比时两个版本共用原始坐标系
+const flattenModel = (object) => {
+  object.updateMatrixWorld(true);
+  const bodies = [];
+  const v = new THREE.Vector3();
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    const { index, attributes: { position } } = child.geometry;
+    const count = index ? index.count : position.count;
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      v.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(child.matrixWorld);
+      positions[i * 3] = v.x;
+      positions[i * 3 + 1] = v.y;
+      positions[i * 3 + 2] = v.z;
+    }
+    bodies.push({
+      name: child.name,
+      positions,
+      box: new THREE.Box3().setFromArray(positions),
+      volume: computeMeshVolume(positions),
+      flags: null,
+      moved: false
+    });
+  });
+  return bodies;
+};
+
+// 散度定理求体积；网格不封闭时结果仅供参考
+const computeMeshVolume = (positions) => {
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+  let volume = 0;
+  for (let i = 0; i < positions.length; i += 9) {
+    a.fromArray(positions, i);
+    b.fromArray(positions, i + 3);
+    c.fromArray(positions, i + 6);
+    volume += a.dot(b.cross(c)) / 6;
+  }
+  return Math.abs(volume);
+};
+
+// 均匀网格索引三角形，用于快速判断某点附近 (容差内) 是否存在对方版本的表面
+const buildTriangleGrid = (bodies, cellSize) => {
+  const total = bodies.reduce((n, b) => n + b.positions.length / 9, 0);
+  const tris = new Float32Array(total * 9);
+  const cells = new Map();
+  let t = 0;
+  bodies.forEach(({ positions }) => {
+    for (let i = 0; i < positions.length; i += 9, t++) {
+      tris.set(positions.subarray(i, i + 9), t * 9);
+      const min = [0, 1, 2].map(k => Math.floor(Math.min(positions[i + k], positions[i + 3 + k], positions[i + 6 + k]) / cellSize));
+      const max = [0, 1, 2].map(k => Math.floor(Math.max(positions[i + k], positions[i + 3 + k], positions[i + 6 + k]) / cellSize));
+      for (let x = min[0]; x <= max[0]; x++) {
+        for (let y = min[1]; y <= max[1]; y++) {
+          for (let z = min[2]; z <= max[2]; z++) {
+            const key = `${x},${y},${z}`;
+            const list = cells.get(key);
+            if (list) list.push(t);
+            else cells.set(key, [t]);
+          }
+        }
+      }
+    }
+  });
+  return { tris, cells, cellSize };
+};
+
+const isNearSurface = (grid, point, tolerance) => {
+  const { tris, cells, cellSize } = grid;
+  const triangle = new THREE.Triangle();
+  const closest = new THREE.Vector3();
+  const tolSq = tolerance * tolerance;
+  const cx = Math.floor(point.x / cellSize);
+  const cy = Math.floor(point.y / cellSize);
+  const cz = Math.floor(point.z / cellSize);
+  // cellSize >= tolerance，因此只需检查相邻一圈网格
+  for (let x = cx - 1; x <= cx + 1; x++) {
+    for (let y = cy - 1; y <= cy + 1; y++) {
+      for (let z = cz - 1; z <= cz + 1; z++) {
+        const list = cells.get(`${x},${y},${z}`);
+        if (!list) continue;
+        for (const t of list) {
+          triangle.a.fromArray(tris, t * 9);
+          triangle.b.fromArray(tris, t * 9 + 3);
+          triangle.c.fromArray(tris, t * 9 + 6);
+          if (triangle.closestPointToPoint(point, closest).distanceToSquared(point) <= tolSq) return true;
+        }
+      }
+    }
+  }
+  return false;
+};
+
+// 按三角形重心标记与对方版本偏差超出容差的区域，返回差异面积
+const markDiffTriangles = (bodies, otherGrid, tolerance) => {
+  const triangle = new THREE.Triangle();
+  const centroid = new THREE.Vector3();
+  bodies.forEach((body) => {
+    const { positions } = body;
+    body.flags = new Uint8Array(positions.length / 9);
+    body.area = 0;
+    body.diffArea = 0;
+    for (let i = 0, t = 0; i < positions.length; i += 9, t++) {
+      triangle.a.fromArray(positions, i);
+      triangle.b.fromArray(positions, i + 3);
+      triangle.c.fromArray(positions, i + 6);
+      const area = triangle.getArea();
+      body.area += area;
+      if (!isNearSurface(otherGrid, triangle.getMidpoint(centroid), tolerance)) {
+        body.flags[t] = 1;
+        body.diffArea += area;
+      }
+    }
+    body.moved = false;
+  });
+};
+
+// 形状 (尺寸 + 体积) 一致但位置偏移超出容差的实体视为"移动"，而不是一删一增
+const matchMovedBodies = (bodiesA, bodiesB, tolerance) => {
+  const isMostlyDiff = (body) => body.area > 0 && body.diffArea / body.area > 0.5;
+  const usedB = new Set();
+  let moved = 0;
+  bodiesA.forEach((a) => {
+    if (!isMostlyDiff(a)) return;
+    const sizeA = a.box.getSize(new THREE.Vector3());
+    const centerA = a.box.getCenter(new THREE.Vector3());
+    let best = null;
+    let bestDist = Infinity;
+    bodiesB.forEach((b) => {
+      if (usedB.has(b) || !isMostlyDiff(b)) return;
+      const sizeB = b.box.getSize(new THREE.Vector3());
+      if (Math.abs(sizeA.x - sizeB.x) > tolerance || Math.abs(sizeA.y - sizeB.y) > tolerance || Math.abs(sizeA.z - sizeB.z) > tolerance) return;
+      if (Math.abs(a.volume - b.volume) > Math.max(a.volume, b.volume) * 0.01) return;
+      const dist = centerA.distanceTo(b.box.getCenter(new THREE.Vector3()));
+      if (dist < bestDist) {
+        best = b;
+        bestDist = dist;
+      }
+    });
+    if (best) {
+      usedB.add(best);
+      a.moved = true;
+      best.moved = true;
+      moved++;
+    }
+  });
+  return moved;
+};
+
+const compareModels = (bodiesA, bodiesB, tolerance) => {
+  const boxA = bodiesA.reduce((box, b) => box.union(b.box), new THREE.Box3());
+  const boxB = bodiesB.reduce((box, b) => box.union(b.box), new THREE.Box3());
+  const diag = boxA.clone().union(boxB).getSize(new THREE.Vector3()).length() || 1;
+  const cellSize = Math.max(tolerance, diag / 48);
+
+  markDiffTriangles(bodiesA, buildTriangleGrid(bodiesB, cellSize), tolerance);
+  markDiffTriangles(bodiesB, buildTriangleGrid(bodiesA, cellSize), tolerance);
+  const movedBodies = matchMovedBodies(bodiesA, bodiesB, tolerance);
+
+  const sum = (bodies, fn) => bodies.reduce((n, b) => n + fn(b), 0);
+  return {
+    sizeA: boxA.getSize(new THREE.Vector3()),
+    sizeB: boxB.getSize(new THREE.Vector3()),
+    volumeA: sum(bodiesA, b => b.volume),
+    volumeB: sum(bodiesB, b => b.volume),
+    removedArea: sum(bodiesA, b => (b.moved ? 0 : b.diffArea)),
+    addedArea: sum(bodiesB, b => (b.moved ? 0 : b.diffArea)),
+    areaA: sum(bodiesA, b => b.area),
+    areaB: sum(bodiesB, b => b.area),
+    movedBodies,
+    bodyCountA: bodiesA.length,
+    bodyCountB: bodiesB.length
+  };
+};
+
+// 按差异标记着色；onlyDiff 时只保留差异部分 (叠加模式下的旧版本"幽灵")
+const buildDiffMesh = (body, diffColor, { onlyDiff = false, opacity = 1 } = {}) => {
+  const { positions, flags } = body;
+  const triCount = positions.length / 9;
+  const included = [];
+  for (let t = 0; t < triCount; t++) {
+    if (!onlyDiff || body.moved || flags[t]) included.push(t);
+  }
+  if (!included.length) return null;
+
+  const pos = new Float32Array(included.length * 9);
+  const colors = new Float32Array(included.length * 9);
+  included.forEach((t, i) => {
+    pos.set(positions.subarray(t * 9, t * 9 + 9), i * 9);
+    const color = body.moved ? DIFF_COLORS.moved : flags[t] ? diffColor : DIFF_COLORS.same;
+    for (let k = 0; k < 3; k++) color.toArray(colors, i * 9 + k * 3);
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.computeVertexNormals();
+  return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    side: THREE.DoubleSide,
+    metalness: 0.1,
+    roughness: 0.7,
+    transparent: opacity < 1,
+    opacity,
+    depthWrite: opacity === 1
+  }));
+};
+
+const niceTolerance = (value) => {
+  const p = 10 ** Math.floor(Math.log10(value));
+  return Math.round(value / p) * p;
+};
+
+// --- Components ---
+
+// 1. 3D Viewer (Three.js) - 按格式加载真实模型 (STEP / STL / OBJ / glTF)，支持轨道控制与检视工具
+const ThreeViewer = ({ 
+  isActive, modelUrl, format, fileName, tools = DEFAULT_VIEWER_TOOLS, resetKey = 0, onMeasure, onModelLoaded, 
+  pins = [], pinMode = false, flyTo = null, onPickPin, onSelectPin 
+}) => {
+  const mountRef = useRef(null);
+  const viewerRef = useRef(null); // camera / controls / model 等运行时对象
+  const callbacksRef = useRef({});
+  // 父组件以文件为 key 重新挂载，因此初始状态即为加载中
+  const [loadState, setLoadState] = useState({ status: 'loading', loaded: 0, total: 0 });
+
+  // 场景只创建一次，事件回调通过 ref 读取最新的 props
+  useEffect(() => {
+    callbacksRef.current = { measure: tools.measure, pinMode, onMeasure, onModelLoaded, onPickPin, onSelectPin };
+    if (viewerRef.current) viewerRef.current.onMeasure = onMeasure;
+  });
+  
+  useEffect(() => {
+    const mount = mountRef.current;
+    if (!isActive || !mount) return;
+
+    // Scene
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0xf8fafc); // Slate-50
+
+    // Camera
+    const width = mount.clientWidth;
+    const height = mount.clientHeight;
+    const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
+    camera.position.z = 5;
+
+    // Renderer
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setSize(width, height);
+    renderer.localClippingEnabled = true;
+    mount.appendChild(renderer.domElement);
+
+    // Controls (左键旋转 / 右键平移 / 滚轮缩放)
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+
+    // Lights
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
+    scene.add(ambientLight);
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(5, 10, 7.5);
+    camera.add(directionalLight); // 灯光跟随相机，任意尺寸的模型都能被照亮
+    scene.add(camera);
+
+    // Model (居中放在 pivot 下)
+    const pivot = new THREE.Group();
+    scene.add(pivot);
+    const measureGroup = new THREE.Group();
+    scene.add(measureGroup);
+    const pinGroup = new THREE.Group();
+    scene.add(pinGroup);
+
+    const viewer = {
+      camera, controls, pivot, measureGroup, pinGroup,
+      clipPlane: new THREE.Plane(),
+      model: null, meshes: [], bodies: [], bounds: null, radius: 1, flight: null,
+      measurePoints: [], explode: 0, sectionEnabled: false,
+      onMeasure: callbacksRef.current.onMeasure
+    };
+    viewerRef.current = viewer;
+
+    const abortController = new AbortController();
+    const loader = detectModelLoader({ url: modelUrl, format, name: fileName });
+
+    loadModel({ url: modelUrl, format, name: fileName }, {
+      signal: abortController.signal,
+      onProgress: ({ loaded, total }) => setLoadState({ status: 'loading', loaded, total }),
+      onParse: () => setLoadState(prev => ({ ...prev, status: 'parsing' }))
+    }).then((object) => {
+      if (abortController.signal.aborted) {
+        disposeObject(object);
+        return;
+      }
+      const center = new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3());
+      object.position.sub(center);
+      pivot.add(object);
+      pivot.updateMatrixWorld(true);
+
+      const { count, bodies } = collectBodies(object);
+      const meshes = [];
+      object.traverse(child => child.isMesh && meshes.push(child));
+      const bounds = new THREE.Box3().setFromObject(pivot);
+      const size = bounds.getSize(new THREE.Vector3());
+      Object.assign(viewer, { model: object, meshes, bodies, bounds, radius: size.length() / 2 || 1 });
+
+      controls.target.copy(frameObject(camera, pivot));
+      controls.update();
+      setLoadState({ status: 'ready' });
+      callbacksRef.current.onModelLoaded?.({
+        bodyCount: count,
+        unit: MODEL_UNITS[loader] || '',
+        size: { x: size.x, y: size.y, z: size.z }
+      });
+    }).catch((err) => {
+      if (abortController.signal.aborted) return;
+      console.error("Error loading model:", err);
+      setLoadState({ status: 'error', message: err.message || '模型加载失败' });
+    });
+
+    // 测量与标注：区分单击与拖拽旋转，只有单击才拾取
+    const raycaster = new THREE.Raycaster();
+    let pointerDownAt = null;
+    const handlePointerDown = (e) => {
+      pointerDownAt = { x: e.clientX, y: e.clientY };
+    };
+    const handlePointerUp = (e) => {
+      const downAt = pointerDownAt;
+      pointerDownAt = null;
+      if (!downAt || !viewer.model) return;
+      if (Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 4) return;
+      const { measure, pinMode } = callbacksRef.current;
+
+      const rect = renderer.domElement.getBoundingClientRect();
+      const ndc = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(ndc, camera);
+
+      // 点击已有标注
+      const pinHit = !measure && raycaster.intersectObjects(pinGroup.children)[0];
+      if (pinHit && pinHit.object.userData.id !== 'draft') {
+        callbacksRef.current.onSelectPin?.(pinHit.object.userData.id);
+        return;
+      }
+      if (!measure && !pinMode) return;
+
+      // 被剖切掉的部分不可拾取
+      const hit = raycaster.intersectObject(viewer.model, true)
+        .find(h => !viewer.sectionEnabled || viewer.clipPlane.distanceToPoint(h.point) >= 0);
+      if (!hit) return;
+
+      if (pinMode) {
+        callbacksRef.current.onPickPin?.(createPinAnchor(viewer, hit));
+        return;
+      }
+
+      if (viewer.measurePoints.length >= 2) clearMeasure(viewer);
+      viewer.measurePoints.push(hit.point.clone());
+      addMeasureMarker(viewer, hit.point);
+
+      const [from, to] = viewer.measurePoints;
+      if (to) {
+        addMeasureLine(viewer, from, to);
+        callbacksRef.current.onMeasure?.({ distance: from.distanceTo(to) });
+      } else {
+        callbacksRef.current.onMeasure?.({ distance: null });
+      }
+    };
+    renderer.domElement.addEventListener('pointerdown', handlePointerDown);
+    renderer.domElement.addEventListener('pointerup', handlePointerUp);
+
+    // Animation
+    let animationId;
+    const animate = () => {
+      animationId = requestAnimationFrame(animate);
+      // 飞向标注保存的视角 (ease-out)
+      const flight = viewer.flight;
+      if (flight) {
+        const t = Math.min(1, (performance.now() - flight.start) / PIN_FLIGHT_MS);
+        const k = t * (2 - t);
+        camera.position.lerpVectors(flight.from.position, flight.to.position, k);
+        controls.target.lerpVectors(flight.from.target, flight.to.target, k);
+        if (t === 1) viewer.flight = null;
+      }
+      controls.update();
+      renderer.render(scene, camera);
+    };
+    animate();
+
+    // Resize
+    const handleResize = () => {
+      const w = mount.clientWidth;
+      const h = mount.clientHeight;
+      camera.aspect = w / h;
+      camera.updateProjectionMatrix();
+      renderer.setSize(w, h);
+    };
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      abortController.abort();
+      cancelAnimationFrame(animationId);
+      window.removeEventListener('resize', handleResize);
+      renderer.domElement.removeEventListener('pointerdown', handlePointerDown);
+      renderer.domElement.removeEventListener('pointerup', handlePointerUp);
+      controls.dispose();
+      if (renderer.domElement.parentNode === mount) {
+        mount.removeChild(renderer.domElement);
+      }
+      if (viewer.model) disposeObject(viewer.model);
+      clearMeasure(viewer);
+      syncPins(viewer, []);
+      renderer.dispose();
+      viewerRef.current = null;
+    };
+  }, [isActive, modelUrl, format, fileName]);
+
+  // 工具状态变化 (或模型刚加载完成) 时同步到场景
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer?.model) return;
+    applyViewerTools(viewer, tools);
+  }, [tools, loadState.status]);
+
+  // 重置视角
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!resetKey || !viewer?.model) return;
+    viewer.flight = null;
+    viewer.controls.target.copy(frameObject(viewer.camera, viewer.pivot));
+    viewer.controls.update();
+  }, [resetKey]);
+
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer?.model) return;
+    syncPins(viewer, pins);
+  }, [pins, loadState.status]);
+
+  // flyTo: { position, target }，每次传入新对象触发一次飞行
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!flyTo || !viewer?.model) return;
+    viewer.flight = {
+      start: performance.now(),
+      from: { position: viewer.camera.position.clone(), target: viewer.controls.target.clone() },
+      to: { 
+        position: new THREE.Vector3(flyTo.position.x, flyTo.position.y, flyTo.position.z), 
+        target: new THREE.Vector3(flyTo.target.x, flyTo.target.y, flyTo.target.z) 
+      }
+    };
+  }, [flyTo, loadState.status]);
+
+  return (
+    <div className="relative w-full h-full">
+      <div ref={mountRef} className={`w-full h-full rounded-lg bg-slate-50 ${tools.measure || pinMode ? 'cursor-crosshair' : ''}`} />
+      {(loadState.status === 'loading' || loadState.status === 'parsing') && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center gap-3 bg-slate-50/80 text-slate-600 text-xs">
+          <div className="w-48 h-1.5 bg-slate-200 rounded-full overflow-hidden">
+            <div 
+              className={`h-full bg-blue-500 transition-all ${loadState.status === 'parsing' || !loadState.total ? 'animate-pulse w-full' : ''}`}
+              style={loadState.status === 'loading' && loadState.total ? { width: `${Math.round(loadState.loaded / loadState.total * 100)}%` } : undefined}
+            />
+          </div>
+          <span>
+            {loadState.status === 'parsing'
+              ? '正在解析模型...'
+              : loadState.total
+                ? `正在下载模型 ${Math.round(loadState.loaded / loadState.total * 100)}%`
+                : `正在下载模型 ${formatBytes(loadState.loaded)}`}
+          </span>
+        </div>
+      )}
+      {loadState.status === 'error' && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center gap-2 bg-slate-50 text-center px-6">
+          <X size={24} className="text-red-500" />
+          <p className="text-sm font-medium text-slate-700">模型加载失败</p>
+          <p className="text-xs text-slate-500 break-all">{loadState.message}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 2. Main App Component
+export default function RequirementSystemPro() {
+  const [user, setUser] = useState(null);
+  const [userData, setUserData] = useState(null); // Firestore user profile
+  const [isAnonymous, setIsAnonymous] = useState(false); // linkWithCredential 不会触发 onAuthStateChanged，单独记录
+  const [usersMap, setUsersMap] = useState({}); // Cache for user names
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname)); // { tab, projectId, fileId }
+  const { tab: activeTab, projectId: selectedProjectId } = route;
+  const listSearchRef = useRef(''); // 离开列表页时的查询串，返回列表时恢复筛选
+  // 深链接打开时项目列表可能尚未加载，单独订阅当前项目文档
+  const [directProject, setDirectProject] = useState({ id: null, project: null });
+  // 项目列表的分页状态：key 为服务端查询条件，cursors[i] 为第 i 页 startAfter 的文档 (第一页为 null)，
+  // pages[i] 为该页最新的快照 { docs, pending }
+  const [listPaging, setListPaging] = useState({ key: null, cursors: [null], pages: [] });
+  const [projectCounts, setProjectCounts] = useState(null); // 仪表盘统计 (聚合查询)
+  const [deadlineProjects, setDeadlineProjects] = useState([]); // 已逾期 / 即将到期的项目
+  // 列表中的项目，多页之间按 id 去重 (项目更新后可能在两页的快照里同时出现)
+  const projects = useMemo(() => {
+    const seen = new Set();
+    return listPaging.pages.flatMap(page => page?.docs || [])
+      .filter(d => !seen.has(d.id) && seen.add(d.id))
+      .map(d => ({ id: d.id, ...d.data() }));
+  }, [listPaging.pages]);
+  const hasMoreProjects = listPaging.pages.length === listPaging.cursors.length 
+    && listPaging.pages[listPaging.pages.length - 1]?.docs.length === PROJECT_PAGE_SIZE;
+  const loadingProjects = listPaging.pages.filter(Boolean).length < listPaging.cursors.length;
+  // 详情页以项目文档自身的实时订阅为准；列表中的副本可能来自已停止订阅的页面，只在直接订阅返回前使用
+  const [reviewDecisions, setReviewDecisions] = useState({ projectId: null, items: [] });
+  const selectedProject = useMemo(() => attachReviewDecisions(
+    directProject.id === selectedProjectId 
+      ? directProject.project 
+      : projects.find(p => p.id === selectedProjectId) || null,
+    reviewDecisions.projectId === selectedProjectId ? reviewDecisions.items : []
+  ), [directProject, projects, selectedProjectId, reviewDecisions]);
+  const [loading, setLoading] = useState(true);
+  const [comments, setComments] = useState({ projectId: null, items: [] });
+  const [revisions, setRevisions] = useState({ projectId: null, items: [] }); // 需求描述修订，新的在前
+  const [projectLogs, setProjectLogs] = useState({ projectId: null, items: [] });
+  const [annotations, setAnnotations] = useState({ projectId: null, items: [] });
+  const [recentLogs, setRecentLogs] = useState([]); // 全局动态
+  const [boardSettings, setBoardSettings] = useState({}); // { wipLimits: { [status]: number } }
+  const [trashedProjects, setTrashedProjects] = useState([]); // 只在回收站页订阅
+  const [trashSettings, setTrashSettings] = useState({}); // { retentionDays }
+  const [templates, setTemplates] = useState([]);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [pendingWrites, setPendingWrites] = useState([]); // 已写入本地缓存、尚未被服务端确认的操作 [{ id, label }]
+  const [syncIssues, setSyncIssues] = useState([]); // 被服务端拒绝的写入：冲突或错误，需要用户处理
+  const [showSyncIssues, setShowSyncIssues] = useState(false);
+  // 切换项目后，新快照到达前不显示上一个项目的评论/动态
+  const projectComments = comments.projectId === selectedProjectId ? comments.items : [];
+  const projectActivity = projectLogs.projectId === selectedProjectId ? projectLogs.items : [];
+  const projectAnnotations = annotations.projectId === selectedProjectId ? annotations.items : [];
+  const projectRevisions = revisions.projectId === selectedProjectId ? revisions.items : [];
+
+  const navigate = (next, { replace = false } = {}) => {
+    if (activeTab === 'projects') listSearchRef.current = window.location.search;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', routePath(next));
+    setRoute({ tab: next.tab, projectId: next.projectId || null, fileId: next.fileId || null });
+  };
+
+  const openProject = (projectId) => navigate({ tab: 'detail', projectId });
+  const openProjectList = () => navigate({ tab: 'projects', search: listSearchRef.current });
+
+  // Browser back / forward
+  useEffect(() => {
+    const handlePopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Auth Initialization
+  useEffect(() => {
+    const initAuth = async () => {
+      try {
+        // 优先检查是否有初始 Token
+        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
+           await signInWithCustomToken(auth, __initial_auth_token);
+        } else if (isSignInWithEmailLink(auth, window.location.href)) {
+           await completeEmailLinkSignIn();
+        }
+        // 其余情况沿用持久化的登录状态；未登录时显示登录页
+      } catch(e) {
+        console.error("Auth failed", e);
+        alert(authErrorMessage(e));
+      } finally {
+        await auth.authStateReady();
+        setIsAnonymous(!!auth.currentUser?.isAnonymous);
+        setLoading(false);
+      }
+    };
+    initAuth();
+
+    let unsubProfile = null;
+    const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
+      setUser(currentUser);
+      setIsAnonymous(!!currentUser?.isAnonymous);
+      unsubProfile?.();
+      unsubProfile = null;
+      setUserData(null);
+      if (currentUser) {
+        // Fetch extended user profile
+        const userRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.USERS, currentUser.uid);
+        // We use onSnapshot for user profile to get real-time role updates
+        let claimsSyncedAt; // undefined until the first snapshot
+        unsubProfile = onSnapshot(userRef, (docSnap) => {
+          if (docSnap.exists()) {
+            const profile = docSnap.data();
+            // 角色变更后由 Cloud Function 写入 custom claims 并更新 claimsUpdatedAt，刷新 token 以使新权限生效
+            const syncedAt = profile.claimsUpdatedAt?.seconds || null;
+            if (claimsSyncedAt !== undefined && syncedAt !== claimsSyncedAt) {
+              currentUser.getIdToken(true).catch(console.error);
+            }
+            claimsSyncedAt = syncedAt;
+            setUserData(profile);
+          } else {
+            // Create default profile if not exists
+            const defaultProfile = {
+              uid: currentUser.uid,
+              name: currentUser.displayName || currentUser.email?.split('@')[0] || `User-${currentUser.uid.substring(0,4)}`,
+              role: 'GUEST',
+              avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${currentUser.uid}`,
+              joinedAt: serverTimestamp()
+            };
+            setDoc(userRef, defaultProfile);
+            setUserData(defaultProfile);
+          }
+        });
+      }
+    });
+    return () => {
+      unsubscribe();
+      unsubProfile?.();
+    };
+  }, []);
+
+  // 网络状态，用于同步指示和暂停上传
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Data Fetching (Projects & Users)
+  useEffect(() => {
+    if (!user) return;
+
+    // 项目按页在列表页订阅 (见下方)，这里不再加载整个 projects 集合
+
+    // Fetch All Users (for mapping IDs to names)
+    // 仍订阅整个 users 集合：@提及、负责人 / 审核人选择、权限管理和动态都需要全部成员，成员数量远小于项目数量
+    const usersQuery = getCollectionPath(COLLECTIONS.USERS);
+    const unsubUsers = onSnapshot(usersQuery, (snapshot) => {
+      const mapping = {};
+      snapshot.docs.forEach(doc => {
+        mapping[doc.id] = doc.data();
+      });
+      setUsersMap(mapping);
+    }, (error) => console.error("Error fetching users:", error));
+
+    // Global activity feed
+    const logsQuery = query(getCollectionPath(COLLECTIONS.LOGS), orderBy('createdAt', 'desc'), limit(20));
+    const unsubLogs = onSnapshot(logsQuery, (snapshot) => {
+      setRecentLogs(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error fetching activity:", error));
+
+    // Team settings
+    const unsubBoard = onSnapshot(doc(getCollectionPath(COLLECTIONS.SETTINGS), 'board'), (snap) => {
+      setBoardSettings(snap.exists() ? snap.data() : {});
+    }, (error) => console.error("Error fetching board settings:", error));
+    const unsubTrash = onSnapshot(doc(getCollectionPath(COLLECTIONS.SETTINGS), 'trash'), (snap) => {
+      setTrashSettings(snap.exists() ? snap.data() : {});
+    }, (error) => console.error("Error fetching trash settings:", error));
+
+    const unsubTemplates = onSnapshot(getCollectionPath(COLLECTIONS.TEMPLATES), (snapshot) => {
+      setTemplates(snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+    }, (error) => console.error("Error fetching templates:", error));
+
+    return () => {
+      unsubUsers();
+      unsubLogs();
+      unsubBoard();
+      unsubTrash();
+      unsubTemplates();
+    };
+  }, [user]);
+
+  const isListTab = activeTab === 'projects';
+
+  // 只有尚未收到数据的页面和视口内有项目的页面保持实时订阅，滚出视口的页面保留最后一次快照的数据
+  const { key: listKey, cursors: listCursors } = listPaging;
+  const [visibleProjectIds, setVisibleProjectIds] = useState(null);
+  const livePageIndexes = listCursors.map((_, index) => index).filter(index => {
+    const page = listPaging.pages[index];
+    return !page || !visibleProjectIds || page.docs.some(d => visibleProjectIds.includes(d.id));
+  }).join(',');
+  const listSubsRef = useRef(new Map());
+  useEffect(() => {
+    const subs = listSubsRef.current;
+    const wanted = new Map();
+    if (user && isListTab && listKey !== null && livePageIndexes) {
+      livePageIndexes.split(',').map(Number).forEach(index => wanted.set(`${index}:${listKey}`, index));
+    }
+    subs.forEach((unsub, id) => {
+      if (wanted.has(id)) return;
+      unsub();
+      subs.delete(id);
+    });
+    wanted.forEach((index, id) => {
+      if (subs.has(id)) return;
+      const cursor = listCursors[index];
+      subs.set(id, onSnapshot(
+        query(getCollectionPath(COLLECTIONS.PROJECTS), ...projectListConstraints(listKey), ...(cursor ? [startAfter(cursor)] : []), limit(PROJECT_PAGE_SIZE)),
+        { includeMetadataChanges: true },
+        (snapshot) => setListPaging(prev => {
+          if (prev.key !== listKey) return prev;
+          const pages = [...prev.pages];
+          pages[index] = { docs: snapshot.docs, pending: snapshot.metadata.hasPendingWrites };
+          return { ...prev, pages };
+        }),
+        (error) => console.error("Error fetching projects:", error)
+      ));
+    });
+  }, [user, isListTab, listKey, listCursors, livePageIndexes]);
+  useEffect(() => {
+    const subs = listSubsRef.current;
+    return () => {
+      subs.forEach(unsub => unsub());
+      subs.clear();
+    };
+  }, []);
+
+  // 列表的服务端查询条件变化后从第一页重新加载
+  const handleListQueryChange = (key) => {
+    setListPaging(prev => (prev.key === key ? prev : { key, cursors: [null], pages: [] }));
+  };
+
+  const loadMoreProjects = () => {
+    setListPaging(prev => {
+      const last = prev.pages[prev.cursors.length - 1];
+      if (!last || last.docs.length < PROJECT_PAGE_SIZE) return prev;
+      return { ...prev, cursors: [...prev.cursors, last.docs[last.docs.length - 1]] };
+    });
+  };
+
+  // 仪表盘统计用聚合查询 (count)，进入仪表盘时刷新；导航栏的项目数和看板各列的数量 (WIP) 也来自这里。
+  // 列表页中已加载项目的状态变化 (例如看板拖拽) 后重新统计
+  const isDashboardTab = activeTab === 'dashboard';
+  const loadedStatuses = isListTab ? projects.map(p => `${p.id}:${p.status}:${!!p.archived}`).join(',') : '';
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    const countOf = (...constraints) => getCountFromServer(query(getCollectionPath(COLLECTIONS.PROJECTS), 
+      where('deleted', '==', false), where('archived', '==', false), ...constraints))
+      .then(snap => snap.data().count);
+    Promise.all([countOf(), ...STATUS_ORDER.map(status => countOf(where('status', '==', status)))])
+      .then(([total, ...byStatus]) => {
+        if (!cancelled) setProjectCounts({ total, ...Object.fromEntries(STATUS_ORDER.map((status, i) => [status, byStatus[i]])) });
+      })
+      .catch((error) => console.error("Error counting projects:", error));
+    return () => { cancelled = true; };
+  }, [user, isDashboardTab, loadedStatuses]);
+
+  // 仪表盘的截止提醒：只订阅截止日期在提醒范围内的项目
+  useEffect(() => {
+    if (!user || !isDashboardTab) return;
+    const soon = new Date(Date.now() + DUE_SOON_DAYS * 24 * 60 * 60 * 1000);
+    const soonDate = `${soon.getFullYear()}-${String(soon.getMonth() + 1).padStart(2, '0')}-${String(soon.getDate()).padStart(2, '0')}`;
+    const deadlinesQuery = query(getCollectionPath(COLLECTIONS.PROJECTS), 
+      where('deleted', '==', false), where('archived', '==', false), where('status', 'in', OPEN_STATUSES),
+      where('dueDate', '<=', soonDate), orderBy('dueDate'), limit(50));
+    const unsub = onSnapshot(deadlinesQuery, (snapshot) => {
+      setDeadlineProjects(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error fetching deadlines:", error));
+    return () => unsub();
+  }, [user, isDashboardTab]);
+
+  const isTrashTab = activeTab === 'trash';
+  useEffect(() => {
+    if (!user || !isTrashTab) return;
+    const trashQuery = query(getCollectionPath(COLLECTIONS.PROJECTS), where('deleted', '==', true), orderBy('deletedAt', 'desc'));
+    const unsub = onSnapshot(trashQuery, (snapshot) => {
+      setTrashedProjects(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error fetching trash:", error));
+    return () => unsub();
+  }, [user, isTrashTab]);
+
+  // Comments & activity of the open project
+  useEffect(() => {
+    if (!user || !selectedProjectId) return;
+
+    const unsubProject = onSnapshot(doc(getCollectionPath(COLLECTIONS.PROJECTS), selectedProjectId), (snap) => {
+      setDirectProject({
+        id: selectedProjectId,
+        project: snap.exists() ? { id: snap.id, ...snap.data() } : null,
+        missing: !snap.exists()
+      });
+    }, (error) => console.error("Error fetching project:", error));
+
+    const commentsQuery = query(getProjectSubcollection(selectedProjectId, COLLECTIONS.COMMENTS), orderBy('createdAt'));
+    const unsubComments = onSnapshot(commentsQuery, (snapshot) => {
+      setComments({
+        projectId: selectedProjectId,
+        items: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+      });
+    }, (error) => console.error("Error fetching comments:", error));
+
+    // Project timeline (需要 projectId + createdAt 复合索引，见 firestore.indexes.json)
+    const logsQuery = query(
+      getCollectionPath(COLLECTIONS.LOGS),
+      where('projectId', '==', selectedProjectId),
+      orderBy('createdAt', 'desc'),
+      limit(200)
+    );
+    const unsubLogs = onSnapshot(logsQuery, (snapshot) => {
+      setProjectLogs({
+        projectId: selectedProjectId,
+        items: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+      });
+    }, (error) => console.error("Error fetching project activity:", error));
+
+    const revisionsQuery = query(getProjectSubcollection(selectedProjectId, COLLECTIONS.REVISIONS), orderBy('number', 'desc'));
+    const unsubRevisions = onSnapshot(revisionsQuery, (snapshot) => {
+      setRevisions({
+        projectId: selectedProjectId,
+        items: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+      });
+    }, (error) => console.error("Error fetching revisions:", error));
+
+    const annotationsQuery = query(getProjectSubcollection(selectedProjectId, COLLECTIONS.ANNOTATIONS), orderBy('createdAt'));
+    const unsubAnnotations = onSnapshot(annotationsQuery, (snapshot) => {
+      setAnnotations({
+        projectId: selectedProjectId,
+        items: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+      });
+    }, (error) => console.error("Error fetching annotations:", error));
+
+    // 结论时间由服务端写入，本地尚未确认的结论用估计时间
+    const decisionsQuery = query(getProjectSubcollection(selectedProjectId, COLLECTIONS.REVIEW_DECISIONS), orderBy('at'));
+    const unsubDecisions = onSnapshot(decisionsQuery, (snapshot) => {
+      setReviewDecisions({
+        projectId: selectedProjectId,
+        items: snapshot.docs.map(doc => {
+          const data = doc.data({ serverTimestamps: 'estimate' });
+          return { id: doc.id, ...data, at: data.at?.toDate().toISOString() };
+        })
+      });
+    }, (error) => console.error("Error fetching review decisions:", error));
+
+    return () => {
+      unsubProject();
+      unsubComments();
+      unsubLogs();
+      unsubRevisions();
+      unsubAnnotations();
+      unsubDecisions();
+    };
+  }, [user, selectedProjectId]);
+
+  // --- Actions ---
+  // 每个变更与其活动日志放在同一个 batch 中提交，保证两者同时成功或失败
+
+  // 已加载的项目：列表页、当前打开的项目、仪表盘的截止提醒
+  const findProject = (projectId) => (selectedProject?.id === projectId ? selectedProject : null)
+    || projects.find(p => p.id === projectId) 
+    || deadlineProjects.find(p => p.id === projectId);
+  const trashRetentionDays = trashSettings.retentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+
+  const handleCreateProject = async (data) => {
+    if (!user) return;
+    if (!can(userData?.role, 'createProject')) return alert("当前角色无权创建项目");
+    const { templateId, ...fields } = data;
+    const template = templateId ? templates.find(t => t.id === templateId) : null;
+    try {
+      const batch = writeBatch(db);
+      const projectRef = doc(getCollectionPath(COLLECTIONS.PROJECTS));
+      batch.set(projectRef, {
+        ...fields,
+        createdBy: user.uid,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        status: 'pending',
+        priority: data.priority || DEFAULT_PRIORITY,
+        dueDate: data.dueDate || null,
+        assignees: [],
+        reviewerId: null,
+        descriptionRevision: 1,
+        // 列表查询按这两个字段过滤，新项目必须带上
+        deleted: false,
+        archived: false,
+        ...(template && instantiateTemplate(template, user.uid)),
+        inputs: [], // Array of input files
+        outputs: [] // Array of output files
+      });
+      // 创建时的描述作为第 1 个修订
+      batch.set(doc(getProjectSubcollection(projectRef.id, COLLECTIONS.REVISIONS)), {
+        number: 1,
+        description: data.description || '',
+        authorId: user.uid,
+        createdAt: serverTimestamp()
+      });
+      logActivity(batch, { type: 'project_create', actorId: user.uid, project: { id: projectRef.id, title: data.title } });
+      // 离线时写入排队，项目先出现在本地缓存中
+      if (!(await commitWrite(batch, { label: `创建项目「${data.title}」` }))) return;
+      navigate({ tab: 'projects', search: window.location.search });
+    } catch (error) {
+      console.error("Error creating project:", error);
+      alert("创建失败，请重试");
+    }
+  };
+
+  const handleCloneProject = async (projectId) => {
+    if (!user || !can(userData?.role, 'createProject')) return;
+    const source = findProject(projectId);
+    if (!source) return;
+    try {
+      const batch = writeBatch(db);
+      const projectRef = doc(getCollectionPath(COLLECTIONS.PROJECTS));
+      const fields = buildProjectClone(source);
+      batch.set(projectRef, {
+        ...fields,
+        createdBy: user.uid,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        status: 'pending',
+        dueDate: null,
+        assignees: [],
+        reviewerId: null,
+        descriptionRevision: 1,
+        deleted: false,
+        archived: false,
+        outputs: []
+      });
+      batch.set(doc(getProjectSubcollection(projectRef.id, COLLECTIONS.REVISIONS)), {
+        number: 1,
+        description: fields.description,
+        authorId: user.uid,
+        createdAt: serverTimestamp()
+      });
+      logActivity(batch, {
+        type: 'project_create',
+        actorId: user.uid,
+        project: { id: projectRef.id, title: fields.title },
+        details: { clonedFrom: { id: source.id, title: source.title } }
+      });
+      if (!(await commitWrite(batch, { label: `复制项目「${source.title}」` }))) return;
+      openProject(projectRef.id);
+    } catch (error) {
+      console.error("Error cloning project:", error);
+      alert("复制项目失败，请重试");
+    }
+  };
+
+  // --- Offline Sync ---
+  const addSyncIssue = (issue) => {
+    setSyncIssues(list => [...list, { id: crypto.randomUUID(), ...issue }]);
+    setShowSyncIssues(true);
+  };
+
+  // 字段编辑 (项目信息、需求关联) 写入 editVersion = 所基于的版本 + 1，描述写入 descriptionRevision，
+  // 规则要求基于服务端当前版本。期间被他人修改过时生成冲突，retry 记录在最新数据上重新执行的操作。
+  // 需求项在事务中按项合并，见 handleSaveRequirement
+  const isStaleEdit = (current, project) => (current.editVersion || 0) !== (project.editVersion || 0)
+    || (current.descriptionRevision || 0) !== (project.descriptionRevision || 0);
+  const editConflict = (project, label, retry) => ({ kind: 'edit', projectId: project.id, title: project.title, label, retry });
+  const onEditReject = (project, label, retry) => async () => {
+    const current = (await getDoc(doc(getCollectionPath(COLLECTIONS.PROJECTS), project.id))).data();
+    return current && isStaleEdit(current, project) ? editConflict(project, label, retry) : null;
+  };
+
+  // 提交写入：写入会立即进入本地缓存，离线时不等待服务端确认直接返回 true，联网后由 SDK 自动提交。
+  // 服务端拒绝时不静默覆盖，由 onReject 读取最新数据判断是否为冲突，结果交给用户处理
+  const commitWrite = (batch, { label, onReject }) => {
+    const id = crypto.randomUUID();
+    setPendingWrites(list => [...list, { id, label }]);
+    const settled = batch.commit()
+      .then(() => true)
+      .catch(async (e) => {
+        console.error(e);
+        const conflict = e.code === 'permission-denied' ? await onReject?.().catch(() => null) : null;
+        addSyncIssue(conflict || { kind: 'error', label, message: e.message });
+        return false;
+      })
+      .finally(() => setPendingWrites(list => list.filter(w => w.id !== id)));
+    return navigator.onLine ? settled : Promise.resolve(true);
+  };
+
+  // extraUpdates: 与状态变更一起写入的字段 (看板拖拽时的 boardOrder)
+  const handleUpdateStatus = async (projectId, newStatus, extraUpdates = {}) => {
+    if (!user) return false;
+    const project = findProject(projectId);
+    if (!project) return false;
+    const check = checkStatusTransition(project, newStatus, userData?.role);
+    if (!check.allowed) {
+      alert(check.reason);
+      return false;
+    }
+    const batch = writeBatch(db);
+    const projectRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.PROJECTS, projectId);
+    // statusFrom 记录变更基于的状态；规则要求它与服务端当前状态一致，离线期间被他人改过则拒绝
+    batch.update(projectRef, {
+      ...extraUpdates,
+      status: newStatus,
+      statusFrom: project.status,
+      updatedAt: serverTimestamp()
+    });
+    logActivity(batch, { type: 'status_change', actorId: user.uid, project, details: { from: project.status, to: newStatus } });
+    return commitWrite(batch, {
+      label: `「${project.title}」状态改为「${STATUS_MAP[newStatus]?.label || newStatus}」`,
+      onReject: async () => {
+        const current = (await getDoc(projectRef)).data();
+        if (!current || current.status === project.status) return null;
+        return { kind: 'status', projectId, title: project.title, base: project.status, mine: newStatus, theirs: current.status, extraUpdates };
+      }
+    });
+  };
+
+  // 批量操作：apply(batch, item) 写入单个项目，按 BULK_BATCH_SIZE 分批提交
+  const commitBulk = async (items, label, apply) => {
+    let ok = true;
+    for (let i = 0; i < items.length; i += BULK_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      items.slice(i, i + BULK_BATCH_SIZE).forEach(item => apply(batch, item));
+      ok = (await commitWrite(batch, { label })) && ok;
+    }
+    return ok;
+  };
+
+  // 逐个检查流转条件，不满足的项目跳过
+  const handleBulkUpdateStatus = async (projectIds, newStatus) => {
+    if (!user) return false;
+    const label = STATUS_MAP[newStatus].label;
+    const targets = projectIds.map(findProject).filter(p => p && p.status !== newStatus);
+    const allowed = targets.filter(p => checkStatusTransition(p, newStatus, userData?.role).allowed);
+    const skipped = targets.length - allowed.length;
+    if (!allowed.length) {
+      if (skipped) alert(`所选项目都不满足变更为「${label}」的条件`);
+      return !skipped;
+    }
+    if (skipped && !confirm(`${skipped} 个项目不满足变更为「${label}」的条件，将被跳过。继续变更其余 ${allowed.length} 个项目吗？`)) return false;
+    return commitBulk(allowed, `批量将 ${allowed.length} 个项目改为「${label}」`, (batch, project) => {
+      batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), project.id), {
+        status: newStatus,
+        statusFrom: project.status,
+        updatedAt: serverTimestamp()
+      });
+      logActivity(batch, { type: 'status_change', actorId: user.uid, project, details: { from: project.status, to: newStatus } });
+    });
+  };
+
+  // 追加负责人，不替换已有的
+  const handleBulkAssign = async (projectIds, uid) => {
+    if (!user || !can(userData?.role, 'editProject')) return false;
+    const targets = projectIds.map(findProject).filter(p => p && !getProjectAssignees(p).includes(uid));
+    if (!targets.length) return true;
+    return commitBulk(targets, `批量指派 ${targets.length} 个项目`, (batch, project) => {
+      const from = getProjectAssignees(project);
+      batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), project.id), {
+        assignees: arrayUnion(uid),
+        updatedAt: serverTimestamp()
+      });
+      logActivity(batch, { type: 'project_update', actorId: user.uid, project, details: { changes: { assignees: { from, to: [...from, uid] } } } });
+    });
+  };
+
+  // 归档的项目默认不在列表中显示，可通过「已归档」筛选查看
+  const handleArchiveProjects = async (projectIds, archived) => {
+    if (!user || !can(userData?.role, 'archiveProject')) return false;
+    const targets = projectIds.map(findProject).filter(p => p && !!p.archived !== archived);
+    if (!targets.length) return true;
+    return commitBulk(targets, `${archived ? '归档' : '取消归档'} ${targets.length} 个项目`, (batch, project) => {
+      batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), project.id), archived
+        ? { archived: true, archivedAt: serverTimestamp(), archivedBy: user.uid }
+        : { archived: false, archivedAt: deleteField(), archivedBy: deleteField() });
+      logActivity(batch, { type: archived ? 'project_archive' : 'project_unarchive', actorId: user.uid, project });
+    });
+  };
+
+  // 处理同步问题；keepMine 为 true 时基于最新数据重新提交自己的修改
+  const handleResolveSyncIssue = async (issue, keepMine) => {
+    setSyncIssues(list => list.filter(i => i.id !== issue.id));
+    if (!keepMine) return;
+    if (issue.kind === 'status') {
+      await handleUpdateStatus(issue.projectId, issue.mine, issue.extraUpdates);
+    } else if (issue.kind === 'version') {
+      const project = findProject(issue.projectId);
+      const versions = (project?.[issue.type] || [])
+        .filter(f => (f.artifactId || f.id) === issue.fileData.artifactId)
+        .map(f => f.version || 1);
+      await handleAddFile(issue.projectId, { ...issue.fileData, version: Math.max(0, ...versions) + 1 }, issue.type);
+    } else if (issue.kind === 'edit') {
+      const retry = {
+        info: handleUpdateProjectInfo,
+        // 基于最新修订保存，对方的描述仍保留在修订记录中
+        description: (projectId, description) => handleSaveDescription(projectId, description, findProject(projectId)?.descriptionRevision || 0),
+        requirement: handleSaveRequirement,
+        deleteRequirement: handleDeleteRequirement,
+        links: handleLinkRequirements
+      }[issue.retry.action];
+      await retry(issue.projectId, ...issue.retry.args);
+    }
+  };
+
+  // 每次保存描述都写入一个修订；baseRevision 为开始编辑时的修订号，用于发现并发修改
+  const handleSaveDescription = async (projectId, description, baseRevision) => {
+    if (!user || !can(userData?.role, 'editProject')) return false;
+    const project = findProject(projectId);
+    if (!project) return false;
+    if (description === (project.description || '')) return true;
+    const current = project.descriptionRevision || 0;
+    if (current !== baseRevision && !confirm('编辑期间描述已被其他人修改，保存将覆盖对方的修改 (对方版本仍保留在修订记录中)。继续保存吗？')) {
+      return false;
+    }
+    try {
+      const batch = writeBatch(db);
+      const revisionsRef = getProjectSubcollection(projectId, COLLECTIONS.REVISIONS);
+      let number = current + 1;
+      // 早于修订功能创建的项目：先把原描述补记为第 1 个修订
+      if (!current) {
+        batch.set(doc(revisionsRef), {
+          number: 1,
+          description: project.description || '',
+          authorId: project.createdBy,
+          createdAt: project.createdAt || serverTimestamp()
+        });
+        number = 2;
+      }
+      batch.set(doc(revisionsRef), { number, description, authorId: user.uid, createdAt: serverTimestamp() });
+      batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId), {
+        description,
+        descriptionRevision: number,
+        updatedAt: serverTimestamp()
+      });
+      logActivity(batch, { type: 'description_edit', actorId: user.uid, project, details: { revision: number } });
+      const label = `「${project.title}」修改描述`;
+      return commitWrite(batch, { label, onReject: onEditReject(project, label, { action: 'description', args: [description] }) });
+    } catch (e) {
+      console.error(e);
+      alert("保存描述失败");
+      return false;
+    }
+  };
+
+  // 负责人 / 审核人 / 截止日期 / 优先级
+  // patch.assignees 为修改后的完整列表；重新提交时改用 assigneeChange ({ add, remove })，把最初的增减应用到最新的列表上
+  const handleUpdateProjectInfo = async (projectId, patch, assigneeChange = null) => {
+    if (!user || !can(userData?.role, 'editProject')) return;
+    const project = findProject(projectId);
+    if (!project) return;
+    // 负责人用 arrayUnion / arrayRemove 合并他人的同时修改，不参与版本检查
+    const { assignees, ...fields } = patch;
+    const before = getProjectAssignees(project);
+    const assigneeDelta = assigneeChange || (assignees && {
+      add: assignees.filter(uid => !before.includes(uid)),
+      remove: before.filter(uid => !assignees.includes(uid))
+    });
+    // 同一字段在一次更新中只能用 arrayUnion 或 arrayRemove 之一；界面每次只添加或移除一人
+    if (assigneeDelta?.add.length && assigneeDelta.remove.length) return alert("一次只能添加或移除负责人");
+    const after = assigneeDelta 
+      && [...before.filter(uid => !assigneeDelta.remove.includes(uid)), ...assigneeDelta.add.filter(uid => !before.includes(uid))];
+    const changes = {};
+    Object.entries({ ...fields, ...(after && { assignees: after }) }).forEach(([key, value]) => {
+      if (JSON.stringify(project[key] ?? null) !== JSON.stringify(value ?? null)) {
+        changes[key] = { from: project[key] ?? null, to: value ?? null };
+      }
+    });
+    if (!Object.keys(changes).length) return;
+    const updates = { ...fields, updatedAt: serverTimestamp() };
+    if (Object.keys(fields).length) updates.editVersion = (project.editVersion || 0) + 1;
+    if (changes.assignees) {
+      updates.assignees = assigneeDelta.add.length ? arrayUnion(...assigneeDelta.add) : arrayRemove(...assigneeDelta.remove);
+    }
+    const batch = writeBatch(db);
+    batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId), updates);
+    logActivity(batch, { type: 'project_update', actorId: user.uid, project, details: { changes } });
+    const label = `「${project.title}」修改${Object.keys(changes).map(key => PROJECT_FIELD_LABELS[key] || key).join('、')}`;
+    return commitWrite(batch, { label, onReject: onEditReject(project, label, { action: 'info', args: [fields, assigneeDelta] }) });
+  };
+
+  // 需求项整体存放在项目文档的 requirements 数组中。与删除文件一样在事务中基于服务端最新数据改写，
+  // 按需求项合并：每个需求项带修改次数 rev，只有同一需求项在此期间被他人修改时才生成冲突，
+  // 他人对其他需求项或其他字段的修改会保留，新编号也不会重复。editVersion 基于服务端当前值加一。事务需要联网
+  const requirementChanged = (current, base) => (current?.rev || 0) !== (base?.rev || 0);
+
+  const handleSaveRequirement = async (projectId, item) => {
+    if (!user || !can(userData?.role, 'editProject')) return false;
+    const project = findProject(projectId);
+    if (!project) return false;
+    const base = item.id ? project.requirements?.find(r => r.id === item.id) : null;
+    const conflict = editConflict(project, `「${project.title}」保存需求项${item.title ? ` ${item.title}` : ''}`, { action: 'requirement', args: [item] });
+    try {
+      const projectRef = doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId);
+      await runTransaction(db, async (transaction) => {
+        const snap = await transaction.get(projectRef);
+        if (!snap.exists()) throw new Error('项目不存在');
+        const requirements = snap.data().requirements || [];
+        const existing = item.id ? requirements.find(r => r.id === item.id) : null;
+        if (item.id && !existing) throw new Error('需求项已被删除');
+        if (existing && requirementChanged(existing, base)) throw conflict;
+        const saved = existing 
+          ? { ...existing, ...item, rev: (existing.rev || 0) + 1 } 
+          : { ...item, id: crypto.randomUUID(), code: nextRequirementCode(requirements), status: item.status || 'open', createdBy: user.uid };
+        transaction.update(projectRef, {
+          requirements: existing ? requirements.map(r => r.id === item.id ? saved : r) : [...requirements, saved],
+          editVersion: (snap.data().editVersion || 0) + 1,
+          updatedAt: serverTimestamp()
+        });
+        logActivity(transaction, {
+          type: existing ? 'requirement_update' : 'requirement_add',
+          actorId: user.uid,
+          project,
+          details: { 
+            requirementId: saved.id, code: saved.code, title: saved.title,
+            statusTo: existing && existing.status !== saved.status ? saved.status : null
+          }
+        });
+      });
+      return true;
+    } catch (e) {
+      if (e === conflict) {
+        addSyncIssue(conflict);
+        return false;
+      }
+      console.error(e);
+      alert(navigator.onLine ? `保存需求项失败${e.message === '需求项已被删除' ? '：该需求项已被他人删除' : ''}` : "保存需求项需要联网");
+      return false;
+    }
+  };
+
+  const handleDeleteRequirement = async (projectId, requirementId) => {
+    if (!user || !can(userData?.role, 'editProject')) return;
+    const project = findProject(projectId);
+    const item = project?.requirements?.find(r => r.id === requirementId);
+    if (!item || !confirm(`确定删除需求项 ${item.code} 吗？`)) return;
+    const conflict = editConflict(project, `「${project.title}」删除需求项 ${item.code}`, { action: 'deleteRequirement', args: [requirementId] });
+    try {
+      const projectRef = doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId);
+      await runTransaction(db, async (transaction) => {
+        const snap = await transaction.get(projectRef);
+        if (!snap.exists()) throw new Error('项目不存在');
+        const requirements = snap.data().requirements || [];
+        const current = requirements.find(r => r.id === requirementId);
+        // 已被他人删除时无需再写；删除前被他人修改过则由用户确认
+        if (!current) return;
+        if (requirementChanged(current, item)) throw conflict;
+        transaction.update(projectRef, {
+          requirements: requirements.filter(r => r.id !== requirementId),
+          editVersion: (snap.data().editVersion || 0) + 1,
+          updatedAt: serverTimestamp()
+        });
+        logActivity(transaction, { type: 'requirement_delete', actorId: user.uid, project, details: { requirementId, code: item.code } });
+      });
+    } catch (e) {
+      if (e === conflict) {
+        addSyncIssue(conflict);
+        return;
+      }
+      console.error(e);
+      alert(navigator.onLine ? "删除需求项失败" : "删除需求项需要联网");
+    }
+  };
+
+  const handleLinkRequirements = async (projectId, artifact, requirementIds) => {
+    if (!user || !can(userData?.role, 'addFile')) return;
+    const project = findProject(projectId);
+    if (!project) return;
+    const batch = writeBatch(db);
+    batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId), {
+      [`requirementLinks.${artifact.artifactId}`]: requirementIds,
+      editVersion: (project.editVersion || 0) + 1,
+      updatedAt: serverTimestamp()
+    });
+    logActivity(batch, {
+      type: 'requirement_link',
+      actorId: user.uid,
+      project,
+      details: {
+        artifactId: artifact.artifactId,
+        name: artifact.current.name,
+        codes: (project.requirements || []).filter(r => requirementIds.includes(r.id)).map(r => r.code)
+      }
+    });
+    const label = `「${project.title}」关联 ${artifact.current.name} 的需求`;
+    return commitWrite(batch, { label, onReject: onEditReject(project, label, { action: 'links', args: [artifact, requirementIds] }) });
+  };
+
+  const handleRequestReview = async (projectId, file, reviewerIds) => {
+    const project = findProject(projectId);
+    if (!user || !project || !canRequestReview(userData, project) || !reviewerIds.length) return false;
+    // 发起人和上传者不能担任审核人
+    if (reviewerIds.includes(user.uid) || reviewerIds.includes(file.addedBy)) return false;
+    try {
+      // 规则按 lastReview 找到本次修改的审核请求，并用 index 核对文件及其上传者
+      const batch = writeBatch(db);
+      batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId), {
+        [`reviews.${file.id}`]: {
+          artifactId: file.artifactId || file.id,
+          version: file.version || 1,
+          reviewers: reviewerIds,
+          requestedBy: user.uid,
+          requestedAt: serverTimestamp()
+        },
+        lastReview: { fileId: file.id, index: (project.outputs || []).findIndex(f => f.id === file.id) },
+        approvalsComplete: false,
+        updatedAt: serverTimestamp()
+      });
+      logActivity(batch, {
+        type: 'review_request',
+        actorId: user.uid,
+        project,
+        details: { fileId: file.id, name: file.name, version: file.version || 1, reviewerIds, reviewerNames: reviewerIds.map(uid => usersMap[uid]?.name || uid) }
+      });
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert("发起审核失败");
+      return false;
+    }
+  };
+
+  const handleReviewDecision = async (projectId, file, decision, comment) => {
+    if (!user) return false;
+    const project = findProject(projectId);
+    const review = project?.reviews?.[file.id];
+    if (!review?.reviewers.includes(user.uid)) {
+      alert("你不是该文件版本的审核人");
+      return false;
+    }
+    try {
+      // 规则要求 reviewerId 为本人、本人在该审核请求的审核人中，时间为服务端时间
+      const batch = writeBatch(db);
+      batch.set(doc(getProjectSubcollection(projectId, COLLECTIONS.REVIEW_DECISIONS)), {
+        fileId: file.id,
+        requestedAt: review.requestedAt,
+        reviewerId: user.uid,
+        decision,
+        comment,
+        at: serverTimestamp()
+      });
+      logActivity(batch, {
+        type: 'review_decision',
+        actorId: user.uid,
+        project,
+        details: { fileId: file.id, name: file.name, version: file.version || 1, decision, comment }
+      });
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert("提交审核结论失败");
+      return false;
+    }
+  };
+
+  // 看板拖拽：跨列走 handleUpdateStatus (同样受状态流转规则约束)，同列只调整顺序
+  const handleMoveProject = async (projectId, status, boardOrder) => {
+    const project = findProject(projectId);
+    if (!project) return false;
+    if (project.status !== status) return handleUpdateStatus(projectId, status, { boardOrder });
+    try {
+      // 纯排序不更新 updatedAt，也不写动态，避免刷屏
+      const batch = writeBatch(db);
+      batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId), { boardOrder });
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  };
+
+  const handleSaveTemplate = async (templateId, data) => {
+    if (!user || !can(userData?.role, 'manageTemplates')) return false;
+    try {
+      const batch = writeBatch(db);
+      const templateRef = templateId 
+        ? doc(getCollectionPath(COLLECTIONS.TEMPLATES), templateId) 
+        : doc(getCollectionPath(COLLECTIONS.TEMPLATES));
+      batch.set(templateRef, {
+        ...data,
+        ...(!templateId && { createdBy: user.uid, createdAt: serverTimestamp() }),
+        updatedBy: user.uid,
+        updatedAt: serverTimestamp()
+      }, { merge: true });
+      logActivity(batch, { type: 'template_save', actorId: user.uid, details: { templateId: templateRef.id, name: data.name, isNew: !templateId } });
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert("保存模板失败");
+      return false;
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!user || !can(userData?.role, 'manageTemplates')) return;
+    if (!confirm(`确定删除模板「${template.name}」吗？已创建的项目不受影响。`)) return;
+    try {
+      const batch = writeBatch(db);
+      batch.delete(doc(getCollectionPath(COLLECTIONS.TEMPLATES), template.id));
+      logActivity(batch, { type: 'template_delete', actorId: user.uid, details: { templateId: template.id, name: template.name } });
+      await batch.commit();
+    } catch (e) {
+      console.error(e);
+      alert("删除模板失败");
+    }
+  };
+
+  const handleSetWipLimit = async (status, wipLimit) => {
+    if (!user || !can(userData?.role, 'manageBoard')) return;
+    try {
+      await setDoc(doc(getCollectionPath(COLLECTIONS.SETTINGS), 'board'), {
+        wipLimits: { [status]: wipLimit }
+      }, { merge: true });
+    } catch (e) {
+      console.error(e);
+      alert("保存 WIP 上限失败");
+    }
+  };
+
+  const handleAddFile = async (projectId, fileData, type = 'inputs') => {
+    // fileData: { name, url, format, size, mimeType, checksum, storagePath }
+    if (!user) return false;
+    if (!can(userData?.role, 'addFile')) {
+      alert("当前角色无权添加文件");
+      return false;
+    }
+    
+    const project = findProject(projectId);
+    const batch = writeBatch(db);
+    const projectRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.PROJECTS, projectId);
+    const fileId = crypto.randomUUID();
+    // 未指定 artifactId 时视为新交付物的第一个版本
+    const newFile = {
+      artifactId: fileId,
+      version: 1,
+      note: '',
+      ...fileData,
+      id: fileId,
+      addedBy: user.uid,
+      addedAt: new Date().toISOString()
+    };
+    
+    // arrayUnion 追加，多个文件同时上传完成时不会互相覆盖
+    const updates = {
+      [type]: arrayUnion(newFile),
+      approvalsComplete: false,
+      updatedAt: serverTimestamp()
+    };
+    // 上传新版本 (supersede) 后，它即成为当前版本；
+    // lastSupersede 记录所基于的当前版本，规则要求其未被他人替换，避免离线上传的版本悄悄覆盖别人的新版本
+    const baseFileId = fileData.artifactId ? project?.currentVersions?.[fileData.artifactId] ?? null : null;
+    if (fileData.artifactId) {
+      updates[`currentVersions.${fileData.artifactId}`] = fileId;
+      updates.lastSupersede = { artifactId: fileData.artifactId, baseFileId, fileId };
+    }
+    batch.update(projectRef, updates);
+    logActivity(batch, {
+      type: 'file_add',
+      actorId: user.uid,
+      project,
+      details: { fileType: type, fileId, artifactId: newFile.artifactId, name: newFile.name, version: newFile.version }
+    });
+    return commitWrite(batch, {
+      label: `「${project?.title || ''}」添加文件 ${newFile.name}`,
+      onReject: async () => {
+        if (!fileData.artifactId) return null;
+        const current = (await getDoc(projectRef)).data();
+        const currentId = current?.currentVersions?.[fileData.artifactId] ?? null;
+        if (!current || currentId === baseFileId) return null;
+        const theirs = (current[type] || []).find(f => f.id === currentId);
+        return { kind: 'version', projectId, title: project?.title || '', type, fileData, theirs };
+      }
+    });
+  };
+
+  // 删除和排序需要改写整个文件数组，在事务中基于服务端最新数据进行：
+  // 期间有人追加文件时事务会重读重试，不会把对方的文件覆盖掉。事务需要联网
+  const handleRemoveFile = async (projectId, file, type) => {
+    if (!user) return;
+    const project = findProject(projectId);
+    if (!canRemoveFile(project, file, user.uid, userData?.role)) return;
+    if (!confirm(`确定删除 ${file.name} (v${file.version || 1}) 吗？`)) return;
+    try {
+      const projectRef = doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId);
+      await runTransaction(db, async (transaction) => {
+        const snap = await transaction.get(projectRef);
+        if (!snap.exists()) throw new Error('项目不存在');
+        const data = snap.data();
+        const artifactId = file.artifactId || file.id;
+        const updates = {
+          [type]: (data[type] || []).filter(f => f.id !== file.id),
+          approvalsComplete: false,
+          updatedAt: serverTimestamp()
+        };
+        // 删除当前版本后回到默认 (最高版本)
+        if (data.currentVersions?.[artifactId] === file.id) updates[`currentVersions.${artifactId}`] = deleteField();
+        // 签核记录不随文件删除：标记为已删除，并保留文件名和校验值供导出
+        if (data.reviews?.[file.id]) {
+          updates[`reviews.${file.id}.removed`] = { by: user.uid, at: new Date().toISOString(), name: file.name, checksum: file.checksum || null };
+          updates.lastReview = { fileId: file.id };
+        }
+        transaction.update(projectRef, updates);
+        logActivity(transaction, {
+          type: 'file_remove',
+          actorId: user.uid,
+          project,
+          details: { fileType: type, fileId: file.id, artifactId, name: file.name, version: file.version || 1 }
+        });
+      });
+    } catch (e) {
+      console.error(e);
+      alert(navigator.onLine ? "删除文件失败" : "删除文件需要联网");
+    }
+  };
+
+  // artifactIds: 调整后的交付物顺序
+  const handleReorderFiles = async (projectId, type, artifactIds) => {
+    if (!user || !can(userData?.role, 'addFile')) return;
+    try {
+      const projectRef = doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId);
+      // 纯排序不更新 updatedAt，也不写动态
+      await runTransaction(db, async (transaction) => {
+        const snap = await transaction.get(projectRef);
+        if (!snap.exists()) throw new Error('项目不存在');
+        transaction.update(projectRef, { 
+          [type]: orderFilesByArtifact(snap.data()[type] || [], artifactIds),
+          approvalsComplete: false
+        });
+      });
+    } catch (e) {
+      console.error(e);
+      alert(navigator.onLine ? "调整顺序失败" : "调整顺序需要联网");
+    }
+  };
+
+  const handleSetCurrentVersion = async (projectId, artifactId, fileId) => {
+    if (!user) return;
+    const project = findProject(projectId);
+    const file = [...(project?.inputs || []), ...(project?.outputs || [])].find(f => f.id === fileId);
+    try {
+      const batch = writeBatch(db);
+      const projectRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.PROJECTS, projectId);
+      batch.update(projectRef, {
+        [`currentVersions.${artifactId}`]: fileId,
+        approvalsComplete: false,
+        updatedAt: serverTimestamp()
+      });
+      logActivity(batch, {
+        type: 'file_set_current',
+        actorId: user.uid,
+        project,
+        details: { fileId, artifactId, name: file?.name || '', version: file?.version || 1 }
+      });
+      await batch.commit();
+    } catch (e) {
+      console.error(e);
+      alert("切换版本失败");
+    }
+  };
+
+  // 删除只是移入回收站，记录删除人和时间；保留期内可以恢复
+  const handleDeleteProject = async (projectId) => {
+    if (!user || !can(userData?.role, 'deleteProject')) return;
+    if (!confirm(`确定要将这个项目移入回收站吗？${trashRetentionDays} 天内可以恢复。`)) return;
+    try {
+      const batch = writeBatch(db);
+      batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), projectId), {
+        deleted: true,
+        deletedAt: serverTimestamp(),
+        deletedBy: user.uid
+      });
+      logActivity(batch, { type: 'project_trash', actorId: user.uid, project: findProject(projectId) || { id: projectId } });
+      await batch.commit();
+      if (selectedProjectId === projectId) openProjectList();
+    } catch (e) {
+      console.error(e);
+      alert("删除项目失败");
+    }
+  };
+
+  const handleRestoreProject = async (project) => {
+    if (!user || !can(userData?.role, 'deleteProject')) return;
+    try {
+      const batch = writeBatch(db);
+      batch.update(doc(getCollectionPath(COLLECTIONS.PROJECTS), project.id), {
+        deleted: false,
+        deletedAt: deleteField(),
+        deletedBy: deleteField()
+      });
+      logActivity(batch, { type: 'project_restore', actorId: user.uid, project });
+      await batch.commit();
+    } catch (e) {
+      console.error(e);
+      alert("恢复项目失败");
+    }
+  };
+
+  // 彻底删除已过保留期的回收站项目 (服务端规则同样校验保留期)
+  const handlePurgeProjects = async (items) => {
+    if (!user || !canPurge(userData)) return;
+    const expired = items.filter(p => getPurgeState(p, trashRetentionDays).expired);
+    if (!expired.length) return;
+    const names = expired.length === 1 ? `「${expired[0].title}」` : ` ${expired.length} 个项目`;
+    if (!confirm(`确定要彻底删除${names}吗？此操作不可恢复。`)) return;
+    // 评论、修订、标注、审核结论和存储中的文件由 functions 中的 cleanupPurgedProject 随后删除
+    return commitBulk(expired, `彻底删除${names}`, (batch, project) => {
+      batch.delete(doc(getCollectionPath(COLLECTIONS.PROJECTS), project.id));
+      // 日志保留项目标题，项目删除后动态中仍可辨认
+      logActivity(batch, { type: 'project_delete', actorId: user.uid, project, details: { purged: true } });
+    });
+  };
+
+  const handleSetTrashRetention = async (retentionDays) => {
+    if (!user || !canPurge(userData)) return;
+    try {
+      await setDoc(doc(getCollectionPath(COLLECTIONS.SETTINGS), 'trash'), { retentionDays }, { merge: true });
+    } catch (e) {
+      console.error(e);
+      alert("保存保留期失败");
+    }
+  };
+
+  const handleAddComment = async (projectId, { text, parentId = null, anchor = null }) => {
+    if (!user) return false;
+    try {
+      const batch = writeBatch(db);
+      const commentRef = doc(getProjectSubcollection(projectId, COLLECTIONS.COMMENTS));
+      const encoded = encodeMentions(text, usersMap);
+      batch.set(commentRef, {
+        text: encoded.text,
+        mentions: encoded.mentions,
+        parentId,
+        anchor, // { type, artifactId, fileId, name, version } | null
+        authorId: user.uid,
+        createdAt: serverTimestamp(),
+        editedAt: null,
+        deleted: false
+      });
+      logActivity(batch, {
+        type: 'comment_add',
+        actorId: user.uid,
+        project: findProject(projectId),
+        details: { commentId: commentRef.id, isReply: !!parentId, fileName: anchor?.name || null, mentions: encoded.mentions }
+      });
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert("评论发送失败");
+      return false;
+    }
+  };
+
+  const handleEditComment = async (projectId, comment, text) => {
+    if (!user || comment.authorId !== user.uid) return false;
+    try {
+      const batch = writeBatch(db);
+      const encoded = encodeMentions(text, usersMap);
+      batch.update(doc(getProjectSubcollection(projectId, COLLECTIONS.COMMENTS), comment.id), {
+        text: encoded.text,
+        mentions: encoded.mentions,
+        editedAt: serverTimestamp()
+      });
+      logActivity(batch, { type: 'comment_edit', actorId: user.uid, project: findProject(projectId), details: { commentId: comment.id } });
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert("评论修改失败");
+      return false;
+    }
+  };
+
+  const handleDeleteComment = async (projectId, comment, hasReplies) => {
+    if (!user || comment.authorId !== user.uid) return;
+    if (!confirm('确定要删除这条评论吗？')) return;
+    try {
+      const batch = writeBatch(db);
+      const commentRef = doc(getProjectSubcollection(projectId, COLLECTIONS.COMMENTS), comment.id);
+      // 有回复的评论只清空内容，保留线程结构
+      if (hasReplies) {
+        batch.update(commentRef, { text: '', mentions: [], deleted: true });
+      } else {
+        batch.delete(commentRef);
+      }
+      logActivity(batch, { type: 'comment_delete', actorId: user.uid, project: findProject(projectId), details: { commentId: comment.id } });
+      await batch.commit();
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // 标注绑定到具体文件版本 (fileId)；shape 使用相对图片尺寸的 0~1 坐标
+  const handleAddAnnotation = async (projectId, file, { type, shape, comment }) => {
+    if (!user || !can(userData?.role, 'annotate')) return false;
+    try {
+      const batch = writeBatch(db);
+      const annotationRef = doc(getProjectSubcollection(projectId, COLLECTIONS.ANNOTATIONS));
+      batch.set(annotationRef, {
+        fileId: file.id,
+        artifactId: file.artifactId || file.id,
+        version: file.version || 1,
+        type,
+        shape,
+        comment,
+        authorId: user.uid,
+        createdAt: serverTimestamp(),
+        resolved: false,
+        resolvedBy: null,
+        resolvedAt: null
+      });
+      logActivity(batch, {
+        type: 'annotation_add',
+        actorId: user.uid,
+        project: findProject(projectId),
+        details: { annotationId: annotationRef.id, fileId: file.id, name: file.name, version: file.version || 1, annotationType: type }
+      });
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert("保存标注失败");
+      return false;
+    }
+  };
+
+  const handleResolveAnnotation = async (projectId, file, annotation, resolved) => {
+    if (!user || !can(userData?.role, 'annotate')) return;
+    try {
+      const batch = writeBatch(db);
+      batch.update(doc(getProjectSubcollection(projectId, COLLECTIONS.ANNOTATIONS), annotation.id), {
+        resolved,
+        resolvedBy: resolved ? user.uid : null,
+        resolvedAt: resolved ? serverTimestamp() : null
+      });
+      logActivity(batch, {
+        type: 'annotation_resolve',
+        actorId: user.uid,
+        project: findProject(projectId),
+        details: { annotationId: annotation.id, fileId: file.id, name: file.name, resolved }
+      });
+      await batch.commit();
+    } catch (e) {
+      console.error(e);
+      alert("更新标注失败");
+    }
+  };
+
+  const handleDeleteAnnotation = async (projectId, annotation) => {
+    if (!user || annotation.authorId !== user.uid) return;
+    if (!confirm('确定删除这条标注吗？')) return;
+    try {
+      const batch = writeBatch(db);
+      batch.delete(doc(getProjectSubcollection(projectId, COLLECTIONS.ANNOTATIONS), annotation.id));
+      logActivity(batch, { type: 'annotation_delete', actorId: user.uid, project: findProject(projectId), details: { annotationId: annotation.id, fileId: annotation.fileId } });
+      await batch.commit();
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const handleUpdateProfile = async (name) => {
+    if (!user) return;
+    try {
+      const batch = writeBatch(db);
+      const userRef = doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.USERS, user.uid);
+      batch.update(userRef, { name });
+      logActivity(batch, {
+        type: 'profile_update',
+        actorId: user.uid,
+        details: { from: { name: userData?.name }, to: { name } }
+      });
+      await batch.commit();
+      alert("个人资料已更新");
+    } catch(e) {
+      console.error(e);
+    }
+  };
+
+  // --- Account ---
+
+  const handleEmailSignIn = async ({ email, password, isRegister }) => {
+    try {
+      if (isRegister) {
+        await createUserWithEmailAndPassword(auth, email, password);
+      } else {
+        await signInWithEmailAndPassword(auth, email, password);
+      }
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert(authErrorMessage(e));
+      return false;
+    }
+  };
+
+  const handleGuestSignIn = async () => {
+    try {
+      await signInAnonymously(auth);
+    } catch (e) {
+      console.error(e);
+      alert(authErrorMessage(e));
+    }
+  };
+
+  // 访客升级为正式账号：linkWithCredential 保留原 uid，已创建的项目和评论仍归属本人
+  const handleLinkAccount = async ({ email, password }) => {
+    if (!user?.isAnonymous) return false;
+    try {
+      await linkWithCredential(user, EmailAuthProvider.credential(email, password));
+      await recordAccountLink(user);
+      setIsAnonymous(false);
+      alert("账号已升级，今后可使用邮箱登录");
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert(authErrorMessage(e));
+      return false;
+    }
+  };
+
+  const handleSendSignInLink = async (email) => {
+    try {
+      await sendSignInLinkToEmail(auth, email, {
+        url: window.location.origin + window.location.pathname,
+        handleCodeInApp: true
+      });
+      window.localStorage.setItem(EMAIL_LINK_STORAGE_KEY, email);
+      return true;
+    } catch (e) {
+      console.error(e);
+      alert(authErrorMessage(e));
+      return false;
+    }
+  };
+
+  const handleSignOut = async () => {
+    if (isAnonymous && !confirm('访客账号退出后将无法再次登录，建议先在「个人设置」中升级为正式账号。确定退出吗？')) return;
+    try {
+      await signOut(auth);
+      navigate({ tab: 'dashboard' }, { replace: true });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // 保存的列表视图存放在个人资料中，多设备共享
+  const handleSaveView = async (name, queryString) => {
+    if (!user) return;
+    const views = [...(userData?.savedViews || []), { id: crypto.randomUUID(), name, query: queryString }];
+    try {
+      await setDoc(doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.USERS, user.uid), { savedViews: views }, { merge: true });
+    } catch (e) {
+      console.error(e);
+      alert("保存视图失败");
+    }
+  };
+
+  const handleDeleteView = async (viewId) => {
+    if (!user) return;
+    const views = (userData?.savedViews || []).filter(v => v.id !== viewId);
+    try {
+      await setDoc(doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.USERS, user.uid), { savedViews: views }, { merge: true });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // 仅经理可调用；写入 users 文档后由 Cloud Function 同步到 custom claims
+  const handleUpdateRole = async (uid, role) => {
+    if (!user || !can(userData?.role, 'manageRoles')) return;
+    const target = usersMap[uid];
+    if (!target || target.role === role) return;
+    if (uid === user.uid && !confirm('确定要修改自己的角色吗？修改后可能失去管理权限。')) return;
+    try {
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'artifacts', appId, 'public', 'data', COLLECTIONS.USERS, uid), { role });
+      logActivity(batch, {
+        type: 'role_change',
+        actorId: user.uid,
+        details: { uid, name: target.name, from: target.role, to: role }
+      });
+      await batch.commit();
+    } catch (e) {
+      console.error(e);
+      alert("角色修改失败");
+    }
+  };
+
+  // --- Views ---
+
+  if (loading) return <div className="h-screen flex items-center justify-center text-slate-500">正在连接云端服务...</div>;
+
+  if (!user) {
+    return (
+      <AuthView 
+        onEmailSignIn={handleEmailSignIn} 
+        onSendSignInLink={handleSendSignInLink} 
+        onGuestSignIn={handleGuestSignIn} 
+      />
+    );
+  }
+
+  return (
+    <div className="flex h-screen bg-slate-50 font-sans text-slate-900 overflow-hidden">
+      {/* Sidebar */}
+      <aside className="w-64 bg-slate-900 text-white flex flex-col shrink-0 transition-all duration-300">
+        <div className="p-6 flex items-center gap-3 border-b border-slate-800">
+          <div className="bg-blue-600 p-2 rounded-lg">
+            <Box size={20} className="text-white" />
+          </div>
+          <span className="text-lg font-bold tracking-tight">ReqMaster Pro</span>
+        </div>
+
+        <nav className="flex-1 p-4 space-y-2">
+          <NavButton 
+            active={activeTab === 'dashboard'} 
+            onClick={() => navigate({ tab: 'dashboard' })}
+            icon={<LayoutDashboard size={20}/>} 
+            label="仪表盘" 
+          />
+          <NavButton 
+            active={activeTab === 'projects' || activeTab === 'detail'} 
+            onClick={() => navigate({ tab: 'projects' })}
+            icon={<FileText size={20}/>} 
+            label="项目管理" 
+            badge={projectCounts?.total}
+          />
+          <NavButton 
+            active={activeTab === 'team'} 
+            onClick={() => navigate({ tab: 'team' })}
+            icon={<Users size={20}/>} 
+            label="团队成员" 
+          />
+          {can(userData?.role, 'manageRoles') && (
+            <NavButton 
+              active={activeTab === 'admin'} 
+              onClick={() => navigate({ tab: 'admin' })}
+              icon={<Shield size={20}/>} 
+              label="权限管理" 
+            />
+          )}
+          {can(userData?.role, 'deleteProject') && (
+            <NavButton 
+              active={activeTab === 'trash'} 
+              onClick={() => navigate({ tab: 'trash' })}
+              icon={<Trash2 size={20}/>} 
+              label="回收站" 
+            />
+          )}
+        </nav>
+
+        <div className="p-4 border-t border-slate-800">
+          <button 
+             onClick={() => navigate({ tab: 'settings' })}
+             className="flex items-center gap-3 p-3 w-full hover:bg-slate-800 rounded-lg transition-colors mb-2"
+          >
+            <div className="w-8 h-8 rounded-full bg-slate-700 overflow-hidden border border-slate-600">
+              <img src={userData?.avatar} alt="Me" className="w-full h-full object-cover" />
+            </div>
+            <div className="flex-1 text-left">
+              <p className="text-sm font-medium truncate">{userData?.name}</p>
+              <p className="text-xs text-slate-400">{ROLES[userData?.role]?.label || '访客'}</p>
+            </div>
+            <Settings size={16} className="text-slate-400" />
+          </button>
+          <button 
+             onClick={handleSignOut}
+             className="flex items-center gap-3 px-3 py-2 w-full text-sm text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-colors"
+          >
+            <LogOut size={16} /> 退出登录
+          </button>
+        </div>
+      </aside>
+
+      {/* Main Area */}
+      <main className="flex-1 flex flex-col min-w-0 overflow-hidden">
+        {/* Top Header */}
+        <header className="h-16 bg-white border-b border-slate-200 flex items-center justify-between px-6 shrink-0">
+          <h2 className="text-lg font-semibold text-slate-800">
+            {activeTab === 'dashboard' && '概览仪表盘'}
+            {activeTab === 'projects' && '项目列表'}
+            {activeTab === 'detail' && '项目详情'}
+            {activeTab === 'team' && '团队列表'}
+            {activeTab === 'settings' && '个人设置'}
+            {activeTab === 'admin' && '权限管理'}
+            {activeTab === 'trash' && '回收站'}
+          </h2>
+          <div className="flex items-center gap-4">
+            <SyncStatusIndicator 
+              isOnline={isOnline}
+              pendingCount={pendingWrites.length}
+              hasUnsynced={listPaging.pages.some(page => page?.pending)}
+              issueCount={syncIssues.length}
+              onShowIssues={() => setShowSyncIssues(true)}
+            />
+          </div>
+        </header>
+
+        {/* Content Scroll Area */}
+        <div className="flex-1 overflow-y-auto p-6 scroll-smooth">
+          
+          {/* DASHBOARD VIEW */}
+          {activeTab === 'dashboard' && (
+            <DashboardView 
+              counts={projectCounts}
+              deadlineProjects={deadlineProjects}
+              usersMap={usersMap} 
+              user={userData} 
+              activity={recentLogs}
+              onNavigate={() => navigate({ tab: 'projects' })} 
+              onOpenProject={openProject}
+            />
+          )}
+
+          {/* PROJECT LIST VIEW */}
+          {activeTab === 'projects' && (
+            <ProjectListView 
+              projects={projects} 
+              hasMore={hasMoreProjects}
+              loading={loadingProjects}
+              counts={projectCounts}
+              onLoadMore={loadMoreProjects}
+              onQueryChange={handleListQueryChange}
+              onVisibleChange={setVisibleProjectIds}
+              onSelect={(p) => openProject(p.id)} 
+              onCreate={handleCreateProject}
+              canCreate={can(userData?.role, 'createProject')}
+              canEdit={can(userData?.role, 'editProject')}
+              canArchive={can(userData?.role, 'archiveProject')}
+              onBulkStatus={handleBulkUpdateStatus}
+              onBulkAssign={handleBulkAssign}
+              onArchive={handleArchiveProjects}
+              templates={templates}
+              usersMap={usersMap}
+              savedViews={userData?.savedViews || []}
+              onSaveView={handleSaveView}
+              onDeleteView={handleDeleteView}
+              currentRole={userData?.role}
+              wipLimits={boardSettings.wipLimits || {}}
+              onMove={handleMoveProject}
+              onSetWipLimit={can(userData?.role, 'manageBoard') ? handleSetWipLimit : null}
+            />
+          )}
+
+          {/* PROJECT DETAIL VIEW */}
+          {activeTab === 'detail' && selectedProject && (
+             <ProjectDetailView 
+               project={selectedProject}
+               usersMap={usersMap}
+               currentUser={userData}
+               previewFileId={route.fileId}
+               onPreviewFile={(fileId) => navigate({ tab: 'detail', projectId: selectedProjectId, fileId })}
+               onBack={openProjectList}
+               onUpdateStatus={handleUpdateStatus}
+               onAddFile={handleAddFile}
+               onSetCurrentVersion={handleSetCurrentVersion}
+               onRemoveFile={handleRemoveFile}
+               onReorderFiles={handleReorderFiles}
+               comments={projectComments}
+               activity={projectActivity}
+               onAddComment={handleAddComment}
+               onEditComment={handleEditComment}
+               onDeleteComment={handleDeleteComment}
+               onDelete={handleDeleteProject}
+               onRestore={handleRestoreProject}
+               onClone={handleCloneProject}
+               onArchive={handleArchiveProjects}
+               onUpdateInfo={handleUpdateProjectInfo}
+               onSaveRequirement={handleSaveRequirement}
+               onDeleteRequirement={handleDeleteRequirement}
+               onLinkRequirements={handleLinkRequirements}
+               onRequestReview={handleRequestReview}
+               onReviewDecision={handleReviewDecision}
+               annotations={projectAnnotations}
+               onAddAnnotation={handleAddAnnotation}
+               onResolveAnnotation={handleResolveAnnotation}
+               onDeleteAnnotation={handleDeleteAnnotation}
+               revisions={projectRevisions}
+               onSaveDescription={handleSaveDescription}
+             />
+          )}
+          {activeTab === 'detail' && !selectedProject && (
+            <div className="text-center py-24 text-slate-400">
+              {directProject.id === selectedProjectId && directProject.missing ? (
+                <>
+                  <p className="mb-3">项目不存在或已被删除</p>
+                  <button onClick={openProjectList} className="text-blue-600 hover:underline text-sm">返回项目列表</button>
+                </>
+              ) : '正在加载项目...'}
+            </div>
+          )}
+
+           {/* TEAM VIEW */}
+           {activeTab === 'team' && (
+             <TeamView usersMap={usersMap} />
+           )}
+
+           {/* SETTINGS VIEW */}
+           {activeTab === 'settings' && (
+             <SettingsView 
+               userData={userData} 
+               isAnonymous={isAnonymous}
+               onUpdate={handleUpdateProfile} 
+               onLinkAccount={handleLinkAccount}
+               onSendSignInLink={handleSendSignInLink}
+             />
+           )}
+           {activeTab === 'settings' && can(userData?.role, 'manageTemplates') && (
+             <TemplateManager 
+               templates={templates} 
+               usersMap={usersMap} 
+               onSave={handleSaveTemplate} 
+               onDelete={handleDeleteTemplate} 
+             />
+           )}
+
+           {/* ADMIN VIEW */}
+           {activeTab === 'admin' && can(userData?.role, 'manageRoles') && (
+             <AdminView usersMap={usersMap} currentUser={userData} onUpdateRole={handleUpdateRole} />
+           )}
+
+           {/* TRASH VIEW */}
+           {activeTab === 'trash' && can(userData?.role, 'deleteProject') && (
+             <TrashView 
+               projects={trashedProjects}
+               usersMap={usersMap}
+               retentionDays={trashRetentionDays}
+               onOpen={openProject}
+               onRestore={handleRestoreProject}
+               onPurge={canPurge(userData) ? handlePurgeProjects : null}
+               onSetRetention={canPurge(userData) ? handleSetTrashRetention : null}
+             />
+           )}
+
+        </div>
+      </main>
+
+      {showSyncIssues && syncIssues.length > 0 && (
+        <SyncIssuesDialog 
+          issues={syncIssues}
+          usersMap={usersMap}
+          onResolve={handleResolveSyncIssue}
+          onClose={() => setShowSyncIssues(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+// --- Sub Components ---
+
+const NavButton = ({ active, onClick, icon, label, badge }) => (
+  <button 
+    onClick={onClick}
+    className={`w-full flex items-center justify-between p-3 rounded-lg transition-all ${
+      active ? 'bg-blue-600 text-white shadow-md' : 'text-slate-400 hover:bg-slate-800 hover:text-white'
+    }`}
+  >
+    <div className="flex items-center gap-3">
+      {icon}
+      <span className="font-medium">{label}</span>
+    </div>
+    {badge > 0 && (
+      <span className={`text-xs px-2 py-0.5 rounded-full ${active ? 'bg-blue-500 text-white' : 'bg-slate-800 text-slate-300'}`}>
+        {badge}
+      </span>
+    )}
+  </button>
+);
+
+// 顶栏同步状态：冲突/失败 > 离线 > 同步中 > 已同步
+const SyncStatusIndicator = ({ isOnline, pendingCount, hasUnsynced, issueCount, onShowIssues }) => {
+  if (issueCount > 0) {
+    return (
+      <button onClick={onShowIssues} className="flex items-center gap-1.5 text-xs px-2.5 py-1 rounded-full bg-red-50 text-red-700 hover:bg-red-100">
+        <AlertTriangle size={14}/> {issueCount} 项同步问题待处理
+      </button>
+    );
+  }
+  if (!isOnline) {
+    return (
+      <span className="flex items-center gap-1.5 text-xs px-2.5 py-1 rounded-full bg-amber-50 text-amber-700" title="修改已保存在本机，联网后自动同步">
+        <CloudOff size={14}/> 离线{pendingCount > 0 || hasUnsynced ? ` · ${pendingCount || ''} 项修改待同步` : ''}
+      </span>
+    );
+  }
+  if (pendingCount > 0 || hasUnsynced) {
+    return (
+      <span className="flex items-center gap-1.5 text-xs px-2.5 py-1 rounded-full bg-blue-50 text-blue-700">
+        <RefreshCw size={14} className="animate-spin"/> 正在同步{pendingCount > 0 ? ` ${pendingCount} 项` : ''}
+      </span>
+    );
+  }
+  return (
+    <span className="flex items-center gap-1.5 text-xs text-slate-400">
+      <Cloud size={14}/> 已同步
+    </span>
+  );
+};
+
+// 离线期间排队的写入被服务端拒绝后，由用户逐条决定保留哪一方
+const SyncIssuesDialog = ({ issues, usersMap, onResolve, onClose }) => {
+  const statusLabel = (status) => STATUS_MAP[status]?.label || status;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-6" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-full flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2"><AlertTriangle size={18} className="text-red-500"/> 同步冲突与失败</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600"><X size={18}/></button>
+        </div>
+        <div className="p-6 overflow-y-auto space-y-3">
+          {issues.map(issue => (
+            <div key={issue.id} className="p-3 rounded-lg border border-slate-200 text-sm">
+              {issue.kind === 'status' && (
+                <>
+                  <p className="text-slate-700">
+                    你将「{issue.title}」从「{statusLabel(issue.base)}」改为「{statusLabel(issue.mine)}」，
+                    但同步前它已被他人改为「{statusLabel(issue.theirs)}」。
+                  </p>
+                  <div className="flex justify-end gap-2 mt-3">
+                    <button onClick={() => onResolve(issue, false)} className="px-3 py-1.5 text-xs rounded-lg border border-slate-200 hover:bg-slate-50">保留「{statusLabel(issue.theirs)}」</button>
+                    <button onClick={() => onResolve(issue, true)} className="px-3 py-1.5 text-xs rounded-lg bg-blue-600 text-white hover:bg-blue-700">改为「{statusLabel(issue.mine)}」</button>
+                  </div>
+                </>
+              )}
+              {issue.kind === 'version' && (
+                <>
+                  <p className="text-slate-700">
+                    你在「{issue.title}」上传的新版本 {issue.fileData.name} (v{issue.fileData.version}) 未能保存：
+                    同步前 {usersMap[issue.theirs?.addedBy]?.name || '其他成员'} 已上传了 {issue.theirs?.name || '新版本'}{issue.theirs?.version ? ` (v${issue.theirs.version})` : ''}。
+                  </p>
+                  <p className="text-xs text-slate-400 mt-1">文件已上传到存储，保存为新版本后将排在对方版本之后。</p>
+                  <div className="flex justify-end gap-2 mt-3">
+                    <button onClick={() => onResolve(issue, false)} className="px-3 py-1.5 text-xs rounded-lg border border-slate-200 hover:bg-slate-50">放弃我的版本</button>
+                    <button onClick={() => onResolve(issue, true)} className="px-3 py-1.5 text-xs rounded-lg bg-blue-600 text-white hover:bg-blue-700">保存为最新版本</button>
+                  </div>
+                </>
+              )}
+              {issue.kind === 'edit' && (
+                <>
+                  <p className="text-slate-700">{issue.label} 未能保存：同步前「{issue.title}」已被他人修改。</p>
+                  <p className="text-xs text-slate-400 mt-1">重新保存会在对方修改后的数据上再应用一次你的修改。</p>
+                  <div className="flex justify-end gap-2 mt-3">
+                    <button onClick={() => onResolve(issue, false)} className="px-3 py-1.5 text-xs rounded-lg border border-slate-200 hover:bg-slate-50">放弃我的修改</button>
+                    <button onClick={() => onResolve(issue, true)} className="px-3 py-1.5 text-xs rounded-lg bg-blue-600 text-white hover:bg-blue-700">重新保存</button>
+                  </div>
+                </>
+              )}
+              {issue.kind === 'error' && (
+                <>
+                  <p className="text-slate-700">{issue.label} 同步失败</p>
+                  <p className="text-xs text-red-500 mt-1 break-all">{issue.message}</p>
+                  <div className="flex justify-end mt-3">
+                    <button onClick={() => onResolve(issue, false)} className="px-3 py-1.5 text-xs rounded-lg border border-slate-200 hover:bg-slate-50">知道了</button>
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DashboardView = ({ counts, deadlineProjects, usersMap, user, activity, onNavigate, onOpenProject }) => {
+  // counts 为 null 表示统计尚未返回 (或离线)
+  const stats = {
+    total: counts?.total ?? 0,
+    pending: counts?.pending ?? 0,
+    inProgress: (counts?.in_progress ?? 0) + (counts?.review ?? 0),
+    completed: counts?.completed ?? 0
+  };
+
+  // 已逾期在前，其余按截止日期排序
+  const deadlines = useMemo(() => deadlineProjects
+    .map(p => ({ project: p, dueState: getDueState(p) }))
+    .filter(d => d.dueState)
+    .sort((a, b) => (a.dueState === b.dueState ? 0 : a.dueState === 'overdue' ? -1 : 1) 
+      || a.project.dueDate.localeCompare(b.project.dueDate)), [deadlineProjects]);
+
+  return (
+    <div className="space-y-6 max-w-6xl mx-auto">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800">欢迎回来, {user?.name}</h1>
+          <p className="text-slate-500">这是今天的项目概况</p>
+        </div>
+        <button onClick={onNavigate} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors shadow-sm">
+          查看所有项目
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <StatCard title="总项目数" value={counts ? stats.total : '-'} icon={<Box size={24} className="text-blue-600"/>} bg="bg-blue-50" />
+        <StatCard title="待处理" value={counts ? stats.pending : '-'} icon={<Clock size={24} className="text-yellow-600"/>} bg="bg-yellow-50" />
+        <StatCard title="进行中" value={counts ? stats.inProgress : '-'} icon={<Activity size={24} className="text-purple-600"/>} bg="bg-purple-50" />
+        <StatCard title="已交付" value={counts ? stats.completed : '-'} icon={<CheckCircle size={24} className="text-green-600"/>} bg="bg-green-50" />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+          <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
+            <PieChart size={18} className="text-slate-400"/> 项目状态分布
+          </h3>
+          <div className="h-48 flex items-end justify-around gap-4 px-4 pb-4 border-b border-slate-100">
+             {/* CSS only Bar Chart for simplicity */}
+             <Bar height={stats.total > 0 ? (stats.pending/stats.total)*100 : 0} color="bg-yellow-400" label="待处理" count={stats.pending} />
+             <Bar height={stats.total > 0 ? (stats.inProgress/stats.total)*100 : 0} color="bg-blue-500" label="进行中" count={stats.inProgress} />
+             <Bar height={stats.total > 0 ? (stats.completed/stats.total)*100 : 0} color="bg-green-500" label="已完成" count={stats.completed} />
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm flex flex-col">
+          <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
+            <Clock size={18} className="text-slate-400"/> 团队动态
+          </h3>
+          <div className="flex-1 overflow-y-auto max-h-80 pr-1">
+            <ActivityTimeline logs={activity} usersMap={usersMap} showProject onOpenProject={onOpenProject} />
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+        <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
+          <AlertTriangle size={18} className="text-slate-400"/> 截止提醒
+          {deadlines.some(d => d.dueState === 'overdue') && (
+            <span className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700 font-medium">
+              {deadlines.filter(d => d.dueState === 'overdue').length} 个已逾期
+            </span>
+          )}
+        </h3>
+        {deadlines.length > 0 ? (
+          <div className="divide-y divide-slate-100">
+            {deadlines.map(({ project: p }) => (
+              <button 
+                key={p.id} 
+                onClick={() => onOpenProject(p.id)}
+                className="w-full flex items-center justify-between gap-4 py-2.5 text-left hover:bg-slate-50 px-2 rounded"
+              >
+                <span className="flex items-center gap-3 min-w-0">
+                  <PriorityBadge priority={p.priority} />
+                  <span className="text-sm font-medium text-slate-800 truncate">{p.title}</span>
+                </span>
+                <span className="flex items-center gap-3 shrink-0">
+                  <AvatarStack uids={getProjectAssignees(p)} usersMap={usersMap} />
+                  <DueDateLabel project={p} className="text-xs text-slate-500" />
+                </span>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-slate-400 text-center py-4">暂无即将到期或逾期的项目</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ActivityTimeline = ({ logs, usersMap, filterable, showProject, onOpenProject }) => {
+  const [typeFilter, setTypeFilter] = useState(null);
+  const [actorFilter, setActorFilter] = useState('');
+
+  const visible = logs.filter(l => 
+    (!typeFilter || l.type === typeFilter) && (!actorFilter || l.actorId === actorFilter)
+  );
+  const actors = [...new Set(logs.map(l => l.actorId))];
+  const presentTypes = Object.keys(ACTIVITY_TYPES).filter(t => logs.some(l => l.type === t));
+
+  return (
+    <div>
+      {filterable && logs.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5 mb-4">
+          <button 
+            onClick={() => setTypeFilter(null)}
+            className={`text-xs px-2 py-0.5 rounded-full border ${!typeFilter ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+          >
+            全部
+          </button>
+          {presentTypes.map(t => (
+            <button 
+              key={t}
+              onClick={() => setTypeFilter(typeFilter === t ? null : t)}
+              className={`text-xs px-2 py-0.5 rounded-full border ${typeFilter === t ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+            >
+              {ACTIVITY_TYPES[t].label}
+            </button>
+          ))}
+          <select 
+            value={actorFilter}
+            onChange={e => setActorFilter(e.target.value)}
+            className="ml-auto text-xs border border-slate-200 rounded-lg px-2 py-0.5 bg-white text-slate-600"
+          >
+            <option value="">所有成员</option>
+            {actors.map(uid => <option key={uid} value={uid}>{usersMap[uid]?.name || uid.substring(0, 6)}</option>)}
+          </select>
+        </div>
+      )}
+
+      <ol className="relative border-l border-slate-100 ml-3 space-y-4">
+        {visible.map(log => {
+          const meta = ACTIVITY_TYPES[log.type] || ACTIVITY_TYPES.project_create;
+          const Icon = meta.icon;
+          const clickable = showProject && log.projectId && log.type !== 'project_delete' && onOpenProject;
+          return (
+            <li key={log.id} className="ml-5">
+              <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white ${meta.color}`}>
+                <Icon size={12}/>
+              </span>
+              <div 
+                onClick={clickable ? () => onOpenProject(log.projectId) : undefined}
+                className={clickable ? 'cursor-pointer hover:bg-slate-50 rounded-lg -mx-2 px-2 py-1 transition-colors' : ''}
+              >
+                <p className="text-sm text-slate-700">
+                  <span className="font-medium text-slate-900">{usersMap[log.actorId]?.name || '未知用户'}</span>
+                  {' '}{describeActivity(log)}
+                </p>
+                <p className="text-xs text-slate-400 mt-0.5">
+                  {showProject && log.projectTitle && <span className="text-slate-500">{log.projectTitle} • </span>}
+                  {formatTimestamp(log.createdAt)}
+                </p>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      {visible.length === 0 && <p className="text-sm text-slate-400">暂无活动</p>}
+    </div>
+  );
+};
+
+const Bar = ({ height, color, label, count }) => (
+  <div className="flex flex-col items-center gap-2 w-16 group">
+    <div className="text-xs font-bold text-slate-700 opacity-0 group-hover:opacity-100 transition-opacity">{count}</div>
+    <div className={`w-full rounded-t-lg transition-all duration-500 ${color}`} style={{ height: `${Math.max(height, 5)}%` }}></div>
+    <div className="text-xs text-slate-500">{label}</div>
+  </div>
+);
+
+const StatCard = ({ title, value, icon, bg }) => (
+  <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm flex items-center gap-4">
+    <div className={`p-3 rounded-lg ${bg}`}>
+      {icon}
+    </div>
+    <div>
+      <p className="text-sm text-slate-500 font-medium">{title}</p>
+      <p className="text-2xl font-bold text-slate-900">{value}</p>
+    </div>
+  </div>
+);
+
+const ProjectListView = ({ 
+  projects, hasMore, loading, counts, usersMap, savedViews, canCreate, canEdit, canArchive, currentRole, wipLimits, templates, 
+  onSelect, onCreate, onSaveView, onDeleteView, onMove, onSetWipLimit, onBulkStatus, onBulkAssign, onArchive, onLoadMore, onQueryChange, onVisibleChange 
+}) => {
+  const [showCreate, setShowCreate] = useState(false);
+  const [newProject, setNewProject] = useState(EMPTY_NEW_PROJECT);
+  const [filters, setFilters] = useState(() => parseListQuery(window.location.search).filters);
+  const [sort, setSort] = useState(() => parseListQuery(window.location.search).sort);
+  const [mode, setMode] = useState(() => parseListQuery(window.location.search).mode); // 'table' | 'board'
+  const queryString = serializeListQuery({ filters, sort, mode });
+
+  // 筛选条件同步到地址栏，复制链接即可分享当前视图
+  useEffect(() => {
+    window.history.replaceState(null, '', queryString ? `?${queryString}` : window.location.pathname);
+  }, [queryString]);
+
+  // 状态 / 归档筛选、搜索词元和可在服务端进行的排序交给 App 的分页查询；搜索词停止输入后才更新查询
+  const [searchQuery, setSearchQuery] = useState(filters.q);
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchQuery(filters.q), 300);
+    return () => clearTimeout(timer);
+  }, [filters.q]);
+  const serverQueryKey = projectListQueryKey({ ...filters, q: searchQuery }, sort);
+  // 还有未加载的页面时，只在已加载项目上进行的筛选和排序结果不完整
+  const partialResults = hasMore && (hasClientOnlyFilters(filters) || !SERVER_SORT_KEYS.includes(sort.key));
+  useEffect(() => {
+    onQueryChange(serverQueryKey);
+  }, [serverQueryKey, onQueryChange]);
+
+  // 无限滚动：底部标记可见时加载下一页；筛选后结果太少、标记一直可见时会继续加载
+  const sentinelRef = useRef(null);
+  const [sentinelVisible, setSentinelVisible] = useState(false);
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el) return;
+    const observer = new IntersectionObserver(([entry]) => setSentinelVisible(entry.isIntersecting));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [showCreate]);
+  useEffect(() => {
+    if (sentinelVisible && hasMore && !loading) onLoadMore();
+  }, [sentinelVisible, hasMore, loading, onLoadMore]);
+
+  const visibleProjects = useMemo(() => {
+    const sorter = LIST_SORTERS[sort.key];
+    const sign = sort.dir === 'asc' ? 1 : -1;
+    return filterProjects(projects, filters, { usersMap })
+      .sort((a, b) => sign * sorter(a, b, usersMap));
+  }, [projects, filters, sort, usersMap]);
+
+  // 向 App 报告视口内的项目，App 据此决定哪些页面保持实时订阅
+  const listRef = useRef(null);
+  useEffect(() => {
+    const root = listRef.current;
+    if (!root) return;
+    const visible = new Set();
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) visible.add(entry.target.dataset.projectId);
+        else visible.delete(entry.target.dataset.projectId);
+      });
+      onVisibleChange([...visible]);
+    });
+    root.querySelectorAll('[data-project-id]').forEach(el => observer.observe(el));
+    return () => observer.disconnect();
+  }, [visibleProjects, mode, showCreate, onVisibleChange]);
+
+  const creators = useMemo(() => [...new Set(projects.map(p => p.createdBy))], [projects]);
+  const assignableUsers = Object.values(usersMap).filter(u => ASSIGNABLE_ROLES.includes(u.role));
+
+  // 多选：只对当前可见的项目生效，筛选变化后隐藏的项目不会被误操作
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selectedProjects = visibleProjects.filter(p => selectedIds.includes(p.id));
+  const allSelected = visibleProjects.length > 0 && selectedProjects.length === visibleProjects.length;
+  const toggleSelected = (id) => setSelectedIds(ids => ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+  const toggleAllSelected = () => setSelectedIds(allSelected ? [] : visibleProjects.map(p => p.id));
+  const runBulk = async (action) => {
+    if (await action(selectedProjects.map(p => p.id))) setSelectedIds([]);
+  };
+  const exportSelected = () => {
+    downloadTextFile(`项目导出-${new Date().toISOString().slice(0, 10)}.csv`, buildProjectsCsv(selectedProjects, usersMap));
+  };
+  const isFiltered = queryString !== serializeListQuery({ filters: DEFAULT_LIST_FILTERS, sort, mode });
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const toggleStatus = (st) => setFilter('status', filters.status.includes(st) ? filters.status.filter(x => x !== st) : [...filters.status, st]);
+  const toggleSort = (key) => setSort(prev => prev.key === key ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'asc' });
+  const applyView = (view) => {
+    const parsed = parseListQuery(view.query);
+    setFilters(parsed.filters);
+    setSort(parsed.sort);
+    setMode(parsed.mode);
+  };
+  const saveView = () => {
+    const name = prompt('视图名称');
+    if (name?.trim()) onSaveView(name.trim(), queryString);
+  };
+
+  const handleSubmit = () => {
+    if (!newProject.title) return alert("标题不能为空");
+    onCreate(newProject);
+    setShowCreate(false);
+    setNewProject(EMPTY_NEW_PROJECT);
+  };
+
+  const selectedTemplate = templates.find(t => t.id === newProject.templateId);
+  // 切换模板时用模板的描述骨架替换描述；已手动修改过描述则先确认
+  const selectTemplate = (template) => {
+    const touched = newProject.description && newProject.description !== (selectedTemplate?.description || '');
+    if (touched && !confirm('切换模板将替换已填写的需求描述，确定吗？')) return;
+    setNewProject({ ...newProject, templateId: template?.id || '', description: template?.description || '' });
+  };
+
+  if (showCreate) {
+    return (
+      <div className="max-w-2xl mx-auto bg-white p-8 rounded-xl shadow-lg border border-slate-200">
+        <h2 className="text-xl font-bold mb-6">新建需求项目</h2>
+        <div className="space-y-4">
+          {templates.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">项目模板</label>
+              <div className="flex flex-wrap gap-2">
+                {[null, ...templates].map(t => (
+                  <button 
+                    key={t?.id || 'blank'}
+                    onClick={() => selectTemplate(t)}
+                    className={`text-sm px-3 py-1.5 rounded-lg border transition-colors flex items-center gap-1.5 ${
+                      newProject.templateId === (t?.id || '') 
+                        ? 'border-blue-500 bg-blue-50 text-blue-700' 
+                        : 'border-slate-200 text-slate-600 hover:border-blue-300'
+                    }`}
+                  >
+                    {t ? <LayoutTemplate size={14}/> : <Plus size={14}/>} {t?.name || '空白项目'}
+                  </button>
+                ))}
+              </div>
+              {selectedTemplate && <TemplateSummary template={selectedTemplate} usersMap={usersMap} className="mt-2" />}
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">项目标题</label>
+            <input 
+              className="w-full border border-slate-300 rounded-lg p-2 focus:ring-2 focus:ring-blue-500 outline-none"
+              value={newProject.title}
+              onChange={e => setNewProject({...newProject, title: e.target.value})}
+              placeholder="例如：2024 Q1 营销活动页面"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">需求描述</label>
+            <MarkdownEditor 
+              value={newProject.description}
+              onChange={description => setNewProject({...newProject, description})}
+              placeholder="请详细描述需求背景、目标和具体要求... (支持 Markdown)"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">优先级</label>
+              <select 
+                className="w-full border border-slate-300 rounded-lg p-2 bg-white"
+                value={newProject.priority}
+                onChange={e => setNewProject({...newProject, priority: e.target.value})}
+              >
+                {Object.entries(PRIORITY_MAP).map(([key, val]) => <option key={key} value={key}>{val.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">截止日期</label>
+              <input 
+                type="date"
+                className="w-full border border-slate-300 rounded-lg p-2"
+                value={newProject.dueDate}
+                onChange={e => setNewProject({...newProject, dueDate: e.target.value})}
+              />
+            </div>
+          </div>
+          <div className="flex gap-3 pt-4">
+            <button onClick={handleSubmit} className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 font-medium">创建项目</button>
+            <button onClick={() => setShowCreate(false)} className="flex-1 bg-slate-100 text-slate-700 py-2 rounded-lg hover:bg-slate-200 font-medium">取消</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div ref={listRef} className="space-y-6">
+      <div className="flex justify-between items-center gap-4">
+        <div className="relative flex-1 max-w-md">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18}/>
+          <input 
+            type="text" 
+            placeholder="搜索标题、描述、文件名和评论..." 
+            className="w-full pl-10 pr-4 py-2 border border-slate-200 rounded-lg focus:outline-none focus:border-blue-400"
+            value={filters.q}
+            onChange={e => setFilter('q', e.target.value)}
+          />
+        </div>
+        <div className="flex bg-slate-100 p-1 rounded-lg ml-auto">
+          {[['table', <List size={14}/>, '列表'], ['board', <SquareKanban size={14}/>, '看板']].map(([key, icon, label]) => (
+            <button 
+              key={key}
+              onClick={() => setMode(key)}
+              className={`px-3 py-1.5 text-xs font-medium rounded-md transition-all flex items-center gap-1 ${
+                mode === key ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              {icon} {label}
+            </button>
+          ))}
+        </div>
+        {canCreate && (
+          <button 
+            onClick={() => setShowCreate(true)}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors shadow-sm font-medium"
+          >
+            <Plus size={18} /> 新建项目
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-4 space-y-3">
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <Filter size={14} className="text-slate-400"/>
+          {STATUS_ORDER.map(st => (
+            <FilterChip key={st} active={filters.status.includes(st)} onClick={() => toggleStatus(st)}>
+              {STATUS_MAP[st].label}
+            </FilterChip>
+          ))}
+          <FilterChip active={filters.has3d} onClick={() => setFilter('has3d', !filters.has3d)}>
+            <Box size={12}/> 含 3D 成果
+          </FilterChip>
+          <FilterChip active={filters.archived} onClick={() => setFilter('archived', !filters.archived)}>
+            <Archive size={12}/> 已归档
+          </FilterChip>
+          <select 
+            className="border border-slate-200 rounded-full px-2 py-1 bg-white text-slate-600"
+            value={filters.creator}
+            onChange={e => setFilter('creator', e.target.value)}
+          >
+            <option value="">全部创建人</option>
+            {creators.map(uid => (
+              <option key={uid} value={uid}>{usersMap[uid]?.name || uid.substring(0,6)}</option>
+            ))}
+          </select>
+          <select 
+            className="border border-slate-200 rounded-full px-2 py-1 bg-white text-slate-600"
+            value={filters.role}
+            onChange={e => setFilter('role', e.target.value)}
+          >
+            <option value="">全部角色</option>
+            {Object.entries(ROLES).map(([key, val]) => (
+              <option key={key} value={key}>{val.label}</option>
+            ))}
+          </select>
+          <span className="text-slate-500 ml-1">创建于</span>
+          <input type="date" className="border border-slate-200 rounded-full px-2 py-0.5 text-slate-600" value={filters.from} onChange={e => setFilter('from', e.target.value)} />
+          <span className="text-slate-400">-</span>
+          <input type="date" className="border border-slate-200 rounded-full px-2 py-0.5 text-slate-600" value={filters.to} onChange={e => setFilter('to', e.target.value)} />
+          {isFiltered && (
+            <button onClick={() => setFilters(DEFAULT_LIST_FILTERS)} className="text-slate-500 hover:text-slate-700 flex items-center gap-1 ml-1">
+              <X size={12}/> 清除
+            </button>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs border-t border-slate-100 pt-3">
+          <Bookmark size={14} className="text-slate-400"/>
+          {savedViews.map(view => (
+            <span 
+              key={view.id} 
+              className={`flex items-center gap-1 pl-2.5 pr-1.5 py-1 rounded-full border ${
+                view.query === queryString ? 'bg-blue-50 border-blue-200 text-blue-700' : 'bg-white border-slate-200 text-slate-600'
+              }`}
+            >
+              <button onClick={() => applyView(view)} className="hover:underline">{view.name}</button>
+              <button onClick={() => onDeleteView(view.id)} className="text-slate-400 hover:text-red-500" title="删除视图"><X size={12}/></button>
+            </span>
+          ))}
+          {savedViews.length === 0 && <span className="text-slate-400">暂无保存的视图</span>}
+          <button onClick={saveView} className="text-blue-600 hover:underline ml-1">保存当前视图</button>
+        </div>
+      </div>
+
+      {partialResults && (
+        <p className="flex items-center gap-1 text-xs text-amber-700">
+          <AlertTriangle size={12}/> 创建人、日期和 3D 筛选以及按状态、负责人、优先级、截止日期排序只作用于已加载的 {projects.length} 个项目，加载更多后结果可能变化
+        </p>
+      )}
+
+      {mode === 'board' ? (
+        <BoardView 
+          projects={visibleProjects} 
+          counts={filters.archived ? null : counts}
+          usersMap={usersMap} 
+          currentRole={currentRole}
+          wipLimits={wipLimits}
+          onSelect={onSelect}
+          onMove={onMove}
+          onSetWipLimit={onSetWipLimit}
+        />
+      ) : (
+        <>
+        {selectedProjects.length > 0 && (
+          <div className="flex flex-wrap items-center gap-3 px-4 py-2 bg-blue-50 border border-blue-200 rounded-xl text-sm">
+            <span className="font-medium text-blue-800">已选 {selectedProjects.length} 个项目</span>
+            {canEdit && (
+              <select 
+                className="border border-blue-200 rounded-lg px-2 py-1 bg-white text-slate-700"
+                value=""
+                onChange={e => runBulk(ids => onBulkStatus(ids, e.target.value))}
+              >
+                <option value="" disabled>变更状态...</option>
+                {STATUS_ORDER.map(st => <option key={st} value={st}>{STATUS_MAP[st].label}</option>)}
+              </select>
+            )}
+            {canEdit && (
+              <select 
+                className="border border-blue-200 rounded-lg px-2 py-1 bg-white text-slate-700"
+                value=""
+                onChange={e => runBulk(ids => onBulkAssign(ids, e.target.value))}
+              >
+                <option value="" disabled>指派给...</option>
+                {assignableUsers.map(u => <option key={u.uid} value={u.uid}>{u.name} ({ROLES[u.role]?.label})</option>)}
+              </select>
+            )}
+            {canArchive && (
+              <button onClick={() => runBulk(ids => onArchive(ids, !filters.archived))} className="flex items-center gap-1 text-slate-700 hover:text-blue-700">
+                {filters.archived ? <><ArchiveRestore size={14}/> 取消归档</> : <><Archive size={14}/> 归档</>}
+              </button>
+            )}
+            <button onClick={exportSelected} className="flex items-center gap-1 text-slate-700 hover:text-blue-700">
+              <Download size={14}/> 导出 CSV
+            </button>
+            <button onClick={() => setSelectedIds([])} className="ml-auto text-slate-500 hover:text-slate-700">取消选择</button>
+          </div>
+        )}
+        <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
+          <table className="w-full text-left border-collapse">
+            <thead className="bg-slate-50 border-b border-slate-200 text-xs uppercase text-slate-500 font-semibold">
+              <tr>
+                <th className="pl-6 pr-0 py-4 w-4">
+                  <input type="checkbox" checked={allSelected} onChange={toggleAllSelected} title="全选" />
+                </th>
+                <SortHeader label="项目名称" sortKey="title" sort={sort} onSort={toggleSort} />
+                <SortHeader label="状态" sortKey="status" sort={sort} onSort={toggleSort} />
+                <SortHeader label="负责人" sortKey="assignee" sort={sort} onSort={toggleSort} />
+                <SortHeader label="优先级" sortKey="priority" sort={sort} onSort={toggleSort} />
+                <SortHeader label="截止日期" sortKey="dueDate" sort={sort} onSort={toggleSort} />
+                <SortHeader label="更新时间" sortKey="updatedAt" sort={sort} onSort={toggleSort} />
+                <th className="px-6 py-4">操作</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {visibleProjects.map(p => (
+                <tr key={p.id} data-project-id={p.id} className={`hover:bg-slate-50 group transition-colors ${selectedIds.includes(p.id) ? 'bg-blue-50/50' : ''}`}>
+                  <td className="pl-6 pr-0 py-4">
+                    <input type="checkbox" checked={selectedIds.includes(p.id)} onChange={() => toggleSelected(p.id)} />
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="font-medium text-slate-900 flex items-center gap-2">
+                      {p.title}
+                      {p.archived && <span className="text-[10px] font-normal bg-slate-100 text-slate-500 px-1.5 rounded">已归档</span>}
+                    </div>
+                    <div className="text-xs text-slate-500 truncate max-w-xs">{p.description}</div>
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium ${STATUS_MAP[p.status]?.color}`}>
+                       {STATUS_MAP[p.status]?.label}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-slate-600">
+                    {getProjectAssignees(p).length > 0 ? (
+                      <div className="flex items-center gap-2">
+                        <AvatarStack uids={getProjectAssignees(p)} usersMap={usersMap} />
+                        <span className="text-xs truncate max-w-[8rem]">
+                          {getProjectAssignees(p).map(uid => usersMap[uid]?.name || uid.substring(0,4)).join('、')}
+                        </span>
+                      </div>
+                    ) : (
+                      <span className="text-xs text-slate-400">未指派</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4">
+                    <PriorityBadge priority={p.priority} />
+                  </td>
+                  <td className="px-6 py-4 text-sm text-slate-500">
+                    <DueDateLabel project={p} />
+                  </td>
+                  <td className="px-6 py-4 text-sm text-slate-500">
+                    {p.updatedAt ? new Date(p.updatedAt.seconds * 1000).toLocaleDateString() : '-'}
+                  </td>
+                  <td className="px-6 py-4">
+                    <button 
+                      onClick={() => onSelect(p)}
+                      className="text-blue-600 hover:text-blue-800 text-sm font-medium hover:underline flex items-center gap-1"
+                    >
+                      详情 <ChevronRight size={14}/>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {visibleProjects.length === 0 && (
+                <tr>
+                  <td colSpan="8" className="px-6 py-12 text-center text-slate-400">
+                    {loading ? '正在加载...' : projects.length === 0 ? '暂无项目，点击右上角新建' : '没有符合条件的项目'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        </>
+      )}
+
+      <div ref={sentinelRef} className="text-center text-xs text-slate-400 py-2">
+        {loading && projects.length > 0 && '正在加载更多...'}
+        {!loading && hasMore && (
+          <button onClick={onLoadMore} className="text-blue-600 hover:underline">加载更多</button>
+        )}
+        {!loading && !hasMore && projects.length > 0 && `已加载全部 ${projects.length} 个项目`}
+      </div>
+    </div>
+  );
+};
+
+const FilterChip = ({ active, onClick, children }) => (
+  <button 
+    onClick={onClick}
+    className={`flex items-center gap-1 px-2.5 py-1 rounded-full border transition-colors ${
+      active ? 'bg-blue-50 border-blue-200 text-blue-700' : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+const SortHeader = ({ label, sortKey, sort, onSort }) => (
+  <th className="px-6 py-4">
+    <button onClick={() => onSort(sortKey)} className="flex items-center gap-1 uppercase hover:text-slate-700">
+      {label}
+      {sort.key === sortKey 
+        ? (sort.dir === 'asc' ? <ArrowUp size={12}/> : <ArrowDown size={12}/>) 
+        : <ArrowUpDown size={12} className="opacity-40"/>}
+    </button>
+  </th>
+);
+
+// 列中的卡片来自已加载的页面；counts 为服务端统计的各状态项目数 (未归档)，用于列的数量和 WIP 上限
+const BoardView = ({ projects, counts, usersMap, currentRole, wipLimits, onSelect, onMove, onSetWipLimit }) => {
+  const [dragging, setDragging] = useState(null); // project being dragged
+  const [dropTarget, setDropTarget] = useState(null); // { status, index } — index in the column incl. the dragged card
+
+  const columns = STATUS_ORDER.map(status => ({
+    status,
+    items: projects.filter(p => p.status === status).sort((a, b) => boardOrderOf(a) - boardOrderOf(b))
+  }));
+
+  const endDrag = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const updateDropTarget = (status, index) => {
+    if (dropTarget?.status !== status || dropTarget?.index !== index) setDropTarget({ status, index });
+  };
+
+  const handleDrop = (column) => {
+    const project = dragging;
+    const target = dropTarget;
+    endDrag();
+    if (!project || target?.status !== column.status) return;
+
+    const { status } = column;
+    const others = column.items.filter(p => p.id !== project.id);
+    const fromIndex = column.items.findIndex(p => p.id === project.id);
+    const index = fromIndex !== -1 && fromIndex < target.index ? target.index - 1 : target.index;
+
+    if (project.status === status) {
+      if (fromIndex === index) return;
+    } else {
+      const check = checkStatusTransition(project, status, currentRole);
+      if (!check.allowed) return alert(`无法移动到「${STATUS_MAP[status].label}」：${check.reason}`);
+      const wipLimit = wipLimits[status];
+      if (wipLimit && (counts?.[status] ?? others.length) >= wipLimit 
+        && !confirm(`「${STATUS_MAP[status].label}」已达到 WIP 上限 (${wipLimit})，仍要移入吗？`)) return;
+    }
+    onMove(project.id, status, boardOrderAt(others, index));
+  };
+
+  const editWipLimit = (status) => {
+    const input = prompt(`设置「${STATUS_MAP[status].label}」的 WIP 上限 (留空表示不限制)`, wipLimits[status] || '');
+    if (input === null) return;
+    const value = parseInt(input, 10);
+    onSetWipLimit(status, value > 0 ? value : null);
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 items-start">
+      {columns.map(column => {
+        const { status, items } = column;
+        const wipLimit = wipLimits[status];
+        const total = counts?.[status] ?? items.length;
+        const overLimit = wipLimit && total > wipLimit;
+        const blocked = dragging && dragging.status !== status && checkStatusTransition(dragging, status, currentRole);
+        const isTarget = dropTarget?.status === status;
+
+        return (
+          <div 
+            key={status}
+            onDragOver={e => { e.preventDefault(); updateDropTarget(status, items.length); }}
+            onDrop={e => { e.preventDefault(); handleDrop(column); }}
+            className={`rounded-xl border flex flex-col min-h-[240px] transition-colors ${
+              overLimit ? 'bg-red-50 border-red-200' : isTarget ? 'bg-blue-50 border-blue-200' : 'bg-slate-100 border-slate-200'
+            } ${blocked && !blocked.allowed ? 'opacity-50' : ''}`}
+          >
+            <div className="px-3 py-2.5 flex items-center justify-between">
+              <span className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium ${STATUS_MAP[status].color}`}>
+                {STATUS_MAP[status].label}
+              </span>
+              <button 
+                onClick={onSetWipLimit ? () => editWipLimit(status) : undefined}
+                disabled={!onSetWipLimit}
+                className={`text-xs flex items-center gap-1 px-1.5 py-0.5 rounded ${
+                  overLimit ? 'text-red-600 font-semibold' : 'text-slate-500'
+                } ${onSetWipLimit ? 'hover:bg-white' : 'cursor-default'}`}
+                title={overLimit ? `超过 WIP 上限 ${wipLimit}` : onSetWipLimit ? '设置 WIP 上限' : ''}
+              >
+                {overLimit && <AlertTriangle size={12}/>}
+                {total}{wipLimit ? ` / ${wipLimit}` : ''}
+              </button>
+            </div>
+            {items.length < total && <p className="px-3 pb-2 text-xs text-slate-400">当前显示 {items.length} 个</p>}
+            {blocked && !blocked.allowed && (
+              <p className="px-3 pb-2 text-xs text-slate-500 flex items-center gap-1"><Lock size={10}/> {blocked.reason}</p>
+            )}
+
+            <div className="px-2 pb-2 space-y-2 flex-1">
+              {items.map((p, i) => (
+                <React.Fragment key={p.id}>
+                  {isTarget && dropTarget.index === i && <div className="h-1 rounded bg-blue-400" />}
+                  <BoardCard 
+                    project={p} 
+                    usersMap={usersMap}
+                    isDragging={dragging?.id === p.id}
+                    onDragStart={() => setDragging(p)}
+                    onDragEnd={endDrag}
+                    onDragOver={e => {
+                      e.preventDefault();
+                      e.stopPropagation();
+                      const rect = e.currentTarget.getBoundingClientRect();
+                      updateDropTarget(status, e.clientY > rect.top + rect.height / 2 ? i + 1 : i);
+                    }}
+                    onClick={() => onSelect(p)}
+                  />
+                </React.Fragment>
+              ))}
+              {isTarget && dropTarget.index === items.length && <div className="h-1 rounded bg-blue-400" />}
+              {items.length === 0 && !isTarget && (
+                <div className="text-center text-xs text-slate-400 py-6">拖动卡片到这里</div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const BoardCard = ({ project, usersMap, isDragging, onDragStart, onDragEnd, onDragOver, onClick }) => {
+  const inputCount = groupArtifacts(project.inputs, project.currentVersions).length;
+  const outputCount = groupArtifacts(project.outputs, project.currentVersions).length;
+
+  return (
+    <div 
+      data-project-id={project.id}
+      draggable
+      onDragStart={e => { e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', project.id); onDragStart(); }}
+      onDragEnd={onDragEnd}
+      onDragOver={onDragOver}
+      onClick={onClick}
+      className={`bg-white rounded-lg border border-slate-200 p-3 shadow-sm cursor-grab active:cursor-grabbing hover:border-blue-300 transition-all ${
+        isDragging ? 'opacity-40' : ''
+      }`}
+    >
+      <p className="text-sm font-medium text-slate-900 line-clamp-2">{project.title}</p>
+      {(project.priority && project.priority !== DEFAULT_PRIORITY || project.dueDate) && (
+        <div className="flex items-center gap-2 mt-2">
+          {project.priority && project.priority !== DEFAULT_PRIORITY && <PriorityBadge priority={project.priority} />}
+          {project.dueDate && <DueDateLabel project={project} className="text-xs text-slate-500" />}
+        </div>
+      )}
+      <div className="flex items-center justify-between mt-3">
+        <AvatarStack uids={getProjectAssignees(project)} usersMap={usersMap} />
+        <div className="flex items-center gap-2 text-xs text-slate-400">
+          <span className="flex items-center gap-0.5" title="需求附件"><Paperclip size={12}/> {inputCount}</span>
+          <span className="flex items-center gap-0.5" title="交付成果"><Box size={12}/> {outputCount}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AvatarStack = ({ uids, usersMap }) => (
+  <div className="flex -space-x-2">
+    {uids.map(uid => (
+      <img 
+        key={uid}
+        src={usersMap[uid]?.avatar || `https://api.dicebear.com/7.x/avataaars/svg?seed=${uid}`} 
+        alt={usersMap[uid]?.name || ''} 
+        title={usersMap[uid]?.name || uid.substring(0,6)}
+        className="w-6 h-6 rounded-full bg-slate-100 border-2 border-white"
+      />
+    ))}
+  </div>
+);
+
+const PriorityBadge = ({ priority }) => {
+  const config = PRIORITY_MAP[priority || DEFAULT_PRIORITY];
+  return <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${config.color}`}>{config.label}</span>;
+};
+
+const DueDateLabel = ({ project, className = '' }) => {
+  if (!project.dueDate) return <span className={className}>-</span>;
+  const dueState = getDueState(project);
+  return (
+    <span className={`inline-flex items-center gap-1.5 ${className}`}>
+      {project.dueDate}
+      {dueState && (
+        <span className={`text-xs px-1.5 py-0.5 rounded font-medium ${DUE_STATES[dueState].color}`}>
+          {DUE_STATES[dueState].label}
+        </span>
+      )}
+    </span>
+  );
+};
+
+const ProjectInfoPanel = ({ project, usersMap, editable, onUpdate }) => {
+  const assignees = getProjectAssignees(project);
+  const candidates = Object.values(usersMap).filter(u => ASSIGNABLE_ROLES.includes(u.role) && !assignees.includes(u.uid));
+  // 审核人负责 review -> completed，只能是有审批权限的经理
+  const reviewers = Object.values(usersMap).filter(u => u.role === 'MANAGER');
+  const dueState = getDueState(project);
+  const selectClass = 'border border-slate-200 rounded-lg px-2 py-1 text-sm bg-white';
+
+  return (
+    <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm grid grid-cols-2 gap-x-6 gap-y-4 text-sm">
+      <div className="col-span-2">
+        <p className="text-xs text-slate-500 mb-1.5">负责人</p>
+        <div className="flex flex-wrap items-center gap-2">
+          {assignees.map(uid => (
+            <span key={uid} className="flex items-center gap-1.5 bg-slate-100 rounded-full pl-1 pr-2 py-0.5">
+              <img src={usersMap[uid]?.avatar} alt="" className="w-5 h-5 rounded-full bg-white" />
+              <span className="text-xs text-slate-700">{usersMap[uid]?.name || uid.substring(0,6)}</span>
+              <span className={`text-[10px] px-1 rounded ${ROLES[usersMap[uid]?.role]?.color || ''}`}>{ROLES[usersMap[uid]?.role]?.label}</span>
+              {editable && (
+                <button onClick={() => onUpdate({ assignees: assignees.filter(a => a !== uid) })} className="text-slate-400 hover:text-red-500">
+                  <X size={12}/>
+                </button>
+              )}
+            </span>
+          ))}
+          {assignees.length === 0 && !editable && <span className="text-slate-400 text-xs">未指派</span>}
+          {editable && candidates.length > 0 && (
+            <select 
+              className={`${selectClass} text-xs`}
+              value=""
+              onChange={e => e.target.value && onUpdate({ assignees: [...assignees, e.target.value] })}
+            >
+              <option value="">+ 添加设计师/工程师</option>
+              {candidates.map(u => (
+                <option key={u.uid} value={u.uid}>{u.name} ({ROLES[u.role]?.label})</option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <p className="text-xs text-slate-500 mb-1.5">审核人</p>
+        {editable ? (
+          <select className={`${selectClass} w-full`} value={project.reviewerId || ''} onChange={e => onUpdate({ reviewerId: e.target.value || null })}>
+            <option value="">未指定</option>
+            {reviewers.map(u => <option key={u.uid} value={u.uid}>{u.name}</option>)}
+          </select>
+        ) : (
+          <span className="text-slate-700">{usersMap[project.reviewerId]?.name || '未指定'}</span>
+        )}
+      </div>
+
+      <div>
+        <p className="text-xs text-slate-500 mb-1.5">优先级</p>
+        {editable ? (
+          <select className={`${selectClass} w-full`} value={project.priority || DEFAULT_PRIORITY} onChange={e => onUpdate({ priority: e.target.value })}>
+            {Object.entries(PRIORITY_MAP).map(([key, val]) => <option key={key} value={key}>{val.label}</option>)}
+          </select>
+        ) : (
+          <PriorityBadge priority={project.priority} />
+        )}
+      </div>
+
+      <div className="col-span-2">
+        <p className="text-xs text-slate-500 mb-1.5">截止日期</p>
+        <div className="flex items-center gap-2">
+          {editable && (
+            <input 
+              type="date" 
+              className={selectClass} 
+              value={project.dueDate || ''} 
+              onChange={e => onUpdate({ dueDate: e.target.value || null })} 
+            />
+          )}
+          {editable 
+            ? dueState && <span className={`text-xs px-1.5 py-0.5 rounded font-medium ${DUE_STATES[dueState].color}`}>{DUE_STATES[dueState].label}</span>
+            : <DueDateLabel project={project} className="text-slate-700" />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ProjectDetailView = ({ 
+  project, usersMap, currentUser, comments, activity, previewFileId, onPreviewFile, onBack, onUpdateStatus, 
+  onAddFile, onSetCurrentVersion, onRemoveFile, onReorderFiles, onAddComment, onEditComment, onDeleteComment, onDelete, onRestore, onClone, onArchive, onUpdateInfo, 
+  onSaveRequirement, onDeleteRequirement, onLinkRequirements, onRequestReview, onReviewDecision, 
+  annotations, onAddAnnotation, onResolveAnnotation, onDeleteAnnotation, revisions, onSaveDescription 
+}) => {
+  const [showUpload, setShowUpload] = useState(false);
+  const [uploadType, setUploadType] = useState('inputs'); // 'inputs' or 'outputs'
+  const [supersede, setSupersede] = useState(null); // { artifactId, version, name } when uploading a new version
+  const [history, setHistory] = useState(null); // { type, artifactId } of the open history drawer
+  const [showCompare, setShowCompare] = useState(false);
+  const [commentAnchor, setCommentAnchor] = useState(null); // artifactId to filter the discussion by
+  const [linking, setLinking] = useState(null); // output artifactId whose requirement links are being edited
+  const [uploadSlot, setUploadSlot] = useState('');
+  const [reviewing, setReviewing] = useState(null); // fileId of the version in the review dialog
+
+  const inputArtifacts = groupArtifacts(project.inputs, project.currentVersions);
+  const outputArtifacts = groupArtifacts(project.outputs, project.currentVersions);
+  const allArtifacts = [
+    ...inputArtifacts.map(a => ({ ...a, type: 'inputs' })),
+    ...outputArtifacts.map(a => ({ ...a, type: 'outputs' }))
+  ];
+  const commentCount = (artifactId) => comments.filter(c => !c.parentId && !c.deleted && c.anchor?.artifactId === artifactId).length;
+  const historyArtifact = history && (history.type === 'inputs' ? inputArtifacts : outputArtifacts)
+    .find(a => a.artifactId === history.artifactId);
+  const requirements = project.requirements || [];
+  const requirementLinks = project.requirementLinks || {};
+  const linkedRequirements = (artifactId) => requirements.filter(r => (requirementLinks[artifactId] || []).includes(r.id));
+  const linkingArtifact = linking && outputArtifacts.find(a => a.artifactId === linking);
+
+  // 预览的文件由路由 (/projects/:id/files/:fileId) 决定，可直接分享链接
+  const previewFile = previewFileId 
+    ? [...(project.inputs || []), ...(project.outputs || [])].find(f => f.id === previewFileId) || null 
+    : null;
+  const openPreview = (file) => { setShowCompare(false); onPreviewFile(file.id); };
+
+  // 可在 3D 中预览/对比的交付物 (包含历史版本)
+  const modelOutputs = (project.outputs || []).filter(f => f.id && detectModelLoader(f));
+
+  // slotId: 从输入槽位清单直接上传时预选的槽位
+  const openUpload = (type, artifact = null, slotId = '') => {
+    setUploadType(type);
+    setUploadSlot(slotId);
+    setSupersede(artifact && {
+      artifactId: artifact.artifactId,
+      version: Math.max(...artifact.versions.map(v => v.version || 1)) + 1,
+      name: artifact.current.name,
+      slotId: artifact.current.slotId || ''
+    });
+    setShowUpload(true);
+  };
+  const inputSlots = getInputSlotStatus(project);
+  const outputSpecs = getOutputSpecStatus(project);
+  const approvals = getApprovalStatus(project);
+  const approvalOf = (artifactId) => approvals.find(a => a.artifact.artifactId === artifactId);
+  const reviewingFile = reviewing && (project.outputs || []).find(f => f.id === reviewing);
+  const hasReviews = Object.keys(project.reviews || {}).length > 0;
+  const exportSignOff = () => downloadTextFile(`${project.title}-签核记录.csv`, buildSignOffCsv(project, usersMap));
+
+  const statusOptions = Object.keys(STATUS_MAP);
+  const [statusHint, setStatusHint] = useState(''); // reason of the last blocked transition
+  const canAddFile = can(currentUser?.role, 'addFile');
+  const removeHandler = (file, type) => (canRemoveFile(project, file, currentUser?.uid, currentUser?.role) ? () => onRemoveFile(project.id, file, type) : null);
+  // 上移/下移一个交付物
+  const moveHandler = (type, artifacts, index, delta) => {
+    const target = index + delta;
+    if (!canAddFile || target < 0 || target >= artifacts.length) return null;
+    return () => {
+      const ids = artifacts.map(a => a.artifactId);
+      [ids[index], ids[target]] = [ids[target], ids[index]];
+      onReorderFiles(project.id, type, ids);
+    };
+  };
+
+  return (
+    <div className="flex flex-col h-full gap-6">
+      {project.deleted && (
+        <div className="flex items-center gap-3 px-4 py-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <Trash2 size={16}/>
+          <span className="flex-1">
+            此项目已由 {usersMap[project.deletedBy]?.name || '未知用户'} 于 {formatTimestamp(project.deletedAt)} 移入回收站，恢复前不能修改。
+          </span>
+          {can(currentUser?.role, 'deleteProject') && (
+            <button onClick={() => onRestore(project)} className="px-3 py-1.5 rounded-lg bg-white border border-red-200 hover:bg-red-100 font-medium flex items-center gap-1">
+              <RotateCcw size={14}/> 恢复
+            </button>
+          )}
+        </div>
+      )}
+      {/* Detail Header */}
+      <div className="flex items-start justify-between border-b border-slate-200 pb-4">
+        <div className="flex items-center gap-4">
+          <button onClick={onBack} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 transition-colors">
+            <MoreHorizontal size={20} className="rotate-180"/>
+          </button>
+          <div>
+            <h1 className="text-xl font-bold text-slate-900 flex items-center gap-3">
+              {project.title}
+              <span className={`text-xs px-2 py-1 rounded-full font-normal ${STATUS_MAP[project.status]?.color}`}>
+                {STATUS_MAP[project.status]?.label}
+              </span>
+              {project.archived && (
+                <span className="text-xs px-2 py-1 rounded-full font-normal bg-slate-100 text-slate-600 flex items-center gap-1">
+                  <Archive size={12}/> 已归档
+                </span>
+              )}
+            </h1>
+            <p className="text-sm text-slate-500 mt-1">
+              创建人: {usersMap[project.createdBy]?.name || 'Unknown'} • 
+              创建于: {project.createdAt ? new Date(project.createdAt.seconds * 1000).toLocaleDateString() : '-'}
+              {project.templateName && <> • 模板: {project.templateName}</>}
+            </p>
+            {statusHint && (
+              <p className="text-xs text-amber-700 bg-amber-50 px-2 py-1 rounded mt-2 inline-flex items-center gap-1">
+                <Lock size={12}/> {statusHint}
+              </p>
+            )}
+          </div>
+        </div>
+        
+        <div className="flex gap-3">
+          {can(currentUser?.role, 'createProject') && !project.deleted && (
+             <button onClick={() => onClone(project.id)} className="text-slate-600 hover:bg-slate-100 px-3 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-1" title="复制描述和需求附件，不含交付成果">
+               <Copy size={14}/> 复制项目
+             </button>
+          )}
+          {can(currentUser?.role, 'archiveProject') && !project.deleted && (
+             <button onClick={() => onArchive([project.id], !project.archived)} className="text-slate-600 hover:bg-slate-100 px-3 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-1">
+               {project.archived ? <><ArchiveRestore size={14}/> 取消归档</> : <><Archive size={14}/> 归档</>}
+             </button>
+          )}
+          {can(currentUser?.role, 'deleteProject') && !project.deleted && (
+             <button onClick={() => onDelete(project.id)} className="text-red-600 hover:bg-red-50 px-3 py-2 rounded-lg text-sm font-medium transition-colors">
+               删除项目
+             </button>
+          )}
+          <div className="flex bg-slate-100 p-1 rounded-lg">
+            {statusOptions.map(s => {
+              const isCurrent = project.status === s;
+              const check = checkStatusTransition(project, s, currentUser?.role);
+              return (
+                <button 
+                  key={s}
+                  onClick={() => {
+                    if (isCurrent) return;
+                    if (!check.allowed) return setStatusHint(`无法变更为「${STATUS_MAP[s].label}」：${check.reason}`);
+                    setStatusHint('');
+                    onUpdateStatus(project.id, s);
+                  }}
+                  title={isCurrent ? '' : check.reason}
+                  className={`px-3 py-1.5 text-xs font-medium rounded-md transition-all flex items-center gap-1 ${
+                    isCurrent ? 'bg-white text-blue-600 shadow-sm' 
+                      : check.allowed ? 'text-slate-500 hover:text-slate-700' 
+                      : 'text-slate-400 cursor-not-allowed'
+                  }`}
+                >
+                  {!isCurrent && !check.allowed && <Lock size={10}/>}
+                  {STATUS_MAP[s].label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex-1 grid grid-cols-1 lg:grid-cols-2 gap-6 overflow-hidden">
+        
+        {/* Left: Requirements & Inputs */}
+        <div className="flex flex-col gap-6 overflow-y-auto pr-2">
+          <ProjectInfoPanel 
+            project={project} 
+            usersMap={usersMap} 
+            editable={can(currentUser?.role, 'editProject')}
+            onUpdate={(patch) => onUpdateInfo(project.id, patch)} 
+          />
+          <DescriptionPanel 
+            key={project.id}
+            project={project}
+            revisions={revisions}
+            usersMap={usersMap}
+            images={(project.inputs || []).filter(f => f.format === 'image' && f.url)}
+            editable={can(currentUser?.role, 'editProject')}
+            onSave={(text, baseRevision) => onSaveDescription(project.id, text, baseRevision)}
+          />
+
+          <RequirementsPanel 
+            requirements={requirements}
+            editable={can(currentUser?.role, 'editProject')}
+            onSave={(item) => onSaveRequirement(project.id, item)}
+            onDelete={(id) => onDeleteRequirement(project.id, id)}
+          />
+
+          <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm flex-1">
+             <div className="flex justify-between items-center mb-4">
+                <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+                  <Upload className="text-blue-500" size={18}/> 需求附件 (Inputs)
+                </h3>
+                {canAddFile && (
+                  <button 
+                    onClick={() => openUpload('inputs')}
+                    className="text-xs bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1.5 rounded-full font-medium transition-colors"
+                  >
+                    + 添加附件
+                  </button>
+                )}
+             </div>
+
+             {inputSlots.length > 0 && (
+               <TemplateChecklist 
+                 items={inputSlots} 
+                 onUpload={canAddFile ? (slot) => openUpload('inputs', null, slot.id) : null} 
+               />
+             )}
+             
+             <div className="space-y-3">
+               {inputArtifacts.length > 0 ? (
+                 inputArtifacts.map((artifact, index) => (
+                   <FileCard 
+                     key={artifact.artifactId} 
+                     file={artifact.current} 
+                     versionCount={artifact.versions.length}
+                     onRemove={removeHandler(artifact.current, 'inputs')}
+                     onMoveUp={moveHandler('inputs', inputArtifacts, index, -1)}
+                     onMoveDown={moveHandler('inputs', inputArtifacts, index, 1)}
+                     commentCount={commentCount(artifact.artifactId)}
+                     onShowComments={() => setCommentAnchor(artifact.artifactId)}
+                     onPreview={isPreviewable(artifact.current) ? openPreview : null}
+                     onSupersede={canAddFile ? () => openUpload('inputs', artifact) : null}
+                     onShowHistory={() => setHistory({ type: 'inputs', artifactId: artifact.artifactId })}
+                   />
+                 ))
+               ) : (
+                 <div className="text-center py-8 bg-slate-50 rounded-lg border border-dashed border-slate-200 text-slate-400 text-sm">
+                   暂无需求文档
+                 </div>
+               )}
+             </div>
           </div>
-          <span className="text-lg font-bold tracking-tight">ReqMaster Pro</span>
+
+          <CommentsPanel 
+            comments={comments}
+            usersMap={usersMap}
+            currentUser={currentUser}
+            artifacts={allArtifacts}
+            anchorFilter={commentAnchor}
+            onAnchorFilterChange={setCommentAnchor}
+            onAdd={(data) => onAddComment(project.id, data)}
+            onEdit={(comment, text) => onEditComment(project.id, comment, text)}
+            onDelete={(comment, hasReplies) => onDeleteComment(project.id, comment, hasReplies)}
+          />
+
+          <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+            <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
+              <Activity className="text-blue-500" size={18}/> 项目动态
+            </h3>
+            <ActivityTimeline logs={activity} usersMap={usersMap} filterable />
+          </div>
+        </div>
+
+        {/* Right: Outputs & Preview */}
+        <div className="flex flex-col gap-6 overflow-y-auto pr-2">
+          {requirements.length > 0 && (
+            <RequirementCoveragePanel 
+              coverage={getRequirementCoverage(project)} 
+              outputArtifacts={outputArtifacts} 
+            />
+          )}
+          <div className="bg-slate-50 p-6 rounded-xl border border-slate-200 shadow-sm flex-1 flex flex-col">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+                <Box className="text-green-600" size={18}/> 交付成果 (Outputs)
+              </h3>
+              <div className="flex gap-2">
+                {hasReviews && (
+                  <button 
+                    onClick={exportSignOff}
+                    className="text-xs bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 px-3 py-1.5 rounded-full font-medium transition-colors shadow-sm flex items-center gap-1"
+                    title="导出所有版本的审核结论，用于质量审计"
+                  >
+                    <Download size={12}/> 签核记录
+                  </button>
+                )}
+                {modelOutputs.length >= 2 && (
+                  <button 
+                    onClick={() => { if (previewFile) onPreviewFile(null); setShowCompare(true); }}
+                    className="text-xs bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 px-3 py-1.5 rounded-full font-medium transition-colors shadow-sm flex items-center gap-1"
+                  >
+                    <GitCompare size={12}/> 版本对比
+                  </button>
+                )}
+                {canAddFile && (
+                  <button 
+                    onClick={() => openUpload('outputs')}
+                    className="text-xs bg-white hover:bg-blue-50 text-blue-600 border border-blue-200 px-3 py-1.5 rounded-full font-medium transition-colors shadow-sm"
+                  >
+                    + 提交成果
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {outputSpecs.length > 0 && (
+              <TemplateChecklist 
+                items={outputSpecs.map(spec => ({ ...spec, label: `${spec.label} (${OUTPUT_SPEC_FORMATS[spec.format]?.label || spec.format})` }))} 
+              />
+            )}
+
+            <div className="space-y-3 mb-6">
+               {outputArtifacts.length > 0 ? (
+                 outputArtifacts.map((artifact, index) => (
+                   <FileCard 
+                      key={artifact.artifactId} 
+                      file={artifact.current} 
+                      versionCount={artifact.versions.length}
+                      onRemove={removeHandler(artifact.current, 'outputs')}
+                      onMoveUp={moveHandler('outputs', outputArtifacts, index, -1)}
+                      onMoveDown={moveHandler('outputs', outputArtifacts, index, 1)}
+                      commentCount={commentCount(artifact.artifactId)}
+                      onShowComments={() => setCommentAnchor(artifact.artifactId)}
+                      onPreview={isPreviewable(artifact.current) ? openPreview : null}
+                      onSupersede={canAddFile ? () => openUpload('outputs', artifact) : null}
+                      onShowHistory={() => setHistory({ type: 'outputs', artifactId: artifact.artifactId })}
+                      linkedRequirements={linkedRequirements(artifact.artifactId)}
+                      onEditLinks={canAddFile && requirements.length > 0 ? () => setLinking(artifact.artifactId) : null}
+                      review={approvalOf(artifact.artifactId)}
+                      onReview={approvalOf(artifact.artifactId)?.state || canRequestReview(currentUser, project) ? () => setReviewing(artifact.current.id) : null}
+                    />
+                 ))
+               ) : (
+                 <div className="text-center py-8 rounded-lg border border-dashed border-slate-300 text-slate-400 text-sm">
+                   暂无交付物，点击上方按钮提交
+                 </div>
+               )}
+            </div>
+
+            {/* Preview Area */}
+            {previewFile && (detectModelLoader(previewFile) ? (
+              <ModelPreviewPanel 
+                key={previewFile.id} 
+                file={previewFile} 
+                fileAnchor={{
+                  type: (project.outputs || []).some(f => f.id === previewFile.id) ? 'outputs' : 'inputs',
+                  artifactId: previewFile.artifactId || previewFile.id,
+                  fileId: previewFile.id,
+                  name: previewFile.name,
+                  version: previewFile.version || 1
+                }}
+                comments={comments}
+                usersMap={usersMap}
+                currentUser={currentUser}
+                onAddComment={(data) => onAddComment(project.id, data)}
+                onEditComment={(comment, text) => onEditComment(project.id, comment, text)}
+                onDeleteComment={(comment, hasReplies) => onDeleteComment(project.id, comment, hasReplies)}
+                onClose={() => onPreviewFile(null)} 
+              />
+            ) : previewFile.format === 'image' ? (
+              <ImagePreviewPanel 
+                key={previewFile.id} 
+                file={previewFile} 
+                annotations={annotations.filter(a => a.fileId === previewFile.id)}
+                usersMap={usersMap}
+                currentUser={currentUser}
+                onAdd={can(currentUser?.role, 'annotate') ? (data) => onAddAnnotation(project.id, previewFile, data) : null}
+                onResolve={can(currentUser?.role, 'annotate') ? (a, resolved) => onResolveAnnotation(project.id, previewFile, a, resolved) : null}
+                onDelete={(a) => onDeleteAnnotation(project.id, a)}
+                onClose={() => onPreviewFile(null)} 
+              />
+            ) : (
+              <FilePreviewPanel 
+                key={previewFile.id} 
+                file={previewFile} 
+                onClose={() => onPreviewFile(null)} 
+              />
+            ))}
+            {previewFileId && !previewFile && (
+              <div className="text-center py-6 rounded-lg border border-dashed border-slate-300 text-slate-400 text-sm">
+                链接中的文件不存在或已被移除
+              </div>
+            )}
+
+            {/* 3D Compare Area */}
+            {showCompare && modelOutputs.length >= 2 && (
+              <ModelComparePanel files={modelOutputs} onClose={() => setShowCompare(false)} />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Review & Sign-off */}
+      {reviewingFile && (
+        <ReviewModal 
+          file={reviewingFile}
+          review={project.reviews?.[reviewingFile.id] || null}
+          usersMap={usersMap}
+          currentUser={currentUser}
+          defaultReviewers={project.reviewerId ? [project.reviewerId] : []}
+          onRequest={canRequestReview(currentUser, project) ? (ids) => onRequestReview(project.id, reviewingFile, ids) : null}
+          onDecide={(decision, comment) => onReviewDecision(project.id, reviewingFile, decision, comment)}
+          onClose={() => setReviewing(null)}
+        />
+      )}
+
+      {/* Requirement Link Picker */}
+      {linkingArtifact && (
+        <RequirementLinkModal 
+          artifact={linkingArtifact}
+          requirements={requirements}
+          selected={requirementLinks[linkingArtifact.artifactId] || []}
+          onSave={(ids) => { onLinkRequirements(project.id, linkingArtifact, ids); setLinking(null); }}
+          onClose={() => setLinking(null)}
+        />
+      )}
+
+      {/* Upload Modal */}
+      {showUpload && (
+        <FileUploadModal 
+          projectId={project.id} 
+          type={uploadType} 
+          supersede={supersede}
+          slots={uploadType === 'inputs' ? project.inputSlots || [] : []}
+          defaultSlotId={uploadSlot}
+          onAddFile={onAddFile} 
+          onClose={() => setShowUpload(false)} 
+        />
+      )}
+
+      {/* Version History Drawer */}
+      {historyArtifact && (
+        <VersionHistoryDrawer 
+          artifact={historyArtifact} 
+          usersMap={usersMap}
+          onSetCurrent={(fileId) => onSetCurrentVersion(project.id, historyArtifact.artifactId, fileId)}
+          getRemoveHandler={(file) => removeHandler(file, history.type)}
+          onClose={() => setHistory(null)} 
+        />
+      )}
+    </div>
+  );
+};
+
+const RequirementsPanel = ({ requirements, editable, onSave, onDelete }) => {
+  const [editing, setEditing] = useState(null); // requirement id, 'new' or null
+  const [expanded, setExpanded] = useState(null); // requirement id showing its acceptance criteria
+
+  return (
+    <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <ListChecks className="text-blue-500" size={18}/> 需求项
+          <span className="text-xs text-slate-400 font-normal">{requirements.length}</span>
+        </h3>
+        {editable && editing !== 'new' && (
+          <button 
+            onClick={() => setEditing('new')}
+            className="text-xs bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1.5 rounded-full font-medium transition-colors"
+          >
+            + 添加需求项
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {requirements.map(r => editing === r.id ? (
+          <RequirementForm 
+            key={r.id} 
+            initial={r} 
+            onSubmit={async (item) => { if (await onSave({ ...item, id: r.id })) setEditing(null); }} 
+            onCancel={() => setEditing(null)} 
+          />
+        ) : (
+          <div key={r.id} className="group border border-slate-200 rounded-lg p-3">
+            <div className="flex items-start gap-2">
+              <span className="text-xs font-mono text-slate-400 mt-0.5 shrink-0">{r.code}</span>
+              <button 
+                onClick={() => setExpanded(expanded === r.id ? null : r.id)} 
+                className="flex-1 text-left text-sm font-medium text-slate-800 hover:text-blue-600"
+              >
+                {r.title}
+                {r.criteria?.length > 0 && (
+                  <span className="text-xs text-slate-400 font-normal ml-2">{r.criteria.length} 条验收标准</span>
+                )}
+              </button>
+              <PriorityBadge priority={r.priority} />
+              {editable ? (
+                <select 
+                  className={`text-xs rounded-full px-2 py-0.5 border-0 ${REQUIREMENT_STATUS[r.status]?.color}`}
+                  value={r.status}
+                  onChange={e => onSave({ id: r.id, status: e.target.value })}
+                >
+                  {Object.entries(REQUIREMENT_STATUS).map(([key, val]) => <option key={key} value={key}>{val.label}</option>)}
+                </select>
+              ) : (
+                <span className={`text-xs rounded-full px-2 py-0.5 ${REQUIREMENT_STATUS[r.status]?.color}`}>{REQUIREMENT_STATUS[r.status]?.label}</span>
+              )}
+              {editable && (
+                <span className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button onClick={() => setEditing(r.id)} className="p-0.5 text-slate-400 hover:text-blue-600" title="编辑"><Pencil size={14}/></button>
+                  <button onClick={() => onDelete(r.id)} className="p-0.5 text-slate-400 hover:text-red-600" title="删除"><Trash2 size={14}/></button>
+                </span>
+              )}
+            </div>
+            {expanded === r.id && r.criteria?.length > 0 && (
+              <ul className="mt-2 ml-12 space-y-1">
+                {r.criteria.map((c, i) => (
+                  <li key={i} className="text-xs text-slate-600 flex gap-1.5"><CheckCircle size={12} className="text-slate-300 mt-0.5 shrink-0"/> {c}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+        {editing === 'new' && (
+          <RequirementForm 
+            onSubmit={async (item) => { if (await onSave(item)) setEditing(null); }} 
+            onCancel={() => setEditing(null)} 
+          />
+        )}
+        {requirements.length === 0 && editing !== 'new' && (
+          <div className="text-center py-6 bg-slate-50 rounded-lg border border-dashed border-slate-200 text-slate-400 text-sm">
+            尚未拆分需求项
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RequirementForm = ({ initial, onSubmit, onCancel }) => {
+  const [title, setTitle] = useState(initial?.title || '');
+  const [priority, setPriority] = useState(initial?.priority || DEFAULT_PRIORITY);
+  const [criteria, setCriteria] = useState((initial?.criteria || []).join('\n'));
+
+  const handleSubmit = () => {
+    if (!title.trim()) return alert("需求标题不能为空");
+    onSubmit({
+      title: title.trim(),
+      priority,
+      // 每行一条验收标准
+      criteria: criteria.split('\n').map(c => c.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <div className="border border-blue-200 bg-blue-50/40 rounded-lg p-3 space-y-2">
+      <div className="flex gap-2">
+        <input 
+          className="flex-1 border border-slate-300 rounded-lg px-2 py-1.5 text-sm"
+          placeholder="需求标题"
+          value={title}
+          onChange={e => setTitle(e.target.value)}
+          autoFocus
+        />
+        <select className="border border-slate-300 rounded-lg px-2 py-1.5 text-sm bg-white" value={priority} onChange={e => setPriority(e.target.value)}>
+          {Object.entries(PRIORITY_MAP).map(([key, val]) => <option key={key} value={key}>{val.label}</option>)}
+        </select>
+      </div>
+      <textarea 
+        className="w-full border border-slate-300 rounded-lg px-2 py-1.5 text-sm h-20"
+        placeholder="验收标准，每行一条"
+        value={criteria}
+        onChange={e => setCriteria(e.target.value)}
+      />
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="text-xs px-3 py-1.5 rounded-lg bg-slate-100 hover:bg-slate-200 text-slate-700">取消</button>
+        <button onClick={handleSubmit} className="text-xs px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white">保存</button>
+      </div>
+    </div>
+  );
+};
+
+const RequirementCoveragePanel = ({ coverage, outputArtifacts }) => {
+  const coveredCount = coverage.filter(c => c.artifactIds.length > 0).length;
+  const percent = Math.round((coveredCount / coverage.length) * 100);
+  const artifactName = (artifactId) => outputArtifacts.find(a => a.artifactId === artifactId)?.current.name || artifactId;
+
+  return (
+    <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <CheckCircle className="text-teal-600" size={18}/> 需求覆盖
+        </h3>
+        <span className={`text-xs font-medium ${coveredCount === coverage.length ? 'text-green-600' : 'text-amber-600'}`}>
+          {coveredCount} / {coverage.length}
+        </span>
+      </div>
+      <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden mb-4">
+        <div className={`h-full ${coveredCount === coverage.length ? 'bg-green-500' : 'bg-amber-400'}`} style={{ width: `${percent}%` }} />
+      </div>
+      <div className="space-y-1.5">
+        {coverage.map(({ requirement: r, artifactIds }) => (
+          <div key={r.id} className="flex items-start gap-2 text-xs">
+            <span className="font-mono text-slate-400 shrink-0">{r.code}</span>
+            <span className={`flex-1 ${artifactIds.length ? 'text-slate-700' : 'text-amber-700'}`}>{r.title}</span>
+            {artifactIds.length > 0 ? (
+              <span className="text-slate-400 truncate max-w-[45%]" title={artifactIds.map(artifactName).join('、')}>
+                {artifactIds.map(artifactName).join('、')}
+              </span>
+            ) : (
+              <span className="text-amber-600 flex items-center gap-1 shrink-0"><AlertTriangle size={12}/> 缺少交付物</span>
+            )}
+          </div>
+        ))}
+      </div>
+      {coveredCount < coverage.length && (
+        <p className="text-xs text-slate-500 mt-3 pt-3 border-t border-slate-100">所有需求项都关联交付成果后，项目才能标记为「已完成」。</p>
+      )}
+    </div>
+  );
+};
+
+const RequirementLinkModal = ({ artifact, requirements, selected, onSave, onClose }) => {
+  const [ids, setIds] = useState(selected);
+  const toggle = (id) => setIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/30" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6" onClick={e => e.stopPropagation()}>
+        <h3 className="font-semibold text-slate-800 mb-1">关联需求项</h3>
+        <p className="text-xs text-slate-500 mb-4 truncate">{artifact.current.name} (所有版本)</p>
+        <div className="space-y-1 max-h-72 overflow-y-auto">
+          {requirements.map(r => (
+            <label key={r.id} className="flex items-center gap-2 p-2 rounded hover:bg-slate-50 cursor-pointer text-sm">
+              <input type="checkbox" checked={ids.includes(r.id)} onChange={() => toggle(r.id)} />
+              <span className="font-mono text-xs text-slate-400">{r.code}</span>
+              <span className="flex-1 text-slate-700">{r.title}</span>
+            </label>
+          ))}
+        </div>
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} className="text-sm px-4 py-2 rounded-lg bg-slate-100 hover:bg-slate-200 text-slate-700">取消</button>
+          <button onClick={() => onSave(ids)} className="text-sm px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white">保存</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 可作为审核人的角色
+const REVIEWER_ROLES = ['MANAGER', 'DESIGNER', 'ENGINEER'];
+
+// 单个文件版本的审核：未发起时选择审核人，已发起时显示各审核人结论并供审核人签核
+const ReviewModal = ({ file, review, usersMap, currentUser, defaultReviewers, onRequest, onDecide, onClose }) => {
+  // 发起人和上传者不能担任审核人
+  const candidates = Object.values(usersMap)
+    .filter(u => REVIEWER_ROLES.includes(u.role) && u.uid !== currentUser?.uid && u.uid !== file.addedBy);
+  const [reviewerIds, setReviewerIds] = useState(() => defaultReviewers.filter(uid => candidates.some(u => u.uid === uid)));
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+  const toggle = (uid) => setReviewerIds(prev => prev.includes(uid) ? prev.filter(x => x !== uid) : [...prev, uid]);
+  const latest = getLatestDecisions(review);
+  const isReviewer = review?.reviewers.includes(currentUser?.uid);
+  const state = getReviewState(review);
+
+  const run = async (action) => {
+    setBusy(true);
+    const ok = await action();
+    setBusy(false);
+    return ok;
+  };
+  const request = () => run(() => onRequest(reviewerIds));
+  const decide = async (decision) => {
+    if (decision === 'changes_requested' && !comment.trim()) return alert("请填写需要修改的内容");
+    if (await run(() => onDecide(decision, comment.trim()))) setComment('');
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/30" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-start mb-4">
+          <div className="min-w-0">
+            <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+              <ShieldCheck size={18} className="text-purple-500"/> 交付审核
+              {state && <span className={`text-xs px-2 py-0.5 rounded-full font-normal ${REVIEW_STATES[state].color}`}>{REVIEW_STATES[state].label}</span>}
+            </h3>
+            <p className="text-xs text-slate-500 mt-1 truncate">
+              {file.name} v{file.version || 1}{file.checksum && <span className="font-mono"> · {file.checksum.slice(0, 12)}</span>}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600"><X size={16}/></button>
+        </div>
+
+        {!review ? (
+          onRequest ? (
+            <>
+              <p className="text-sm font-medium text-slate-700 mb-2">选择审核人</p>
+              <div className="space-y-1 max-h-60 overflow-y-auto">
+                {candidates.map(u => (
+                  <label key={u.uid} className="flex items-center gap-2 p-2 rounded hover:bg-slate-50 cursor-pointer text-sm">
+                    <input type="checkbox" checked={reviewerIds.includes(u.uid)} onChange={() => toggle(u.uid)} />
+                    <img src={u.avatar} alt={u.name} className="w-5 h-5 rounded-full bg-slate-100" />
+                    <span className="flex-1 text-slate-700">{u.name}</span>
+                    <span className={`text-xs px-1.5 rounded ${ROLES[u.role]?.color}`}>{ROLES[u.role]?.label}</span>
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-slate-400 mt-2">审核只针对当前版本，上传新版本后需要重新发起。发起人和上传者不能担任审核人。</p>
+              <div className="flex justify-end gap-2 mt-4">
+                <button onClick={onClose} className="text-sm px-4 py-2 rounded-lg bg-slate-100 hover:bg-slate-200 text-slate-700">取消</button>
+                <button 
+                  onClick={request} 
+                  disabled={busy || !reviewerIds.length} 
+                  className="text-sm px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                >
+                  发起审核
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-slate-400 text-center py-6">该版本尚未发起审核</p>
+          )
+        ) : (
+          <>
+            <div className="space-y-2 mb-4">
+              {review.reviewers.map(uid => {
+                const d = latest[uid];
+                const config = REVIEW_STATES[d?.decision || 'pending'];
+                return (
+                  <div key={uid} className="p-2 rounded-lg border border-slate-200">
+                    <div className="flex items-center gap-2 text-sm">
+                      <span className="flex-1 text-slate-700">{usersMap[uid]?.name || uid}</span>
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${config.color}`}>{config.label}</span>
+                    </div>
+                    {d?.comment && <p className="text-xs text-slate-600 mt-1 whitespace-pre-wrap">{d.comment}</p>}
+                    {d && <p className="text-[10px] text-slate-400 mt-1">{new Date(d.at).toLocaleString()}</p>}
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-xs text-slate-400 mb-4">
+              {usersMap[review.requestedBy]?.name || review.requestedBy} 于 {reviewRequestTime(review.requestedAt)?.toLocaleString() || '刚刚'} 发起
+              {review.decisions.length > review.reviewers.length && ` · 共 ${review.decisions.length} 条结论记录`}
+            </p>
+
+            {isReviewer && (
+              <div className="border-t border-slate-100 pt-4 space-y-2">
+                <textarea 
+                  className="w-full border border-slate-300 rounded-lg px-2 py-1.5 text-sm h-20"
+                  placeholder={latest[currentUser.uid] ? '更新结论，会保留之前的记录' : '审核意见 (要求修改时必填)'}
+                  value={comment}
+                  onChange={e => setComment(e.target.value)}
+                />
+                <div className="flex justify-end gap-2">
+                  <button 
+                    onClick={() => decide('changes_requested')} 
+                    disabled={busy}
+                    className="text-sm px-4 py-2 rounded-lg bg-amber-50 hover:bg-amber-100 text-amber-700 border border-amber-200 disabled:opacity-50"
+                  >
+                    需要修改
+                  </button>
+                  <button 
+                    onClick={() => decide('approved')} 
+                    disabled={busy}
+                    className="text-sm px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                  >
+                    批准
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// 模板要求的输入槽位 / 交付格式的完成情况；items 来自 getInputSlotStatus / getOutputSpecStatus
+const TemplateChecklist = ({ items, onUpload }) => (
+  <div className="mb-4 p-3 rounded-lg bg-white border border-slate-200 space-y-1.5">
+    {items.map(item => {
+      const done = item.files.length > 0;
+      return (
+        <div key={item.id} className="flex items-center gap-2 text-xs">
+          {done 
+            ? <CheckCircle size={14} className="text-green-500 shrink-0"/> 
+            : <Circle size={14} className={`shrink-0 ${item.required ? 'text-amber-500' : 'text-slate-300'}`}/>}
+          <span className={done ? 'text-slate-700' : 'text-slate-500'}>{item.label}</span>
+          {item.required && !done && <span className="text-amber-600">必需</span>}
+          <span className="text-slate-400 truncate flex-1 text-right">{item.files.map(f => f.name).join('、')}</span>
+          {!done && onUpload && (
+            <button onClick={() => onUpload(item)} className="text-blue-600 hover:underline shrink-0">上传</button>
+          )}
+        </div>
+      );
+    })}
+  </div>
+);
+
+const FORMAT_LABELS = { doc: 'Document', image: 'Image', stp: '3D Model' };
+
+const UPLOAD_STATUS = {
+  hashing: '计算校验值',
+  uploading: '上传中',
+  saving: '保存中',
+  done: '已完成',
+  error: '失败',
+  canceled: '已取消',
+  paused: '等待网络'
+};
+
+// 根据扩展名/MIME 自动识别文件类型 (doc / image / stp)
+const detectFileFormat = ({ name, type }) => {
+  if (MODEL_LOADERS[getFileExtension(name)]) return 'stp';
+  if (type?.startsWith('image/')) return 'image';
+  return 'doc';
+};
+
+// SHA-256 (hex)，用于校验文件完整性
+const computeChecksum = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const FileUploadModal = ({ projectId, type, supersede, slots = [], defaultSlotId = '', onAddFile, onClose }) => {
+  const [items, setItems] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [note, setNote] = useState(''); // 版本说明，随文件一起保存
+  const [slotId, setSlotId] = useState(defaultSlotId); // 模板输入槽位，新版本沿用原槽位
+  const tasksRef = useRef({}); // key -> UploadTask
+  const inputRef = useRef(null);
+
+  // 关闭弹窗时取消仍在进行的上传
+  useEffect(() => {
+    const tasks = tasksRef.current;
+    return () => Object.values(tasks).forEach(task => task.cancel());
+  }, []);
+
+  // 离线时暂停上传，联网后继续 (避免 SDK 重试超时后直接失败)
+  useEffect(() => {
+    const pauseAll = () => Object.values(tasksRef.current).forEach(task => task.pause());
+    const resumeAll = () => Object.values(tasksRef.current).forEach(task => task.resume());
+    window.addEventListener('offline', pauseAll);
+    window.addEventListener('online', resumeAll);
+    return () => {
+      window.removeEventListener('offline', pauseAll);
+      window.removeEventListener('online', resumeAll);
+    };
+  }, []);
+
+  const updateItem = (key, patch) => setItems(list => list.map(i => (i.key === key ? { ...i, ...patch } : i)));
+
+  // 写入项目记录；失败时保留已上传的文件信息，重试只需重新保存
+  const saveItem = async (item, uploaded) => {
+    updateItem(item.key, { status: 'saving', uploaded, progress: 1 });
+    const ok = await onAddFile(projectId, {
+      ...(supersede && { artifactId: supersede.artifactId, version: supersede.version }),
+      note: item.note,
+      ...(item.slotId && { slotId: item.slotId }),
+      name: item.file.name,
+      url: uploaded.url,
+      format: item.format,
+      size: item.file.size,
+      mimeType: item.file.type || 'application/octet-stream',
+      checksum: uploaded.checksum,
+      storagePath: uploaded.path
+    }, type);
+    updateItem(item.key, ok ? { status: 'done' } : { status: 'error', error: '保存文件记录失败' });
+  };
+
+  const startUpload = async (item) => {
+    if (item.uploaded) return saveItem(item, item.uploaded);
+
+    updateItem(item.key, { status: 'hashing', progress: 0, error: '' });
+    let checksum;
+    try {
+      checksum = await computeChecksum(item.file);
+    } catch (e) {
+      console.error(e);
+      updateItem(item.key, { status: 'error', error: '无法读取文件' });
+      return;
+    }
+
+    const path = `artifacts/${appId}/projects/${projectId}/${type}/${item.key}-${item.file.name}`;
+    const task = uploadBytesResumable(storageRef(storage, path), item.file, {
+      contentType: item.file.type || 'application/octet-stream',
+      customMetadata: { sha256: checksum }
+    });
+    tasksRef.current[item.key] = task;
+    updateItem(item.key, { status: 'uploading' });
+    if (!navigator.onLine) task.pause();
+
+    task.on('state_changed',
+      (snap) => updateItem(item.key, {
+        status: snap.state === 'paused' ? 'paused' : 'uploading',
+        progress: snap.totalBytes ? snap.bytesTransferred / snap.totalBytes : 0
+      }),
+      (err) => {
+        delete tasksRef.current[item.key];
+        if (err.code === 'storage/canceled') {
+          updateItem(item.key, { status: 'canceled' });
+        } else {
+          console.error("Upload failed:", err);
+          updateItem(item.key, { status: 'error', error: err.message });
+        }
+      },
+      async () => {
+        delete tasksRef.current[item.key];
+        try {
+          const url = await getDownloadURL(task.snapshot.ref);
+          await saveItem(item, { url, checksum, path });
+        } catch (err) {
+          console.error(err);
+          updateItem(item.key, { status: 'error', error: err.message });
+        }
+      }
+    );
+  };
+
+  const addFiles = (fileList) => {
+    // 上传新版本时只接受一个文件
+    if (supersede && items.length) return;
+    const files = Array.from(fileList).slice(0, supersede ? 1 : undefined);
+    const newItems = files.map(file => ({
+      key: crypto.randomUUID(),
+      file,
+      note: note.trim(),
+      slotId: supersede ? supersede.slotId : slotId,
+      format: detectFileFormat(file),
+      status: 'hashing',
+      progress: 0
+    }));
+    if (!newItems.length) return;
+    setItems(list => [...list, ...newItems]);
+    newItems.forEach(startUpload);
+  };
+
+  const handleClose = () => {
+    const busy = items.some(i => ['hashing', 'uploading', 'paused', 'saving'].includes(i.status));
+    if (busy && !confirm('仍有文件正在上传，确定取消并关闭吗？')) return;
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg animate-in fade-in zoom-in duration-200">
+        <h3 className="text-lg font-bold mb-4">
+          {supersede 
+            ? `上传新版本 · ${supersede.name} (v${supersede.version})` 
+            : type === 'inputs' ? '上传需求附件' : '提交交付成果'}
+        </h3>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">
+              {supersede ? '变更说明' : '备注'}
+              <span className="text-xs text-slate-400 ml-2 font-normal">选择文件前填写</span>
+            </label>
+            <input 
+              className="w-full border border-slate-300 rounded-lg p-2 text-sm outline-none focus:border-blue-500"
+              value={note}
+              onChange={e => setNote(e.target.value)}
+              placeholder={supersede ? '例如：修正安装孔位置，壁厚改为 2mm' : '可选'}
+            />
+          </div>
+
+          {slots.length > 0 && !supersede && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">对应槽位</label>
+              <select 
+                className="w-full border border-slate-300 rounded-lg p-2 text-sm bg-white"
+                value={slotId}
+                onChange={e => setSlotId(e.target.value)}
+              >
+                <option value="">不对应模板槽位</option>
+                {slots.map(slot => <option key={slot.id} value={slot.id}>{slot.label}{slot.required ? ' (必需)' : ''}</option>)}
+              </select>
+            </div>
+          )}
+
+          <div 
+            onClick={() => inputRef.current?.click()}
+            onDragOver={e => { e.preventDefault(); setDragging(true); }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={e => { e.preventDefault(); setDragging(false); addFiles(e.dataTransfer.files); }}
+            className={`flex flex-col items-center justify-center gap-2 py-8 rounded-lg border-2 border-dashed cursor-pointer transition-colors ${
+              dragging ? 'border-blue-500 bg-blue-50' : 'border-slate-200 bg-slate-50 hover:border-blue-300'
+            }`}
+          >
+            <Upload size={24} className="text-slate-400" />
+            <p className="text-sm text-slate-600">拖拽文件到此处，或点击选择</p>
+            <p className="text-xs text-slate-400">{supersede ? '新版本将替换当前版本，旧版本保留在历史中' : '支持多选，文件类型将自动识别'}</p>
+            <input 
+              ref={inputRef} 
+              type="file" 
+              multiple={!supersede}
+              className="hidden" 
+              onChange={e => { addFiles(e.target.files); e.target.value = ''; }} 
+            />
+          </div>
+
+          {items.length > 0 && (
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {items.map(item => (
+                <div key={item.key} className="p-3 rounded-lg border border-slate-200">
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs text-slate-400 uppercase bg-slate-100 px-1.5 rounded shrink-0">{FORMAT_LABELS[item.format]}</span>
+                    <span className="text-sm text-slate-800 truncate flex-1">{item.file.name}</span>
+                    <span className="text-xs text-slate-400 shrink-0">{formatBytes(item.file.size)}</span>
+                    {(item.status === 'uploading' || item.status === 'paused') && (
+                      <button onClick={() => tasksRef.current[item.key]?.cancel()} className="text-xs text-slate-500 hover:text-red-600">取消</button>
+                    )}
+                    {(item.status === 'error' || item.status === 'canceled') && (
+                      <button onClick={() => startUpload(item)} className="text-xs text-blue-600 hover:underline">重试</button>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2 mt-2">
+                    <div className="flex-1 h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                      <div 
+                        className={`h-full transition-all ${item.status === 'error' || item.status === 'canceled' ? 'bg-red-400' : item.status === 'done' ? 'bg-green-500' : 'bg-blue-500'}`}
+                        style={{ width: `${Math.round(item.progress * 100)}%` }}
+                      />
+                    </div>
+                    <span className={`text-xs shrink-0 ${item.status === 'error' ? 'text-red-600' : 'text-slate-500'}`}>
+                      {item.status === 'uploading' ? `${Math.round(item.progress * 100)}%` : UPLOAD_STATUS[item.status]}
+                    </span>
+                  </div>
+                  {item.error && <p className="text-xs text-red-500 mt-1 truncate">{item.error}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-2">
+            <button onClick={handleClose} className="flex-1 bg-slate-100 text-slate-700 py-2 rounded-lg font-medium hover:bg-slate-200">关闭</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 非 3D 文件的预览：图片使用 ImagePreviewPanel (可标注)，PDF 使用浏览器内置阅读器
+const PDF_EXTENSIONS = ['pdf'];
+
+const isPreviewable = (file) => !!file?.url 
+  && (!!detectModelLoader(file) || file.format === 'image' || PDF_EXTENSIONS.includes(getFileExtension(file.name)));
+
+const FilePreviewPanel = ({ file, onClose }) => (
+  <div className="flex-1 bg-slate-900 rounded-lg overflow-hidden relative min-h-[300px] flex flex-col border border-slate-700 shadow-lg">
+    <div className="bg-slate-800 px-4 py-2 flex justify-between items-center">
+      <span className="text-xs text-slate-300 font-mono flex items-center gap-2 truncate">
+        <FileText size={14}/> {file.name}
+        {file.version > 1 && <span className="text-slate-500">v{file.version}</span>}
+      </span>
+      <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={16}/></button>
+    </div>
+    <iframe src={file.url} title={file.name} className="flex-1 w-full min-h-[480px] bg-white" />
+  </div>
+);
+
+// SVG 中的标注形状；size 为图片在缩放为 1 时的显示尺寸，箭头大小随缩放反向调整以保持屏幕上一致
+const AnnotationShape = ({ type, shape, size, zoom, color }) => {
+  const stroke = { stroke: color, strokeWidth: 2, fill: 'none', vectorEffect: 'non-scaling-stroke' };
+  switch (type) {
+    case 'rect':
+      return <rect x={shape.x * size.w} y={shape.y * size.h} width={shape.w * size.w} height={shape.h * size.h} {...stroke} />;
+    case 'arrow': {
+      const x1 = shape.x1 * size.w, y1 = shape.y1 * size.h, x2 = shape.x2 * size.w, y2 = shape.y2 * size.h;
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const head = 12 / zoom;
+      const tip = (a) => `${x2 - head * Math.cos(a)},${y2 - head * Math.sin(a)}`;
+      return (
+        <g>
+          <line x1={x1} y1={y1} x2={x2} y2={y2} {...stroke} />
+          <polygon points={`${x2},${y2} ${tip(angle - 0.45)} ${tip(angle + 0.45)}`} fill={color} />
+        </g>
+      );
+    }
+    case 'freehand':
+      return <polyline points={shape.points.map(p => `${p.x * size.w},${p.y * size.h}`).join(' ')} strokeLinecap="round" strokeLinejoin="round" {...stroke} />;
+    default:
+      return null; // 图钉只显示编号标记
+  }
+};
+
+const ANNOTATION_COLORS = { open: '#ef4444', resolved: '#94a3b8', active: '#facc15', draft: '#3b82f6' };
+
+// 图片查看器：滚轮缩放、拖拽平移；有权限的成员可在当前文件版本上绘制标注
+const ImagePreviewPanel = ({ file, annotations, usersMap, currentUser, onAdd, onResolve, onDelete, onClose }) => {
+  const viewportRef = useRef(null);
+  const imageRef = useRef(null);
+  const dragRef = useRef(null); // { mode: 'pan', x, y, origin } | { mode: 'draw', start }
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const [size, setSize] = useState(null); // { w, h }
+  const [tool, setTool] = useState('pan');
+  const [draft, setDraft] = useState(null); // { type, shape, done }
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [showResolved, setShowResolved] = useState(false);
+  const [activeId, setActiveId] = useState(null);
+
+  // React 的 onWheel 为 passive 监听，无法阻止页面滚动
+  useEffect(() => {
+    const el = viewportRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      setView(v => zoomViewAt(v, e.clientX - rect.left, e.clientY - rect.top, e.deltaY < 0 ? 1.2 : 1 / 1.2));
+    };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, []);
+
+  // 图片加载完成或面板尺寸变化时更新标注层尺寸
+  useEffect(() => {
+    const img = imageRef.current;
+    const observer = new ResizeObserver(() => setSize({ w: img.clientWidth, h: img.clientHeight }));
+    observer.observe(img);
+    return () => observer.disconnect();
+  }, []);
+
+  const zoomBy = (factor) => {
+    const el = viewportRef.current;
+    setView(v => zoomViewAt(v, el.clientWidth / 2, el.clientHeight / 2, factor));
+  };
+
+  // 指针位置 -> 图片上的相对坐标 (getBoundingClientRect 已包含缩放和平移)
+  const toImagePoint = (e) => {
+    const rect = imageRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 && e.button !== 1) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    // 中键在任何工具下都可平移
+    if (tool === 'pan' || e.button === 1) {
+      dragRef.current = { mode: 'pan', x: e.clientX, y: e.clientY, origin: view };
+      return;
+    }
+    const p = toImagePoint(e);
+    setComment('');
+    setDraft({ type: tool, shape: startShape(tool, p), done: tool === 'pin' });
+    dragRef.current = tool === 'pin' ? null : { mode: 'draw', start: p };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.mode === 'pan') {
+      setView({ ...drag.origin, x: drag.origin.x + e.clientX - drag.x, y: drag.origin.y + e.clientY - drag.y });
+    } else {
+      const p = toImagePoint(e);
+      setDraft(d => d && { ...d, shape: extendShape(d.type, d.shape, drag.start, p) });
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag?.mode === 'draw') setDraft(d => d && (isShapeValid(d.type, d.shape) ? { ...d, done: true } : null));
+  };
+
+  const saveDraft = async () => {
+    if (!comment.trim()) return alert("请填写标注说明");
+    setSaving(true);
+    const ok = await onAdd({ type: draft.type, shape: roundShape(draft.shape), comment: comment.trim() });
+    setSaving(false);
+    if (ok) {
+      setDraft(null);
+      setComment('');
+    }
+  };
+
+  // 编号按创建顺序，隐藏已解决的标注时编号不变
+  const numbered = annotations.map((a, i) => ({ ...a, number: i + 1 }));
+  const visible = showResolved ? numbered : numbered.filter(a => !a.resolved);
+  const resolvedCount = annotations.length - numbered.filter(a => !a.resolved).length;
+  const colorOf = (a) => a.id === activeId ? ANNOTATION_COLORS.active : a.resolved ? ANNOTATION_COLORS.resolved : ANNOTATION_COLORS.open;
+  const markerStyle = (p) => ({ left: `${p.x * 100}%`, top: `${p.y * 100}%`, transform: `scale(${1 / view.zoom})` });
+
+  return (
+    <div className="flex-1 bg-slate-900 rounded-lg overflow-hidden relative min-h-[300px] flex flex-col border border-slate-700 shadow-lg">
+      <div className="bg-slate-800 px-4 py-2 flex justify-between items-center">
+        <span className="text-xs text-slate-300 font-mono flex items-center gap-2 truncate">
+          <ImageIcon size={14}/> {file.name}
+          {file.version > 1 && <span className="text-slate-500">v{file.version}</span>}
+        </span>
+        <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={16}/></button>
+      </div>
+
+      {/* Toolbar */}
+      <div className="bg-slate-800/80 border-t border-slate-700 px-3 py-1.5 flex flex-wrap items-center gap-1">
+        <ToolButton icon={<Hand size={14}/>} label="移动" active={tool === 'pan'} onClick={() => setTool('pan')} />
+        {onAdd && Object.entries(ANNOTATION_TOOLS).map(([key, meta]) => {
+          const Icon = meta.icon;
+          return <ToolButton key={key} icon={<Icon size={14}/>} label={meta.label} active={tool === key} onClick={() => setTool(key)} />;
+        })}
+        <div className="w-px h-4 bg-slate-700 mx-1" />
+        <ToolButton icon={<ZoomOut size={14}/>} onClick={() => zoomBy(1 / 1.5)} />
+        <span className="text-xs text-slate-400 w-10 text-center">{Math.round(view.zoom * 100)}%</span>
+        <ToolButton icon={<ZoomIn size={14}/>} onClick={() => zoomBy(1.5)} />
+        <ToolButton icon={<Maximize size={14}/>} label="适应" onClick={() => setView({ zoom: 1, x: 0, y: 0 })} />
+        <label className="ml-auto text-xs text-slate-300 flex items-center gap-1.5 cursor-pointer">
+          <input type="checkbox" checked={showResolved} onChange={e => setShowResolved(e.target.checked)} />
+          显示已解决{resolvedCount > 0 && ` (${resolvedCount})`}
+        </label>
+      </div>
+
+      <div 
+        ref={viewportRef}
+        className={`relative h-[480px] overflow-hidden touch-none ${tool === 'pan' ? 'cursor-grab active:cursor-grabbing' : 'cursor-crosshair'}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <div className="absolute top-0 left-0 w-full origin-top-left" style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})` }}>
+          <img ref={imageRef} src={file.url} alt={file.name} draggable={false} className="block w-full h-auto select-none" />
+          {size && (
+            <svg className="absolute inset-0 pointer-events-none" width={size.w} height={size.h} viewBox={`0 0 ${size.w} ${size.h}`}>
+              {visible.map(a => <AnnotationShape key={a.id} type={a.type} shape={a.shape} size={size} zoom={view.zoom} color={colorOf(a)} />)}
+              {draft && <AnnotationShape type={draft.type} shape={draft.shape} size={size} zoom={view.zoom} color={ANNOTATION_COLORS.draft} />}
+            </svg>
+          )}
+          {visible.map(a => (
+            <button 
+              key={a.id}
+              onPointerDown={e => e.stopPropagation()}
+              onClick={() => setActiveId(a.id === activeId ? null : a.id)}
+              className="absolute w-6 h-6 -ml-3 -mt-3 rounded-full text-[11px] font-bold text-white flex items-center justify-center shadow ring-2 ring-white"
+              style={{ ...markerStyle(annotationAnchor(a)), backgroundColor: colorOf(a) }}
+              title={a.comment}
+            >
+              {a.number}
+            </button>
+          ))}
+          {draft && (
+            <span 
+              className="absolute w-6 h-6 -ml-3 -mt-3 rounded-full text-white flex items-center justify-center shadow ring-2 ring-white pointer-events-none"
+              style={{ ...markerStyle(annotationAnchor(draft)), backgroundColor: ANNOTATION_COLORS.draft }}
+            >
+              <Plus size={12}/>
+            </span>
+          )}
         </div>
+      </div>
 
-        <nav className="flex-1 p-4 space-y-2">
-          <NavButton 
-            active={activeTab === 'dashboard'} 
-            onClick={() => { setActiveTab('dashboard'); setSelectedProject(null); }}
-            icon={<LayoutDashboard size={20}/>} 
-            label="仪表盘" 
+      {draft?.done && (
+        <div className="bg-slate-800 border-t border-slate-700 p-3 flex gap-2">
+          <input 
+            autoFocus
+            className="flex-1 bg-slate-900 border border-slate-600 rounded px-2 py-1.5 text-sm text-white outline-none focus:border-blue-500"
+            placeholder={`${ANNOTATION_TOOLS[draft.type].label}标注说明`}
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && !saving && saveDraft()}
           />
-          <NavButton 
-            active={activeTab === 'projects' || activeTab === 'detail'} 
-            onClick={() => { setActiveTab('projects'); setSelectedProject(null); }}
-            icon={<FileText size={20}/>} 
-            label="项目管理" 
-            badge={projects.length}
+          <button onClick={saveDraft} disabled={saving} className="text-xs px-3 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50">保存</button>
+          <button onClick={() => setDraft(null)} className="text-xs px-3 rounded text-slate-300 hover:bg-slate-700">取消</button>
+        </div>
+      )}
+
+      <div className="bg-slate-800 border-t border-slate-700 max-h-56 overflow-y-auto divide-y divide-slate-700">
+        {visible.length === 0 && (
+          <p className="text-xs text-slate-500 text-center py-3">
+            {resolvedCount > 0 ? '标注均已解决' : onAdd ? '选择上方工具在图片上添加标注' : '暂无标注'}
+          </p>
+        )}
+        {visible.map(a => (
+          <div 
+            key={a.id} 
+            onClick={() => setActiveId(a.id === activeId ? null : a.id)}
+            className={`px-3 py-2 flex items-start gap-2 cursor-pointer ${a.id === activeId ? 'bg-slate-700/60' : 'hover:bg-slate-700/30'}`}
+          >
+            <span className="w-5 h-5 rounded-full text-[10px] font-bold text-white flex items-center justify-center shrink-0" style={{ backgroundColor: colorOf(a) }}>
+              {a.number}
+            </span>
+            <div className="flex-1 min-w-0">
+              <p className={`text-sm ${a.resolved ? 'text-slate-500 line-through' : 'text-slate-200'}`}>{a.comment}</p>
+              <p className="text-[10px] text-slate-500 mt-0.5">
+                {ANNOTATION_TOOLS[a.type]?.label} · {usersMap[a.authorId]?.name || 'Unknown'} · {formatTimestamp(a.createdAt)}
+                {a.resolved && ` · 由 ${usersMap[a.resolvedBy]?.name || 'Unknown'} 解决`}
+              </p>
+            </div>
+            {onResolve && (
+              <button 
+                onClick={e => { e.stopPropagation(); onResolve(a, !a.resolved); }} 
+                className="text-[10px] text-slate-400 hover:text-green-400 shrink-0"
+              >
+                {a.resolved ? '重新打开' : '解决'}
+              </button>
+            )}
+            {a.authorId === currentUser?.uid && (
+              <button onClick={e => { e.stopPropagation(); onDelete(a); }} className="text-slate-500 hover:text-red-400 shrink-0" title="删除">
+                <Trash2 size={12}/>
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// comments 为项目的全部评论；带 anchor.pin 且指向当前文件版本的根评论即为该版本的 3D 标注
+const ModelPreviewPanel = ({ 
+  file, fileAnchor, comments = [], usersMap, currentUser, onAddComment, onEditComment, onDeleteComment, onClose 
+}) => {
+  const [tools, setTools] = useState(DEFAULT_VIEWER_TOOLS);
+  const [modelInfo, setModelInfo] = useState(null); // { bodyCount, unit, size }
+  const [measurement, setMeasurement] = useState(null); // { distance } | null
+  const [resetKey, setResetKey] = useState(0);
+  const [pinMode, setPinMode] = useState(false);
+  const [draftPin, setDraftPin] = useState(null); // 待填写评论的新标注
+  const [activePinId, setActivePinId] = useState(null);
+  const [flyTo, setFlyTo] = useState(null);
+
+  const pinComments = useMemo(
+    () => comments.filter(c => !c.parentId && !c.deleted && c.anchor?.fileId === file.id && c.anchor.pin),
+    [comments, file.id]
+  );
+  const activePin = pinComments.find(c => c.id === activePinId);
+  const viewerPins = useMemo(() => [
+    ...pinComments.map((c, i) => ({
+      id: c.id,
+      label: String(i + 1),
+      color: c.id === activePinId ? ANNOTATION_COLORS.active : ANNOTATION_COLORS.open,
+      pin: c.anchor.pin
+    })),
+    ...(draftPin ? [{ id: 'draft', label: '+', color: ANNOTATION_COLORS.draft, pin: draftPin }] : [])
+  ], [pinComments, activePinId, draftPin]);
+
+  const selectPin = (id) => {
+    const comment = pinComments.find(c => c.id === id);
+    setActivePinId(id);
+    if (comment) setFlyTo({ ...comment.anchor.pin.camera });
+  };
+  const togglePinMode = () => {
+    setPinMode(m => !m);
+    setDraftPin(null);
+    setTools(t => ({ ...t, measure: false }));
+    setMeasurement(null);
+  };
+  const submitPin = async ({ text }) => {
+    const ok = await onAddComment({ text, anchor: { ...fileAnchor, pin: draftPin } });
+    if (ok) {
+      setDraftPin(null);
+      setPinMode(false);
+    }
+    return ok;
+  };
+
+  const unit = modelInfo?.unit || '';
+  const updateSection = (patch) => setTools(t => ({ ...t, section: { ...t.section, ...patch } }));
+
+  return (
+    <div className="flex-1 bg-slate-900 rounded-lg overflow-hidden relative min-h-[300px] flex flex-col border border-slate-700 shadow-lg">
+      <div className="bg-slate-800 px-4 py-2 flex justify-between items-center">
+        <span className="text-xs text-slate-300 font-mono flex items-center gap-2"><Box size={14}/> 3D Preview Mode</span>
+        <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={16}/></button>
+      </div>
+
+      {/* Toolbar */}
+      <div className="bg-slate-800/80 border-t border-slate-700 px-3 py-1.5 flex flex-wrap items-center gap-1">
+        <ToolButton 
+          icon={<RotateCcw size={14}/>} 
+          label="重置视角" 
+          disabled={!modelInfo}
+          onClick={() => setResetKey(k => k + 1)} 
+        />
+        <ToolButton 
+          icon={<Ruler size={14}/>} 
+          label="测量" 
+          active={tools.measure} 
+          disabled={!modelInfo}
+          onClick={() => { setTools(t => ({ ...t, measure: !t.measure })); setMeasurement(null); setPinMode(false); setDraftPin(null); }} 
+        />
+        <ToolButton 
+          icon={<MapPin size={14}/>} 
+          label={`标注${pinComments.length ? ` (${pinComments.length})` : ''}`} 
+          active={pinMode} 
+          disabled={!modelInfo}
+          onClick={togglePinMode} 
+        />
+        <ToolButton 
+          icon={<Scissors size={14}/>} 
+          label="剖切" 
+          active={tools.section.enabled} 
+          disabled={!modelInfo}
+          onClick={() => updateSection({ enabled: !tools.section.enabled })} 
+        />
+        <ToolButton 
+          icon={<Grid3x3 size={14}/>} 
+          label={tools.wireframe ? '线框' : '着色'} 
+          active={tools.wireframe} 
+          disabled={!modelInfo}
+          onClick={() => setTools(t => ({ ...t, wireframe: !t.wireframe }))} 
+        />
+        {modelInfo?.bodyCount > 1 && (
+          <label className="flex items-center gap-2 text-xs text-slate-300 ml-2">
+            <Boxes size={14}/> 爆炸
+            <input 
+              type="range" min="0" max="1" step="0.01" 
+              value={tools.explode}
+              onChange={e => { setTools(t => ({ ...t, explode: Number(e.target.value) })); setMeasurement(null); }}
+              className="w-24 accent-blue-500"
+            />
+          </label>
+        )}
+      </div>
+
+      {tools.section.enabled && (
+        <div className="bg-slate-800/60 border-t border-slate-700 px-3 py-1.5 flex items-center gap-2 text-xs text-slate-300">
+          <span>剖切轴</span>
+          {['x', 'y', 'z'].map(axis => (
+            <button 
+              key={axis}
+              onClick={() => updateSection({ axis })}
+              className={`w-6 h-6 rounded uppercase font-mono ${tools.section.axis === axis ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+            >
+              {axis}
+            </button>
+          ))}
+          <input 
+            type="range" min="0" max="1" step="0.005" 
+            value={tools.section.offset}
+            onChange={e => updateSection({ offset: Number(e.target.value) })}
+            className="flex-1 accent-blue-500"
           />
-          <NavButton 
-            active={activeTab === 'team'} 
-            onClick={() => { setActiveTab('team'); setSelectedProject(null); }}
-            icon={<Users size={20}/>} 
-            label="团队成员" 
+          <ToolButton 
+            icon={<FlipHorizontal size={14}/>} 
+            label="翻转" 
+            active={tools.section.flip} 
+            onClick={() => updateSection({ flip: !tools.section.flip })} 
           />
-        </nav>
+        </div>
+      )}
 
-        <div className="p-4 border-t border-slate-800">
-          <button 
-             onClick={() => setActiveTab('settings')}
-             className="flex items-center gap-3 p-3 w-full hover:bg-slate-800 rounded-lg transition-colors mb-2"
-          >
-            <div className="w-8 h-8 rounded-full bg-slate-700 overflow-hidden border border-slate-600">
-              <img src={userData?.avatar} alt="Me" className="w-full h-full object-cover" />
+      <div className="flex-1 relative">
+        <ThreeViewer 
+          isActive={true} 
+          modelUrl={file.url} 
+          format={file.format}
+          fileName={file.name}
+          tools={tools}
+          resetKey={resetKey}
+          onMeasure={setMeasurement}
+          onModelLoaded={setModelInfo}
+          pins={viewerPins}
+          pinMode={pinMode}
+          flyTo={flyTo}
+          onPickPin={setDraftPin}
+          onSelectPin={selectPin}
+        />
+        <div className="absolute bottom-4 left-4 right-4 bg-black/50 text-white text-xs p-2 rounded backdrop-blur-sm pointer-events-none flex justify-between gap-4">
+          <span className="truncate">{file.name}</span>
+          {pinMode ? (
+            <span className="shrink-0">{draftPin ? '填写标注内容，或点击其他位置重新选择' : '点击模型表面放置标注'}</span>
+          ) : tools.measure ? (
+            <span className="shrink-0 font-mono">
+              {!measurement ? '点击模型选择第一个点' 
+                : measurement.distance === null ? '选择第二个点' 
+                : `距离: ${formatLength(measurement.distance, unit)}`}
+            </span>
+          ) : modelInfo && (
+            <span className="shrink-0 font-mono text-slate-300">
+              {[modelInfo.size.x, modelInfo.size.y, modelInfo.size.z].map(v => v.toFixed(1)).join(' × ')} {unit}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {(draftPin || pinComments.length > 0) && (
+        <div className="bg-slate-800 border-t border-slate-700 max-h-80 overflow-y-auto">
+          {draftPin && (
+            <div className="p-3 border-b border-slate-700">
+              <div className="bg-white rounded-lg p-2">
+                <CommentComposer 
+                  usersMap={usersMap}
+                  autoFocus
+                  submitLabel="添加标注"
+                  onCancel={() => setDraftPin(null)}
+                  onSubmit={submitPin}
+                />
+              </div>
             </div>
-            <div className="flex-1 text-left">
-              <p className="text-sm font-medium truncate">{userData?.name}</p>
-              <p className="text-xs text-slate-400">{ROLES[userData?.role]?.label || '访客'}</p>
+          )}
+          <div className="divide-y divide-slate-700">
+            {pinComments.map((c, i) => (
+              <button 
+                key={c.id}
+                onClick={() => selectPin(c.id)}
+                className={`w-full text-left px-3 py-2 flex items-start gap-2 ${c.id === activePinId ? 'bg-slate-700/60' : 'hover:bg-slate-700/30'}`}
+              >
+                <span 
+                  className="w-5 h-5 rounded-full text-[10px] font-bold text-white flex items-center justify-center shrink-0" 
+                  style={{ backgroundColor: viewerPins[i].color }}
+                >
+                  {i + 1}
+                </span>
+                <span className="flex-1 min-w-0">
+                  <span className="block text-sm truncate text-slate-200">
+                    {decodeMentions(c.text)}
+                  </span>
+                  <span className="block text-[10px] text-slate-500 mt-0.5">
+                    {usersMap[c.authorId]?.name || '未知用户'} · {formatTimestamp(c.createdAt)}
+                    {comments.some(r => r.parentId === c.id) && ` · ${comments.filter(r => r.parentId === c.id).length} 条回复`}
+                  </span>
+                </span>
+              </button>
+            ))}
+          </div>
+          {activePin && (
+            <div className="m-3 bg-white rounded-lg p-3">
+              <CommentThread 
+                comment={activePin}
+                replies={comments.filter(r => r.parentId === activePin.id)}
+                usersMap={usersMap}
+                currentUser={currentUser}
+                onAdd={onAddComment}
+                onEdit={onEditComment}
+                onDelete={onDeleteComment}
+              />
             </div>
-            <Settings size={16} className="text-slate-400" />
-          </button>
+          )}
         </div>
-      </aside>
+      )}
+    </div>
+  );
+};
 
-      {/* Main Area */}
-      <main className="flex-1 flex flex-col min-w-0 overflow-hidden">
-        {/* Top Header */}
-        <header className="h-16 bg-white border-b border-slate-200 flex items-center justify-between px-6 shrink-0">
-          <h2 className="text-lg font-semibold text-slate-800">
-            {activeTab === 'dashboard' && '概览仪表盘'}
-            {activeTab === 'projects' && '项目列表'}
-            {activeTab === 'detail' && '项目详情'}
-            {activeTab === 'team' && '团队列表'}
-            {activeTab === 'settings' && '个人设置'}
-          </h2>
-          <div className="flex items-center gap-4">
-             {/* Search could go here */}
-          </div>
-        </header>
+const ModelComparePanel = ({ files, onClose }) => {
+  // 默认对比最近两次提交
+  const [baseId, setBaseId] = useState(files[files.length - 2]?.id);
+  const [targetId, setTargetId] = useState(files[files.length - 1]?.id);
+  const [mode, setMode] = useState('side'); // 'side' | 'overlay'
 
-        {/* Content Scroll Area */}
-        <div className="flex-1 overflow-y-auto p-6 scroll-smooth">
-          
-          {/* DASHBOARD VIEW */}
-          {activeTab === 'dashboard' && (
-            <DashboardView projects={projects} usersMap={usersMap} user={userData} onNavigate={() => setActiveTab('projects')} />
-          )}
+  const fileA = files.find(f => f.id === baseId);
+  const fileB = files.find(f => f.id === targetId);
 
-          {/* PROJECT LIST VIEW */}
-          {activeTab === 'projects' && (
-            <ProjectListView 
-              projects={projects} 
-              onSelect={(p) => { setSelectedProject(p); setActiveTab('detail'); }} 
-              onCreate={handleCreateProject}
+  return (
+    <div className="flex-1 bg-slate-900 rounded-lg overflow-hidden relative min-h-[360px] flex flex-col border border-slate-700 shadow-lg">
+      <div className="bg-slate-800 px-4 py-2 flex justify-between items-center">
+        <span className="text-xs text-slate-300 font-mono flex items-center gap-2"><GitCompare size={14}/> 3D Compare Mode</span>
+        <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={16}/></button>
+      </div>
+
+      <div className="bg-slate-800/80 border-t border-slate-700 px-3 py-1.5 flex flex-wrap items-center gap-2 text-xs text-slate-300">
+        <span className="text-red-400 font-mono">A</span>
+        <select 
+          value={baseId} 
+          onChange={e => setBaseId(e.target.value)}
+          className="bg-slate-700 text-slate-200 rounded px-2 py-1 max-w-[10rem] outline-none"
+        >
+          {files.map(f => <option key={f.id} value={f.id}>{f.name} (v{f.version || 1})</option>)}
+        </select>
+        <span className="text-green-400 font-mono">B</span>
+        <select 
+          value={targetId} 
+          onChange={e => setTargetId(e.target.value)}
+          className="bg-slate-700 text-slate-200 rounded px-2 py-1 max-w-[10rem] outline-none"
+        >
+          {files.map(f => <option key={f.id} value={f.id}>{f.name} (v{f.version || 1})</option>)}
+        </select>
+        <div className="ml-auto flex gap-1">
+          <ToolButton icon={<Columns2 size={14}/>} label="并排" active={mode === 'side'} onClick={() => setMode('side')} />
+          <ToolButton icon={<Layers size={14}/>} label="叠加" active={mode === 'overlay'} onClick={() => setMode('overlay')} />
+        </div>
+      </div>
+
+      {fileA && fileB && fileA.id !== fileB.id ? (
+        <ModelDiffViewer key={`${fileA.id}:${fileB.id}`} fileA={fileA} fileB={fileB} mode={mode} />
+      ) : (
+        <div className="flex-1 flex items-center justify-center text-xs text-slate-400">请选择两个不同的版本进行对比</div>
+      )}
+    </div>
+  );
+};
+
+// 两个版本共用一个相机：并排模式用 scissor 分屏渲染，叠加模式将旧版本差异部分以半透明方式覆盖在新版本上
+const ModelDiffViewer = ({ fileA, fileB, mode }) => {
+  const mountRef = useRef(null);
+  const viewerRef = useRef(null);
+  const [phase, setPhase] = useState('loading'); // loading | computing | ready | error
+  const [error, setError] = useState('');
+  const [tolerance, setTolerance] = useState(0);
+  const [toleranceInput, setToleranceInput] = useState('');
+  const [summary, setSummary] = useState(null);
+  const [unit, setUnit] = useState('');
+
+  useEffect(() => {
+    const mount = mountRef.current;
+    if (!mount) return;
+
+    const createScene = (background) => {
+      const scene = new THREE.Scene();
+      if (background) scene.background = new THREE.Color(background);
+      scene.add(new THREE.HemisphereLight(0xffffff, 0x94a3b8, 1.2));
+      const light = new THREE.DirectionalLight(0xffffff, 0.8);
+      light.position.set(1, 1.5, 1);
+      scene.add(light);
+      const root = new THREE.Group();
+      scene.add(root);
+      return { scene, root };
+    };
+    const sceneA = createScene(0xf8fafc);
+    const sceneB = createScene(0xf8fafc);
+    const ghost = createScene(null);
+
+    const camera = new THREE.PerspectiveCamera(45, mount.clientWidth / mount.clientHeight, 0.1, 1000);
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setSize(mount.clientWidth, mount.clientHeight);
+    mount.appendChild(renderer.domElement);
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+
+    const viewer = { mode: 'side', camera, sceneA, sceneB, ghost, bodiesA: null, bodiesB: null };
+    viewerRef.current = viewer;
+
+    // 只依赖文件的 url/格式/名称，项目快照刷新时不重新加载
+    const sourceA = { url: fileA.url, format: fileA.format, name: fileA.name };
+    const sourceB = { url: fileB.url, format: fileB.format, name: fileB.name };
+    const abortController = new AbortController();
+    const load = (file) => loadModel(file, { signal: abortController.signal }).then((object) => {
+      const bodies = flattenModel(object);
+      disposeObject(object);
+      return bodies;
+    });
+
+    Promise.all([load(sourceA), load(sourceB)]).then(([bodiesA, bodiesB]) => {
+      if (abortController.signal.aborted) return;
+      viewer.bodiesA = bodiesA;
+      viewer.bodiesB = bodiesB;
+
+      // 两个版本共用同一偏移，保持原始相对位置
+      const box = [...bodiesA, ...bodiesB].reduce((b, body) => b.union(body.box), new THREE.Box3());
+      const center = box.getCenter(new THREE.Vector3());
+      [sceneA, sceneB, ghost].forEach(({ root }) => root.position.copy(center).negate());
+      controls.target.copy(frameBox(camera, box.clone().translate(center.clone().negate())));
+      controls.update();
+
+      setUnit(MODEL_UNITS[detectModelLoader(sourceA)] || '');
+      const defaultTolerance = niceTolerance(box.getSize(new THREE.Vector3()).length() * 0.001);
+      setTolerance(defaultTolerance);
+      setToleranceInput(String(defaultTolerance));
+      setPhase('computing');
+    }).catch((err) => {
+      if (abortController.signal.aborted) return;
+      console.error("Error loading models for compare:", err);
+      setError(err.message || '模型加载失败');
+      setPhase('error');
+    });
+
+    let animationId;
+    const animate = () => {
+      animationId = requestAnimationFrame(animate);
+      controls.update();
+      const w = mount.clientWidth;
+      const h = mount.clientHeight;
+      const half = Math.floor(w / 2);
+      const aspect = viewer.mode === 'side' ? half / h : w / h;
+      if (camera.aspect !== aspect) {
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+      }
+      if (viewer.mode === 'side') {
+        renderer.setScissorTest(true);
+        renderer.setViewport(0, 0, half, h);
+        renderer.setScissor(0, 0, half, h);
+        renderer.render(sceneA.scene, camera);
+        renderer.setViewport(half, 0, w - half, h);
+        renderer.setScissor(half, 0, w - half, h);
+        renderer.render(sceneB.scene, camera);
+        renderer.setScissorTest(false);
+      } else {
+        renderer.setViewport(0, 0, w, h);
+        renderer.render(sceneB.scene, camera);
+        // 旧版本差异部分透视显示在新版本之上
+        renderer.autoClear = false;
+        renderer.clearDepth();
+        renderer.render(ghost.scene, camera);
+        renderer.autoClear = true;
+      }
+    };
+    animate();
+
+    const handleResize = () => renderer.setSize(mount.clientWidth, mount.clientHeight);
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      abortController.abort();
+      cancelAnimationFrame(animationId);
+      window.removeEventListener('resize', handleResize);
+      controls.dispose();
+      if (renderer.domElement.parentNode === mount) {
+        mount.removeChild(renderer.domElement);
+      }
+      [sceneA, sceneB, ghost].forEach(({ root }) => disposeObject(root));
+      renderer.dispose();
+      viewerRef.current = null;
+    };
+  }, [fileA.url, fileA.format, fileA.name, fileB.url, fileB.format, fileB.name]);
+
+  // 切换并排/叠加无需重建场景，渲染循环读取最新模式
+  useEffect(() => {
+    if (viewerRef.current) viewerRef.current.mode = mode;
+  }, [mode]);
+
+  // 差异计算较重，放到下一帧执行以便先显示"计算中"
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (phase !== 'computing' || !viewer?.bodiesA) return;
+    const timer = setTimeout(() => {
+      const { bodiesA, bodiesB, sceneA, sceneB, ghost } = viewer;
+      const result = compareModels(bodiesA, bodiesB, tolerance);
+
+      [sceneA, sceneB, ghost].forEach(({ root }) => {
+        disposeObject(root);
+        root.clear();
+      });
+      bodiesA.forEach((body) => {
+        const full = buildDiffMesh(body, DIFF_COLORS.removed);
+        if (full) sceneA.root.add(full);
+        const diffOnly = buildDiffMesh(body, DIFF_COLORS.removed, { onlyDiff: true, opacity: 0.45 });
+        if (diffOnly) ghost.root.add(diffOnly);
+      });
+      bodiesB.forEach((body) => {
+        const full = buildDiffMesh(body, DIFF_COLORS.added);
+        if (full) sceneB.root.add(full);
+      });
+
+      setSummary(result);
+      setPhase('ready');
+    }, 30);
+    return () => clearTimeout(timer);
+  }, [phase, tolerance]);
+
+  const applyTolerance = () => {
+    const value = Number(toleranceInput);
+    if (!(value > 0)) {
+      setToleranceInput(String(tolerance));
+      return;
+    }
+    if (value === tolerance) return;
+    setTolerance(value);
+    setPhase('computing');
+  };
+
+  const pct = (delta, base) => (base ? ` (${delta >= 0 ? '+' : ''}${(delta / base * 100).toFixed(1)}%)` : '');
+  const signed = (v, digits = 2) => `${v >= 0 ? '+' : ''}${v.toFixed(digits)}`;
+
+  return (
+    <>
+      <div className="flex-1 relative min-h-[240px]">
+        <div ref={mountRef} className="w-full h-full" />
+        {phase === 'ready' && mode === 'side' && (
+          <>
+            <span className="absolute top-2 left-2 text-xs bg-white/80 text-red-600 px-2 py-0.5 rounded truncate max-w-[45%]">A · {fileA.name}</span>
+            <span className="absolute top-2 left-1/2 ml-2 text-xs bg-white/80 text-green-700 px-2 py-0.5 rounded truncate max-w-[45%]">B · {fileB.name}</span>
+            <div className="absolute inset-y-0 left-1/2 w-px bg-slate-300 pointer-events-none" />
+          </>
+        )}
+        {(phase === 'loading' || phase === 'computing') && (
+          <div className="absolute inset-0 flex items-center justify-center bg-slate-50/80 text-xs text-slate-600 animate-pulse">
+            {phase === 'loading' ? '正在加载两个版本...' : '正在计算几何差异...'}
+          </div>
+        )}
+        {phase === 'error' && (
+          <div className="absolute inset-0 flex flex-col items-center justify-center gap-2 bg-slate-50 text-center px-6">
+            <X size={24} className="text-red-500" />
+            <p className="text-sm font-medium text-slate-700">模型加载失败</p>
+            <p className="text-xs text-slate-500 break-all">{error}</p>
+          </div>
+        )}
+      </div>
+
+      {/* Diff Summary */}
+      <div className="bg-slate-800 border-t border-slate-700 px-4 py-3 text-xs text-slate-300 space-y-2">
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="flex items-center gap-1"><span className="w-2.5 h-2.5 rounded-sm bg-green-500"/> 新增</span>
+          <span className="flex items-center gap-1"><span className="w-2.5 h-2.5 rounded-sm bg-red-500"/> 移除</span>
+          <span className="flex items-center gap-1"><span className="w-2.5 h-2.5 rounded-sm bg-amber-500"/> 移动</span>
+          <label className="ml-auto flex items-center gap-2">
+            容差
+            <input 
+              type="number" min="0" step="any"
+              value={toleranceInput}
+              disabled={phase !== 'ready'}
+              onChange={e => setToleranceInput(e.target.value)}
+              onBlur={applyTolerance}
+              onKeyDown={e => e.key === 'Enter' && applyTolerance()}
+              className="w-20 bg-slate-700 text-slate-200 rounded px-2 py-0.5 outline-none font-mono"
             />
-          )}
+            {unit || '模型单位'}
+          </label>
+        </div>
+        {summary && (
+          <div className="grid grid-cols-2 gap-x-6 gap-y-1 font-mono">
+            <span className="text-slate-400">包围盒 A</span>
+            <span>{summary.sizeA.toArray().map(v => v.toFixed(2)).join(' × ')} {unit}</span>
+            <span className="text-slate-400">包围盒 B</span>
+            <span>{summary.sizeB.toArray().map(v => v.toFixed(2)).join(' × ')} {unit}</span>
+            <span className="text-slate-400">尺寸变化</span>
+            <span>{summary.sizeB.clone().sub(summary.sizeA).toArray().map(v => signed(v)).join(' / ')}</span>
+            <span className="text-slate-400">体积变化</span>
+            <span>
+              {signed(summary.volumeB - summary.volumeA)} {unit ? `${unit}³` : ''}{pct(summary.volumeB - summary.volumeA, summary.volumeA)}
+            </span>
+            <span className="text-slate-400">新增 / 移除表面</span>
+            <span>
+              <span className="text-green-400">{(summary.addedArea / (summary.areaB || 1) * 100).toFixed(1)}%</span>
+              {' / '}
+              <span className="text-red-400">{(summary.removedArea / (summary.areaA || 1) * 100).toFixed(1)}%</span>
+            </span>
+            <span className="text-slate-400">实体数 / 移动</span>
+            <span>{summary.bodyCountA} → {summary.bodyCountB} / {summary.movedBodies}</span>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
 
-          {/* PROJECT DETAIL VIEW */}
-          {activeTab === 'detail' && selectedProject && (
-             <ProjectDetailView 
-               project={selectedProject}
-               usersMap={usersMap}
-               currentUser={userData}
-               onBack={() => { setActiveTab('projects'); setSelectedProject(null); }}
-               onUpdateStatus={handleUpdateStatus}
-               onAddFile={handleAddFile}
-               onDelete={handleDeleteProject}
-             />
-          )}
+const ToolButton = (
+{ icon, label, active, disabled, onClick }) => (
+  <button 
+    onClick={onClick}
+    disabled={disabled}
+    className={`flex items-center gap-1.5 px-2 py-1 rounded text-xs transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+      active ? 'bg-blue-600 text-white' : 'text-slate-300 hover:bg-slate-700 hover:text-white'
+    }`}
+  >
+    {icon} {label}
+  </button>
+);
 
-           {/* TEAM VIEW */}
-           {activeTab === 'team' && (
-             <TeamView usersMap={usersMap} />
-           )}
+// --- Markdown ---
+// 只允许安全协议的链接，外加 mention: 用于 @提及
+const markdownUrlTransform = (url) => (url.startsWith('mention:') ? url : defaultUrlTransform(url));
+
+const MarkdownLink = ({ href = '', children }) => {
+  if (href.startsWith('mention:')) {
+    const isMe = href.slice('mention:'.length) === auth.currentUser?.uid;
+    return (
+      <span className={`px-1 rounded font-medium ${isMe ? 'bg-amber-100 text-amber-800' : 'bg-blue-50 text-blue-700'}`}>
+        {children}
+      </span>
+    );
+  }
+  return <a href={href} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">{children}</a>;
+};
+
+const MARKDOWN_COMPONENTS = { a: MarkdownLink };
+
+const Markdown = ({ children, className = '' }) => (
+  <div className={`markdown ${className}`}>
+    <ReactMarkdown remarkPlugins={[remarkGfm]} urlTransform={markdownUrlTransform} components={MARKDOWN_COMPONENTS}>
+      {children}
+    </ReactMarkdown>
+  </div>
+);
+
+// --- Description Editor & Revisions ---
+const TABLE_TEMPLATE = '| 项目 | 说明 |\n| --- | --- |\n|  |  |';
+
+const MarkdownEditor = ({ value, onChange, images = [], placeholder = '', rows = 12 }) => {
+  const textareaRef = useRef(null);
+  const [mode, setMode] = useState('write'); // 'write' | 'preview'
+
+  // transform(value, start, end) -> { text, cursor }
+  const applyEdit = (transform) => {
+    const el = textareaRef.current;
+    if (!el) return;
+    const { text, cursor } = transform(value, el.selectionStart, el.selectionEnd);
+    onChange(text);
+    requestAnimationFrame(() => {
+      el.focus();
+      el.setSelectionRange(cursor, cursor);
+    });
+  };
 
-           {/* SETTINGS VIEW */}
-           {activeTab === 'settings' && (
-             <SettingsView userData={userData} onUpdate={handleUpdateProfile} />
-           )}
+  const wrap = (marker, fallback) => applyEdit((v, start, end) => {
+    const selected = v.slice(start, end) || fallback;
+    return { text: v.slice(0, start) + marker + selected + marker + v.slice(end), cursor: start + marker.length * 2 + selected.length };
+  });
 
+  // 给选中的每一行加前缀 (标题、待办)
+  const prefixLines = (prefix) => applyEdit((v, start, end) => {
+    const lineStart = v.lastIndexOf('\n', start - 1) + 1;
+    const lines = v.slice(lineStart, end).split('\n').map(line => prefix + line.replace(/^(#+ |- \[[ x]\] )/, '')).join('\n');
+    return { text: v.slice(0, lineStart) + lines + v.slice(end), cursor: lineStart + lines.length };
+  });
+
+  // 作为独立段落插入 (表格、图片)
+  const insertBlock = (block) => applyEdit((v, start, end) => {
+    const before = v.slice(0, start);
+    const pad = !before || before.endsWith('\n\n') ? '' : before.endsWith('\n') ? '\n' : '\n\n';
+    const inserted = `${pad}${block}\n`;
+    return { text: before + inserted + v.slice(end), cursor: before.length + inserted.length };
+  });
+
+  return (
+    <div className="border border-slate-300 rounded-lg overflow-hidden focus-within:ring-2 focus-within:ring-blue-500">
+      <div className="flex items-center gap-1 bg-slate-50 border-b border-slate-200 px-2 py-1">
+        {[['write', '编辑'], ['preview', '预览']].map(([key, label]) => (
+          <button 
+            key={key}
+            type="button"
+            onClick={() => setMode(key)}
+            className={`text-xs px-2 py-1 rounded ${mode === key ? 'bg-white shadow-sm text-blue-600 font-medium' : 'text-slate-500 hover:text-slate-700'}`}
+          >
+            {label}
+          </button>
+        ))}
+        {mode === 'write' && (
+          <div className="flex items-center gap-0.5 ml-2 pl-2 border-l border-slate-200 text-slate-500">
+            <EditorButton title="二级标题" onClick={() => prefixLines('## ')}><Heading2 size={14}/></EditorButton>
+            <EditorButton title="三级标题" onClick={() => prefixLines('### ')}><Heading3 size={14}/></EditorButton>
+            <EditorButton title="加粗" onClick={() => wrap('**', '加粗文字')}><Bold size={14}/></EditorButton>
+            <EditorButton title="待办清单" onClick={() => prefixLines('- [ ] ')}><ListTodo size={14}/></EditorButton>
+            <EditorButton title="表格" onClick={() => insertBlock(TABLE_TEMPLATE)}><Table size={14}/></EditorButton>
+            {images.length > 0 && (
+              <select 
+                className="text-xs bg-transparent border-0 text-slate-500 hover:text-slate-700 cursor-pointer"
+                value=""
+                onChange={e => {
+                  const image = images.find(f => f.id === e.target.value);
+                  if (image) insertBlock(`![${image.name}](${image.url})`);
+                }}
+                title="插入需求附件中的图片"
+              >
+                <option value="">插入图片...</option>
+                {images.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+              </select>
+            )}
+          </div>
+        )}
+      </div>
+      {mode === 'write' ? (
+        <textarea 
+          ref={textareaRef}
+          rows={rows}
+          className="w-full p-3 text-sm font-mono outline-none resize-y block"
+          value={value}
+          onChange={e => onChange(e.target.value)}
+          placeholder={placeholder}
+        />
+      ) : (
+        <div className="p-3 min-h-[8rem]">
+          {value.trim() ? <Markdown className="text-sm text-slate-600">{value}</Markdown> : <p className="text-sm text-slate-400">暂无内容</p>}
         </div>
-      </main>
+      )}
     </div>
   );
-}
-
-// --- Sub Components ---
+};
 
-const NavButton = ({ active, onClick, icon, label, badge }) => (
-  <button 
-    onClick={onClick}
-    className={`w-full flex items-center justify-between p-3 rounded-lg transition-all ${
-      active ? 'bg-blue-600 text-white shadow-md' : 'text-slate-400 hover:bg-slate-800 hover:text-white'
-    }`}
-  >
-    <div className="flex items-center gap-3">
-      {icon}
-      <span className="font-medium">{label}</span>
-    </div>
-    {badge > 0 && (
-      <span className={`text-xs px-2 py-0.5 rounded-full ${active ? 'bg-blue-500 text-white' : 'bg-slate-800 text-slate-300'}`}>
-        {badge}
-      </span>
-    )}
+const EditorButton = ({ title, onClick, children }) => (
+  <button type="button" title={title} onClick={onClick} className="p-1 rounded hover:bg-slate-200 hover:text-slate-700">
+    {children}
   </button>
 );
 
-const DashboardView = ({ projects, usersMap, user, onNavigate }) => {
-  const stats = useMemo(() => {
-    return {
-      total: projects.length,
-      pending: projects.filter(p => p.status === 'pending').length,
-      inProgress: projects.filter(p => p.status === 'in_progress' || p.status === 'review').length,
-      completed: projects.filter(p => p.status === 'completed').length
-    };
-  }, [projects]);
+const DescriptionPanel = ({ project, revisions, usersMap, images, editable, onSave }) => {
+  const [draft, setDraft] = useState(null); // null when not editing
+  const [baseRevision, setBaseRevision] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const startEdit = () => {
+    setDraft(project.description || '');
+    setBaseRevision(project.descriptionRevision || 0);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    if (await onSave(draft, baseRevision)) setDraft(null);
+    setSaving(false);
+  };
 
   return (
-    <div className="space-y-6 max-w-6xl mx-auto">
-      <div className="flex items-center justify-between">
-        <div>
-          <h1 className="text-2xl font-bold text-slate-800">欢迎回来, {user?.name}</h1>
-          <p className="text-slate-500">这是今天的项目概况</p>
+    <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <FileText className="text-blue-500" size={18}/> 需求描述
+        </h3>
+        <div className="flex gap-2">
+          {revisions.length > 1 && (
+            <button 
+              onClick={() => setShowHistory(true)}
+              className="text-xs text-slate-500 hover:text-blue-600 flex items-center gap-1 px-2 py-1"
+            >
+              <History size={12}/> 修订记录 ({revisions.length})
+            </button>
+          )}
+          {editable && draft === null && (
+            <button 
+              onClick={startEdit}
+              className="text-xs bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1.5 rounded-full font-medium transition-colors flex items-center gap-1"
+            >
+              <Pencil size={12}/> 编辑
+            </button>
+          )}
         </div>
-        <button onClick={onNavigate} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors shadow-sm">
-          查看所有项目
-        </button>
-      </div>
-
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
-        <StatCard title="总项目数" value={stats.total} icon={<Box size={24} className="text-blue-600"/>} bg="bg-blue-50" />
-        <StatCard title="待处理" value={stats.pending} icon={<Clock size={24} className="text-yellow-600"/>} bg="bg-yellow-50" />
-        <StatCard title="进行中" value={stats.inProgress} icon={<Activity size={24} className="text-purple-600"/>} bg="bg-purple-50" />
-        <StatCard title="已交付" value={stats.completed} icon={<CheckCircle size={24} className="text-green-600"/>} bg="bg-green-50" />
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
-          <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
-            <PieChart size={18} className="text-slate-400"/> 项目状态分布
-          </h3>
-          <div className="h-48 flex items-end justify-around gap-4 px-4 pb-4 border-b border-slate-100">
-             {/* CSS only Bar Chart for simplicity */}
-             <Bar height={stats.total > 0 ? (stats.pending/stats.total)*100 : 0} color="bg-yellow-400" label="待处理" count={stats.pending} />
-             <Bar height={stats.total > 0 ? (stats.inProgress/stats.total)*100 : 0} color="bg-blue-500" label="进行中" count={stats.inProgress} />
-             <Bar height={stats.total > 0 ? (stats.completed/stats.total)*100 : 0} color="bg-green-500" label="已完成" count={stats.completed} />
+      {draft !== null ? (
+        <div className="space-y-3">
+          <MarkdownEditor value={draft} onChange={setDraft} images={images} rows={14} />
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="text-sm px-4 py-1.5 rounded-lg bg-slate-100 hover:bg-slate-200 text-slate-700">取消</button>
+            <button 
+              onClick={save} 
+              disabled={saving}
+              className="text-sm px-4 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white"
+            >
+              {saving ? '保存中...' : '保存'}
+            </button>
           </div>
         </div>
+      ) : project.description ? (
+        <Markdown className="text-sm text-slate-600">{project.description}</Markdown>
+      ) : (
+        <p className="text-sm text-slate-400">暂无描述</p>
+      )}
 
-        <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm flex flex-col">
-          <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
-            <Clock size={18} className="text-slate-400"/> 最近更新
-          </h3>
-          <div className="flex-1 overflow-hidden space-y-4">
-            {projects.slice(0, 4).map(p => (
-              <div key={p.id} className="flex items-start gap-3 p-3 hover:bg-slate-50 rounded-lg transition-colors cursor-pointer border border-transparent hover:border-slate-100">
-                <div className={`w-2 h-2 mt-2 rounded-full ${STATUS_MAP[p.status]?.color.split(' ')[0].replace('100', '500')}`}></div>
-                <div className="flex-1 min-w-0">
-                  <p className="text-sm font-medium text-slate-900 truncate">{p.title}</p>
-                  <p className="text-xs text-slate-500">
-                    {usersMap[p.createdBy]?.name || '未知用户'} • {new Date(p.updatedAt?.seconds * 1000).toLocaleDateString()}
-                  </p>
-                </div>
-                <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_MAP[p.status]?.color}`}>
-                  {STATUS_MAP[p.status]?.label}
-                </span>
-              </div>
-            ))}
-            {projects.length === 0 && <p className="text-sm text-slate-400">暂无活动</p>}
-          </div>
-        </div>
-      </div>
+      {showHistory && (
+        <RevisionHistoryModal revisions={revisions} usersMap={usersMap} onClose={() => setShowHistory(false)} />
+      )}
     </div>
   );
 };
 
-const Bar = ({ height, color, label, count }) => (
-  <div className="flex flex-col items-center gap-2 w-16 group">
-    <div className="text-xs font-bold text-slate-700 opacity-0 group-hover:opacity-100 transition-opacity">{count}</div>
-    <div className={`w-full rounded-t-lg transition-all duration-500 ${color}`} style={{ height: `${Math.max(height, 5)}%` }}></div>
-    <div className="text-xs text-slate-500">{label}</div>
-  </div>
-);
-
-const StatCard = ({ title, value, icon, bg }) => (
-  <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm flex items-center gap-4">
-    <div className={`p-3 rounded-lg ${bg}`}>
-      {icon}
-    </div>
-    <div>
-      <p className="text-sm text-slate-500 font-medium">{title}</p>
-      <p className="text-2xl font-bold text-slate-900">{value}</p>
-    </div>
-  </div>
-);
-
-const ProjectListView = ({ projects, onSelect, onCreate }) => {
-  const [showCreate, setShowCreate] = useState(false);
-  const [newProject, setNewProject] = useState({ title: '', description: '' });
+const RevisionHistoryModal = ({ revisions, usersMap, onClose }) => {
+  // revisions 按修订号倒序；默认对比最新的两个修订
+  const [toNumber, setToNumber] = useState(revisions[0]?.number);
+  const [fromNumber, setFromNumber] = useState(revisions[1]?.number ?? revisions[0]?.number);
+  const from = revisions.find(r => r.number === fromNumber);
+  const to = revisions.find(r => r.number === toNumber);
+  const parts = useMemo(() => diffWords(from?.description || '', to?.description || ''), [from, to]);
+  const countWords = (type) => parts.filter(p => p.type === type).reduce((n, p) => n + tokenizeForDiff(p.text).filter(t => t.trim()).length, 0);
 
-  const handleSubmit = () => {
-    if (!newProject.title) return alert("标题不能为空");
-    onCreate(newProject);
-    setShowCreate(false);
-    setNewProject({ title: '', description: '' });
-  };
+  const revisionLabel = (r) => `修订 ${r.number} · ${usersMap[r.authorId]?.name || '未知'} · ${formatTimestamp(r.createdAt)}`;
 
-  if (showCreate) {
-    return (
-      <div className="max-w-2xl mx-auto bg-white p-8 rounded-xl shadow-lg border border-slate-200">
-        <h2 className="text-xl font-bold mb-6">新建需求项目</h2>
-        <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">项目标题</label>
-            <input 
-              className="w-full border border-slate-300 rounded-lg p-2 focus:ring-2 focus:ring-blue-500 outline-none"
-              value={newProject.title}
-              onChange={e => setNewProject({...newProject, title: e.target.value})}
-              placeholder="例如：2024 Q1 营销活动页面"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">需求描述</label>
-            <textarea 
-              className="w-full border border-slate-300 rounded-lg p-2 h-32 focus:ring-2 focus:ring-blue-500 outline-none"
-              value={newProject.description}
-              onChange={e => setNewProject({...newProject, description: e.target.value})}
-              placeholder="请详细描述需求背景、目标和具体要求..."
-            />
-          </div>
-          <div className="flex gap-3 pt-4">
-            <button onClick={handleSubmit} className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 font-medium">创建项目</button>
-            <button onClick={() => setShowCreate(false)} className="flex-1 bg-slate-100 text-slate-700 py-2 rounded-lg hover:bg-slate-200 font-medium">取消</button>
-          </div>
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/30 p-6" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-full flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2"><History size={18}/> 描述修订对比</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600"><X size={18}/></button>
+        </div>
+        <div className="px-6 py-3 border-b border-slate-100 flex flex-wrap items-center gap-2 text-xs">
+          <select className="border border-slate-200 rounded-lg px-2 py-1 bg-white" value={fromNumber} onChange={e => setFromNumber(Number(e.target.value))}>
+            {revisions.map(r => <option key={r.id} value={r.number}>{revisionLabel(r)}</option>)}
+          </select>
+          <ChevronRight size={14} className="text-slate-400"/>
+          <select className="border border-slate-200 rounded-lg px-2 py-1 bg-white" value={toNumber} onChange={e => setToNumber(Number(e.target.value))}>
+            {revisions.map(r => <option key={r.id} value={r.number}>{revisionLabel(r)}</option>)}
+          </select>
+          <span className="ml-auto text-green-600">+{countWords('insert')}</span>
+          <span className="text-red-600">-{countWords('delete')}</span>
+        </div>
+        <div className="p-6 overflow-y-auto text-sm text-slate-700 whitespace-pre-wrap font-mono leading-relaxed">
+          {parts.every(p => p.type === 'equal') && <p className="text-slate-400 font-sans mb-3">两个修订内容相同</p>}
+          {parts.map((part, i) => (
+            part.type === 'insert' ? <ins key={i} className="bg-green-100 text-green-800 no-underline">{part.text}</ins>
+              : part.type === 'delete' ? <del key={i} className="bg-red-100 text-red-700">{part.text}</del>
+              : <span key={i}>{part.text}</span>
+          ))}
         </div>
       </div>
-    );
-  }
+    </div>
+  );
+};
+
+// --- Comments ---
+const CommentsPanel = ({ comments, usersMap, currentUser, artifacts, anchorFilter, onAnchorFilterChange, onAdd, onEdit, onDelete }) => {
+  const roots = comments.filter(c => !c.parentId);
+  const visibleRoots = anchorFilter ? roots.filter(c => c.anchor?.artifactId === anchorFilter) : roots;
+  const repliesOf = (id) => comments.filter(c => c.parentId === id);
 
   return (
-    <div className="space-y-6">
-      <div className="flex justify-between items-center">
-        <div className="relative flex-1 max-w-md">
-          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18}/>
-          <input 
-            type="text" 
-            placeholder="搜索项目..." 
-            className="w-full pl-10 pr-4 py-2 border border-slate-200 rounded-lg focus:outline-none focus:border-blue-400"
-          />
-        </div>
-        <button 
-          onClick={() => setShowCreate(true)}
-          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors shadow-sm font-medium"
+    <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+      <div className="flex justify-between items-center mb-4 gap-3">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <MessageSquare className="text-blue-500" size={18}/> 讨论 ({comments.filter(c => !c.deleted).length})
+        </h3>
+        <select 
+          value={anchorFilter || ''}
+          onChange={e => onAnchorFilterChange(e.target.value || null)}
+          className="text-xs border border-slate-200 rounded-lg px-2 py-1 bg-white text-slate-600 max-w-[12rem]"
         >
-          <Plus size={18} /> 新建项目
-        </button>
+          <option value="">全部讨论</option>
+          {artifacts.map(a => <option key={a.artifactId} value={a.artifactId}>{a.current.name}</option>)}
+        </select>
       </div>
 
-      <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
-        <table className="w-full text-left border-collapse">
-          <thead className="bg-slate-50 border-b border-slate-200 text-xs uppercase text-slate-500 font-semibold">
-            <tr>
-              <th className="px-6 py-4">项目名称</th>
-              <th className="px-6 py-4">状态</th>
-              <th className="px-6 py-4">负责人</th>
-              <th className="px-6 py-4">更新时间</th>
-              <th className="px-6 py-4">操作</th>
-            </tr>
-          </thead>
-          <tbody className="divide-y divide-slate-100">
-            {projects.map(p => (
-              <tr key={p.id} className="hover:bg-slate-50 group transition-colors">
-                <td className="px-6 py-4">
-                  <div className="font-medium text-slate-900">{p.title}</div>
-                  <div className="text-xs text-slate-500 truncate max-w-xs">{p.description}</div>
-                </td>
-                <td className="px-6 py-4">
-                  <span className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium ${STATUS_MAP[p.status]?.color}`}>
-                     {STATUS_MAP[p.status]?.label}
-                  </span>
-                </td>
-                <td className="px-6 py-4 text-sm text-slate-600">
-                  {/* In a real app we would query the user name */}
-                  <div className="flex items-center gap-2">
-                    <div className="w-6 h-6 rounded-full bg-slate-200 overflow-hidden">
-                       <img src={`https://api.dicebear.com/7.x/avataaars/svg?seed=${p.createdBy}`} alt="" />
-                    </div>
-                    <span className="text-xs">用户 {p.createdBy.substring(0,4)}</span>
-                  </div>
-                </td>
-                <td className="px-6 py-4 text-sm text-slate-500">
-                  {p.updatedAt ? new Date(p.updatedAt.seconds * 1000).toLocaleDateString() : '-'}
-                </td>
-                <td className="px-6 py-4">
-                  <button 
-                    onClick={() => onSelect(p)}
-                    className="text-blue-600 hover:text-blue-800 text-sm font-medium hover:underline flex items-center gap-1"
-                  >
-                    详情 <ChevronRight size={14}/>
-                  </button>
-                </td>
-              </tr>
-            ))}
-            {projects.length === 0 && (
-              <tr>
-                <td colSpan="5" className="px-6 py-12 text-center text-slate-400">
-                  暂无项目，点击右上角新建
-                </td>
-              </tr>
-            )}
-          </tbody>
-        </table>
+      <div className="space-y-4">
+        {visibleRoots.map(comment => (
+          <CommentThread 
+            key={comment.id}
+            comment={comment}
+            replies={repliesOf(comment.id)}
+            usersMap={usersMap}
+            currentUser={currentUser}
+            onAnchorClick={onAnchorFilterChange}
+            onAdd={onAdd}
+            onEdit={onEdit}
+            onDelete={onDelete}
+          />
+        ))}
+        {visibleRoots.length === 0 && (
+          <div className="text-center py-6 bg-slate-50 rounded-lg border border-dashed border-slate-200 text-slate-400 text-sm">
+            暂无讨论
+          </div>
+        )}
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-slate-100">
+        <CommentComposer 
+          key={anchorFilter || 'all'}
+          usersMap={usersMap}
+          artifacts={artifacts}
+          defaultAnchor={anchorFilter}
+          submitLabel="发表评论"
+          onSubmit={({ text, anchor }) => onAdd({ text, anchor })}
+        />
       </div>
     </div>
   );
 };
 
-const ProjectDetailView = ({ project, usersMap, currentUser, onBack, onUpdateStatus, onAddFile, onDelete }) => {
-  const [showUpload, setShowUpload] = useState(false);
-  const [uploadType, setUploadType] = useState('inputs'); // 'inputs' or 'outputs'
-  
-  // State for upload form
-  const [fileUrl, setFileUrl] = useState('');
-  const [fileName, setFileName] = useState('');
-  const [fileFormat, setFileFormat] = useState('doc'); // doc, image, stp
-  const [preview3D, setPreview3D] = useState(null); // url of stp to preview
-
-  const statusOptions = Object.keys(STATUS_MAP);
-
-  const handleFileSubmit = () => {
-    if(!fileUrl || !fileName) return alert("请填写完整信息");
-    onAddFile(project.id, {
-      name: fileName,
-      url: fileUrl,
-      format: fileFormat
-    }, uploadType);
-    setShowUpload(false);
-    setFileUrl('');
-    setFileName('');
-  };
+const CommentThread = ({ comment, replies, usersMap, currentUser, onAnchorClick, onAdd, onEdit, onDelete }) => {
+  const [replying, setReplying] = useState(false);
 
   return (
-    <div className="flex flex-col h-full gap-6">
-      {/* Detail Header */}
-      <div className="flex items-start justify-between border-b border-slate-200 pb-4">
-        <div className="flex items-center gap-4">
-          <button onClick={onBack} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 transition-colors">
-            <MoreHorizontal size={20} className="rotate-180"/>
-          </button>
-          <div>
-            <h1 className="text-xl font-bold text-slate-900 flex items-center gap-3">
-              {project.title}
-              <span className={`text-xs px-2 py-1 rounded-full font-normal ${STATUS_MAP[project.status]?.color}`}>
-                {STATUS_MAP[project.status]?.label}
-              </span>
-            </h1>
-            <p className="text-sm text-slate-500 mt-1">
-              创建人: {usersMap[project.createdBy]?.name || 'Unknown'} • 
-              创建于: {project.createdAt ? new Date(project.createdAt.seconds * 1000).toLocaleDateString() : '-'}
-            </p>
-          </div>
-        </div>
-        
-        <div className="flex gap-3">
-          {currentUser?.role === 'MANAGER' && (
-             <button onClick={() => onDelete(project.id)} className="text-red-600 hover:bg-red-50 px-3 py-2 rounded-lg text-sm font-medium transition-colors">
-               删除项目
-             </button>
+    <div>
+      <CommentItem 
+        comment={comment} 
+        usersMap={usersMap} 
+        currentUser={currentUser} 
+        hasReplies={replies.length > 0}
+        onAnchorClick={onAnchorClick}
+        onReply={() => setReplying(true)}
+        onEdit={onEdit}
+        onDelete={onDelete}
+      />
+      {(replies.length > 0 || replying) && (
+        <div className="ml-10 mt-3 space-y-3 border-l-2 border-slate-100 pl-4">
+          {replies.map(reply => (
+            <CommentItem 
+              key={reply.id} 
+              comment={reply} 
+              usersMap={usersMap} 
+              currentUser={currentUser}
+              hasReplies={false}
+              onReply={() => setReplying(true)}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+          {replying && (
+            <CommentComposer 
+              usersMap={usersMap}
+              autoFocus
+              submitLabel="回复"
+              onCancel={() => setReplying(false)}
+              onSubmit={async ({ text }) => {
+                // 回复统一挂在根评论下，只保留一层缩进
+                const ok = await onAdd({ text, parentId: comment.id, anchor: comment.anchor || null });
+                if (ok) setReplying(false);
+                return ok;
+              }}
+            />
           )}
-          <div className="flex bg-slate-100 p-1 rounded-lg">
-            {statusOptions.map(s => (
-              <button 
-                key={s}
-                onClick={() => onUpdateStatus(project.id, s)}
-                className={`px-3 py-1.5 text-xs font-medium rounded-md transition-all ${
-                  project.status === s ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'
-                }`}
-              >
-                {STATUS_MAP[s].label}
-              </button>
-            ))}
-          </div>
         </div>
-      </div>
+      )}
+    </div>
+  );
+};
 
-      <div className="flex-1 grid grid-cols-1 lg:grid-cols-2 gap-6 overflow-hidden">
-        
-        {/* Left: Requirements & Inputs */}
-        <div className="flex flex-col gap-6 overflow-y-auto pr-2">
-          <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
-            <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
-              <FileText className="text-blue-500" size={18}/> 需求描述
-            </h3>
-            <div className="prose prose-sm prose-slate max-w-none">
-              <p className="whitespace-pre-wrap text-slate-600">{project.description}</p>
-            </div>
-          </div>
+const CommentItem = ({ comment, usersMap, currentUser, hasReplies, onAnchorClick, onReply, onEdit, onDelete }) => {
+  const [editing, setEditing] = useState(false);
+  const author = usersMap[comment.authorId];
+  const isAuthor = currentUser?.uid === comment.authorId;
 
-          <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm flex-1">
-             <div className="flex justify-between items-center mb-4">
-                <h3 className="font-semibold text-slate-800 flex items-center gap-2">
-                  <Upload className="text-blue-500" size={18}/> 需求附件 (Inputs)
-                </h3>
-                <button 
-                  onClick={() => { setUploadType('inputs'); setShowUpload(true); }}
-                  className="text-xs bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1.5 rounded-full font-medium transition-colors"
-                >
-                  + 添加附件
-                </button>
-             </div>
-             
-             <div className="space-y-3">
-               {project.inputs && project.inputs.length > 0 ? (
-                 project.inputs.map((file, idx) => (
-                   <FileCard key={idx} file={file} />
-                 ))
-               ) : (
-                 <div className="text-center py-8 bg-slate-50 rounded-lg border border-dashed border-slate-200 text-slate-400 text-sm">
-                   暂无需求文档
-                 </div>
-               )}
-             </div>
-          </div>
-        </div>
+  if (comment.deleted) {
+    return <p className="text-sm text-slate-400 italic">该评论已删除</p>;
+  }
 
-        {/* Right: Outputs & Preview */}
-        <div className="flex flex-col gap-6 overflow-y-auto pr-2">
-          <div className="bg-slate-50 p-6 rounded-xl border border-slate-200 shadow-sm flex-1 flex flex-col">
-            <div className="flex justify-between items-center mb-4">
-              <h3 className="font-semibold text-slate-800 flex items-center gap-2">
-                <Box className="text-green-600" size={18}/> 交付成果 (Outputs)
-              </h3>
-              <button 
-                onClick={() => { setUploadType('outputs'); setShowUpload(true); }}
-                className="text-xs bg-white hover:bg-blue-50 text-blue-600 border border-blue-200 px-3 py-1.5 rounded-full font-medium transition-colors shadow-sm"
-              >
-                + 提交成果
-              </button>
-            </div>
+  return (
+    <div className="flex gap-3">
+      <div className="w-8 h-8 rounded-full bg-slate-100 overflow-hidden shrink-0">
+        <img src={author?.avatar} alt="" className="w-full h-full object-cover" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2 flex-wrap">
+          <span className="text-sm font-medium text-slate-800">{author?.name || '未知用户'}</span>
+          <span className="text-xs text-slate-400">{formatTimestamp(comment.createdAt)}</span>
+          {comment.editedAt && <span className="text-xs text-slate-400">(已编辑)</span>}
+          {comment.anchor && !comment.parentId && (
+            <button 
+              onClick={() => onAnchorClick?.(comment.anchor.artifactId)}
+              className="text-xs bg-slate-100 text-slate-600 px-1.5 rounded hover:bg-slate-200 truncate max-w-[12rem]"
+              title="只看该文件的讨论"
+            >
+              {comment.anchor.pin ? <MapPin size={10} className="inline mr-0.5"/> : <Paperclip size={10} className="inline mr-0.5"/>}
+              {comment.anchor.name} (v{comment.anchor.version || 1})
+            </button>
+          )}
+        </div>
 
-            <div className="space-y-3 mb-6">
-               {project.outputs && project.outputs.length > 0 ? (
-                 project.outputs.map((file, idx) => (
-                   <FileCard 
-                      key={idx} 
-                      file={file} 
-                      onPreview3D={file.format === 'stp' ? (url) => setPreview3D(url) : null}
-                    />
-                 ))
-               ) : (
-                 <div className="text-center py-8 rounded-lg border border-dashed border-slate-300 text-slate-400 text-sm">
-                   暂无交付物，点击上方按钮提交
-                 </div>
-               )}
-            </div>
+        {editing ? (
+          <div className="mt-2">
+            <CommentComposer 
+              usersMap={usersMap}
+              initialText={decodeMentions(comment.text)}
+              autoFocus
+              submitLabel="保存"
+              onCancel={() => setEditing(false)}
+              onSubmit={async ({ text }) => {
+                const ok = await onEdit(comment, text);
+                if (ok) setEditing(false);
+                return ok;
+              }}
+            />
+          </div>
+        ) : (
+          <Markdown className="text-sm text-slate-700 mt-1">{comment.text}</Markdown>
+        )}
 
-            {/* 3D Preview Area */}
-            {preview3D && (
-              <div className="flex-1 bg-slate-900 rounded-lg overflow-hidden relative min-h-[300px] flex flex-col border border-slate-700 shadow-lg">
-                <div className="bg-slate-800 px-4 py-2 flex justify-between items-center">
-                  <span className="text-xs text-slate-300 font-mono flex items-center gap-2"><Box size={14}/> 3D Preview Mode</span>
-                  <button onClick={() => setPreview3D(null)} className="text-slate-400 hover:text-white"><X size={16}/></button>
-                </div>
-                <div className="flex-1 relative">
-                  <ThreeViewer isActive={!!preview3D} modelUrl={preview3D} />
-                  {/* Overlay explaining standard demo limits */}
-                  <div className="absolute bottom-4 left-4 right-4 bg-black/50 text-white text-xs p-2 rounded backdrop-blur-sm pointer-events-none">
-                    注意：由于浏览器安全限制，此处展示通用模型。真实环境将加载: {preview3D.substring(0, 30)}...
-                  </div>
-                </div>
-              </div>
+        {!editing && (
+          <div className="flex gap-3 mt-1">
+            <button onClick={onReply} className="text-xs text-slate-500 hover:text-blue-600 flex items-center gap-1"><Reply size={12}/> 回复</button>
+            {isAuthor && (
+              <>
+                <button onClick={() => setEditing(true)} className="text-xs text-slate-500 hover:text-blue-600 flex items-center gap-1"><Pencil size={12}/> 编辑</button>
+                <button onClick={() => onDelete(comment, hasReplies)} className="text-xs text-slate-500 hover:text-red-600 flex items-center gap-1"><Trash2 size={12}/> 删除</button>
+              </>
             )}
           </div>
-        </div>
+        )}
       </div>
+    </div>
+  );
+};
 
-      {/* Upload Modal */}
-      {showUpload && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
-          <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md animate-in fade-in zoom-in duration-200">
-            <h3 className="text-lg font-bold mb-4">
-              {uploadType === 'inputs' ? '上传需求附件' : '提交交付成果'}
-            </h3>
-            
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-1">文件名称</label>
-                <input 
-                  className="w-full border border-slate-300 rounded-lg p-2 text-sm outline-none focus:border-blue-500"
-                  value={fileName}
-                  onChange={e => setFileName(e.target.value)}
-                  placeholder="例如：产品规格说明书_v1.pdf"
-                />
-              </div>
+// 输入 @ 后弹出成员候选；Ctrl/⌘ + Enter 发送
+const CommentComposer = ({ usersMap, artifacts, defaultAnchor = null, initialText = '', autoFocus, submitLabel, onSubmit, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const [anchorId, setAnchorId] = useState(defaultAnchor || '');
+  const [mentionQuery, setMentionQuery] = useState(null); // 光标前正在输入的 @xxx
+  const [sending, setSending] = useState(false);
+  const textareaRef = useRef(null);
 
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-1">文件类型</label>
-                <div className="flex gap-2">
-                   {['doc', 'image', 'stp'].map(t => (
-                     <button 
-                       key={t}
-                       onClick={() => setFileFormat(t)}
-                       className={`px-3 py-1 text-xs rounded border capitalize ${
-                         fileFormat === t ? 'bg-blue-50 border-blue-500 text-blue-700' : 'bg-white border-slate-200 text-slate-600'
-                       }`}
-                     >
-                       {t === 'doc' ? 'Document' : t === 'stp' ? '3D Model' : 'Image'}
-                     </button>
-                   ))}
-                </div>
-              </div>
+  const suggestions = mentionQuery === null ? [] : Object.values(usersMap)
+    .filter(u => u.name?.toLowerCase().includes(mentionQuery.toLowerCase()))
+    .slice(0, 6);
 
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-1">
-                   文件链接 (URL)
-                   <span className="text-xs text-slate-400 ml-2 font-normal">支持 Google Drive, Dropbox, SharePoint</span>
-                </label>
-                <div className="flex gap-2">
-                   <div className="relative flex-1">
-                      <LinkIcon className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16}/>
-                      <input 
-                        className="w-full border border-slate-300 rounded-lg pl-9 pr-2 py-2 text-sm outline-none focus:border-blue-500"
-                        value={fileUrl}
-                        onChange={e => setFileUrl(e.target.value)}
-                        placeholder="https://..."
-                      />
-                   </div>
-                </div>
-                <p className="text-xs text-amber-600 mt-2 bg-amber-50 p-2 rounded">
-                  提示：本环境未连接存储桶，请使用外部链接进行文件托管。
-                </p>
-              </div>
+  const handleChange = (e) => {
+    setText(e.target.value);
+    const beforeCaret = e.target.value.slice(0, e.target.selectionStart);
+    const match = beforeCaret.match(/(^|[^\w@])@([^\s@]*)$/);
+    setMentionQuery(match ? match[2] : null);
+  };
 
-              <div className="flex gap-3 pt-4">
-                <button onClick={handleFileSubmit} className="flex-1 bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700">确认添加</button>
-                <button onClick={() => setShowUpload(false)} className="flex-1 bg-slate-100 text-slate-700 py-2 rounded-lg font-medium hover:bg-slate-200">取消</button>
-              </div>
-            </div>
+  const insertMention = (user) => {
+    const el = textareaRef.current;
+    const caret = el.selectionStart;
+    const start = text.slice(0, caret).lastIndexOf('@');
+    const next = `${text.slice(0, start)}@${user.name} ${text.slice(caret)}`;
+    setText(next);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      const pos = start + user.name.length + 2;
+      el.focus();
+      el.setSelectionRange(pos, pos);
+    });
+  };
+
+  const handleSubmit = async () => {
+    if (!text.trim() || sending) return;
+    const artifact = artifacts?.find(a => a.artifactId === anchorId);
+    setSending(true);
+    const ok = await onSubmit({
+      text: text.trim(),
+      anchor: artifact ? {
+        type: artifact.type,
+        artifactId: artifact.artifactId,
+        fileId: artifact.current.id,
+        name: artifact.current.name,
+        version: artifact.current.version || 1
+      } : null
+    });
+    setSending(false);
+    if (ok && !onCancel) setText('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length && (e.key === 'Enter' || e.key === 'Tab')) {
+      e.preventDefault();
+      insertMention(suggestions[0]);
+    } else if (e.key === 'Escape' && mentionQuery !== null) {
+      setMentionQuery(null);
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleSubmit();
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <textarea 
+          ref={textareaRef}
+          autoFocus={autoFocus}
+          className="w-full border border-slate-300 rounded-lg p-2 h-20 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setTimeout(() => setMentionQuery(null), 150)}
+          placeholder="支持 Markdown，输入 @ 提及成员"
+        />
+        {suggestions.length > 0 && (
+          <div className="absolute left-2 bottom-full mb-1 bg-white border border-slate-200 rounded-lg shadow-lg z-10 py-1 w-56">
+            {suggestions.map(u => (
+              <button 
+                key={u.uid} 
+                onMouseDown={e => { e.preventDefault(); insertMention(u); }}
+                className="w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left hover:bg-slate-50"
+              >
+                <img src={u.avatar} alt="" className="w-5 h-5 rounded-full" />
+                <span className="truncate">{u.name}</span>
+                <span className="text-xs text-slate-400 ml-auto">{ROLES[u.role]?.label}</span>
+              </button>
+            ))}
           </div>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        {artifacts && (
+          <select 
+            value={anchorId}
+            onChange={e => setAnchorId(e.target.value)}
+            className="text-xs border border-slate-200 rounded-lg px-2 py-1 bg-white text-slate-600 max-w-[12rem]"
+          >
+            <option value="">不关联文件</option>
+            {artifacts.map(a => <option key={a.artifactId} value={a.artifactId}>{a.current.name}</option>)}
+          </select>
+        )}
+        <div className="ml-auto flex gap-2">
+          {onCancel && (
+            <button onClick={onCancel} className="text-xs px-3 py-1.5 rounded-lg text-slate-600 hover:bg-slate-100">取消</button>
+          )}
+          <button 
+            onClick={handleSubmit}
+            disabled={!text.trim() || sending}
+            className="text-xs px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {submitLabel}
+          </button>
         </div>
-      )}
+      </div>
     </div>
   );
 };
 
-const FileCard = ({ file, onPreview3D }) => {
+const FileCard = ({ 
+  file, versionCount = 1, commentCount = 0, linkedRequirements = [], review = null, 
+  onPreview, onSupersede, onShowHistory, onShowComments, onEditLinks, onReview, onRemove, onMoveUp, onMoveDown 
+}) => {
   const isImage = file.format === 'image';
   const is3D = file.format === 'stp';
 
   return (
     <div className="group flex items-start gap-3 p-3 bg-white rounded-lg border border-slate-200 hover:border-blue-300 transition-colors shadow-sm">
-      <div className={`p-2 rounded-lg shrink-0 ${
-        is3D ? 'bg-blue-100 text-blue-600' : 
-        isImage ? 'bg-purple-100 text-purple-600' : 'bg-orange-100 text-orange-600'
-      }`}>
-        {is3D ? <Box size={20}/> : isImage ? <ImageIcon size={20}/> : <FileText size={20}/>}
-      </div>
+      {isImage && file.url ? (
+        <button onClick={() => onPreview?.(file)} className="w-9 h-9 rounded-lg overflow-hidden shrink-0 bg-purple-100" title="预览">
+          <img src={file.url} alt={file.name} loading="lazy" className="w-full h-full object-cover" />
+        </button>
+      ) : (
+        <div className={`p-2 rounded-lg shrink-0 ${
+          is3D ? 'bg-blue-100 text-blue-600' : 
+          isImage ? 'bg-purple-100 text-purple-600' : 'bg-orange-100 text-orange-600'
+        }`}>
+          {is3D ? <Box size={20}/> : isImage ? <ImageIcon size={20}/> : <FileText size={20}/>}
+        </div>
+      )}
       
       <div className="flex-1 min-w-0">
         <p className="text-sm font-medium text-slate-800 truncate">{file.name}</p>
         <div className="flex items-center gap-2 mt-1">
           <span className="text-xs text-slate-400 uppercase bg-slate-100 px-1.5 rounded">{file.format}</span>
+          {versionCount > 1 && (
+            <button 
+              onClick={onShowHistory}
+              className="text-xs text-blue-600 bg-blue-50 px-1.5 rounded hover:bg-blue-100"
+              title="查看版本历史"
+            >
+              v{file.version || 1} / {versionCount}
+            </button>
+          )}
           <span className="text-xs text-slate-400">{new Date(file.addedAt || Date.now()).toLocaleDateString()}</span>
+          {file.size > 0 && <span className="text-xs text-slate-400">{formatBytes(file.size)}</span>}
+          {commentCount > 0 && (
+            <button 
+              onClick={onShowComments}
+              className="text-xs text-slate-500 flex items-center gap-0.5 hover:text-blue-600"
+              title="查看相关讨论"
+            >
+              <MessageSquare size={12}/> {commentCount}
+            </button>
+          )}
         </div>
+        {file.note && <p className="text-xs text-slate-500 mt-1 truncate">{file.note}</p>}
+        {(linkedRequirements.length > 0 || onEditLinks) && (
+          <div className="flex flex-wrap items-center gap-1 mt-1.5">
+            {linkedRequirements.map(r => (
+              <span key={r.id} className="text-[10px] font-mono bg-teal-50 text-teal-700 px-1.5 rounded" title={r.title}>{r.code}</span>
+            ))}
+            {onEditLinks && (
+              <button onClick={onEditLinks} className="text-[10px] text-slate-400 hover:text-teal-600 flex items-center gap-0.5">
+                <Link2 size={10}/> {linkedRequirements.length ? '编辑关联' : '关联需求'}
+              </button>
+            )}
+          </div>
+        )}
+        {review && onReview && (
+          review.state ? (
+            <button 
+              onClick={onReview} 
+              className={`mt-1.5 text-[10px] px-1.5 py-0.5 rounded flex items-center gap-1 ${REVIEW_STATES[review.state].color}`}
+              title="查看审核"
+            >
+              <ShieldCheck size={10}/> {REVIEW_STATES[review.state].label}
+              {review.state === 'pending' && ` ${Object.values(getLatestDecisions(review.review)).filter(d => d.decision === 'approved').length}/${review.review.reviewers.length}`}
+            </button>
+          ) : (
+            <button onClick={onReview} className="mt-1.5 text-[10px] text-slate-400 hover:text-purple-600 flex items-center gap-0.5">
+              <ShieldCheck size={10}/> 发起审核
+            </button>
+          )
+        )}
       </div>
 
       <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
@@ -903,28 +6881,110 @@ const FileCard = ({ file, onPreview3D }) => {
         >
           <Download size={16}/>
         </a>
-        {is3D && onPreview3D && (
+        {onPreview && (
           <button 
-            onClick={() => onPreview3D(file.url)}
+            onClick={() => onPreview(file)}
             className="p-1.5 text-slate-500 hover:text-blue-600 hover:bg-blue-50 rounded"
-            title="3D预览"
+            title={detectModelLoader(file) ? '3D预览' : '预览'}
           >
             <Eye size={16}/>
           </button>
         )}
+        {onShowHistory && (
+          <button 
+            onClick={onShowHistory}
+            className="p-1.5 text-slate-500 hover:text-blue-600 hover:bg-blue-50 rounded"
+            title="版本历史"
+          >
+            <History size={16}/>
+          </button>
+        )}
+        {onSupersede && (
+          <button 
+            onClick={onSupersede}
+            className="p-1.5 text-slate-500 hover:text-blue-600 hover:bg-blue-50 rounded"
+            title="上传新版本"
+          >
+            <RefreshCw size={16}/>
+          </button>
+        )}
+        {(onMoveUp || onMoveDown) && (
+          <div className="flex flex-col">
+            <button onClick={onMoveUp} disabled={!onMoveUp} className="p-0.5 text-slate-400 hover:text-blue-600 disabled:opacity-30" title="上移">
+              <ArrowUp size={12}/>
+            </button>
+            <button onClick={onMoveDown} disabled={!onMoveDown} className="p-0.5 text-slate-400 hover:text-blue-600 disabled:opacity-30" title="下移">
+              <ArrowDown size={12}/>
+            </button>
+          </div>
+        )}
+        {onRemove && (
+          <button 
+            onClick={onRemove}
+            className="p-1.5 text-slate-500 hover:text-red-600 hover:bg-red-50 rounded"
+            title={versionCount > 1 ? '删除当前版本' : '删除文件'}
+          >
+            <Trash2 size={16}/>
+          </button>
+        )}
       </div>
     </div>
   );
 };
 
-const SettingsView = ({ userData, onUpdate }) => {
+const VersionHistoryDrawer = ({ artifact, usersMap, onSetCurrent, getRemoveHandler, onClose }) => (
+  <div className="fixed inset-0 z-40 flex justify-end bg-black/30" onClick={onClose}>
+    <div className="w-full max-w-sm h-full bg-white shadow-2xl flex flex-col" onClick={e => e.stopPropagation()}>
+      <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+        <div className="min-w-0">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2"><History size={18} className="text-blue-500"/> 版本历史</h3>
+          <p className="text-xs text-slate-500 truncate mt-0.5">{artifact.current.name}</p>
+        </div>
+        <button onClick={onClose} className="p-1 text-slate-400 hover:text-slate-700"><X size={18}/></button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {[...artifact.versions].reverse().map(v => {
+          const isCurrent = v.id === artifact.current.id;
+          return (
+            <div key={v.id} className={`p-3 rounded-lg border ${isCurrent ? 'border-blue-300 bg-blue-50/50' : 'border-slate-200'}`}>
+              <div className="flex items-center gap-2">
+                <span className="text-xs font-mono font-semibold text-slate-700">v{v.version || 1}</span>
+                {isCurrent && <span className="text-xs bg-blue-600 text-white px-1.5 rounded">当前</span>}
+                <span className="text-sm text-slate-800 truncate flex-1">{v.name}</span>
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                {usersMap[v.addedBy]?.name || '未知用户'} • {v.addedAt ? new Date(v.addedAt).toLocaleString() : '-'}
+                {v.size > 0 && ` • ${formatBytes(v.size)}`}
+              </p>
+              {v.note && <p className="text-xs text-slate-600 mt-1 whitespace-pre-wrap">{v.note}</p>}
+              <div className="flex gap-3 mt-2">
+                <a href={v.url} target="_blank" rel="noreferrer" className="text-xs text-blue-600 hover:underline">下载</a>
+                {!isCurrent && (
+                  <button onClick={() => onSetCurrent(v.id)} className="text-xs text-slate-600 hover:text-blue-600 hover:underline">
+                    设为当前版本
+                  </button>
+                )}
+                {getRemoveHandler?.(v) && (
+                  <button onClick={getRemoveHandler(v)} className="text-xs text-slate-400 hover:text-red-600 hover:underline ml-auto">
+                    删除
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  </div>
+);
+
+const SettingsView = ({ userData, isAnonymous, onUpdate, onLinkAccount, onSendSignInLink }) => {
   const [name, setName] = useState(userData?.name || '');
-  const [role, setRole] = useState(userData?.role || 'GUEST');
 
   useEffect(() => {
     if(userData) {
       setName(userData.name);
-      setRole(userData.role);
     }
   }, [userData]);
 
@@ -954,29 +7014,461 @@ const SettingsView = ({ userData, onUpdate }) => {
 
         <div>
           <label className="block text-sm font-medium text-slate-700 mb-1">角色权限</label>
-          <select 
-            className="w-full border border-slate-300 rounded-lg p-2 bg-white"
-            value={role}
-            onChange={e => setRole(e.target.value)}
-          >
-            {Object.entries(ROLES).map(([key, val]) => (
-              <option key={key} value={key}>{val.label}</option>
-            ))}
-          </select>
+          <span className={`inline-block text-xs px-2 py-1 rounded-full ${ROLES[userData?.role]?.color || 'bg-slate-100'}`}>
+            {ROLES[userData?.role]?.label || '访客'}
+          </span>
           <p className="text-xs text-slate-500 mt-2">
-            * 经理拥有删除项目的权限，其他角色主要负责查看和更新状态。
+            * 角色由产品经理在「权限管理」中分配。经理拥有删除项目和审批的权限，其他角色主要负责提交成果和更新状态。
           </p>
         </div>
 
         <div className="pt-4">
           <button 
-            onClick={() => onUpdate(name, role)}
+            onClick={() => onUpdate(name)}
             className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 rounded-lg transition-colors"
           >
             保存更改
           </button>
         </div>
       </div>
+
+      <div className="border-t border-slate-100 mt-8 pt-6">
+        <h3 className="text-sm font-semibold text-slate-800 mb-1">登录方式</h3>
+        {isAnonymous ? (
+          <>
+            <p className="text-xs text-slate-500 mb-4">
+              当前为访客账号，清除浏览器数据后将无法找回。绑定邮箱后用户 ID 保持不变，已创建的项目和评论仍归属于你。
+            </p>
+            <EmailAuthForm submitLabel="升级为正式账号" onPassword={onLinkAccount} onSendLink={onSendSignInLink} />
+          </>
+        ) : (
+          <p className="text-sm text-slate-600">{auth.currentUser?.email || '已登录'}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const EmailAuthForm = ({ submitLabel, allowRegister = false, onPassword, onSendLink }) => {
+  const [method, setMethod] = useState('password'); // 'password' | 'link'
+  const [isRegister, setIsRegister] = useState(false);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [sentTo, setSentTo] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email) return alert("请输入邮箱");
+    setBusy(true);
+    if (method === 'password') {
+      await onPassword({ email, password, isRegister });
+    } else if (await onSendLink(email)) {
+      setSentTo(email);
+    }
+    setBusy(false);
+  };
+
+  if (sentTo) {
+    return (
+      <div className="text-sm text-slate-600 bg-blue-50 border border-blue-100 rounded-lg p-4">
+        登录链接已发送至 <span className="font-medium">{sentTo}</span>，请在本浏览器中打开邮件里的链接完成登录。
+        <button onClick={() => setSentTo('')} className="block text-blue-600 hover:underline mt-2 text-xs">重新发送</button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="flex bg-slate-100 p-1 rounded-lg text-xs font-medium">
+        {[['password', '邮箱密码'], ['link', '邮件链接']].map(([key, label]) => (
+          <button 
+            key={key}
+            type="button"
+            onClick={() => setMethod(key)}
+            className={`flex-1 py-1.5 rounded-md transition-all ${method === key ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <input 
+        type="email"
+        className="w-full border border-slate-300 rounded-lg p-2 text-sm"
+        placeholder="邮箱"
+        value={email}
+        onChange={e => setEmail(e.target.value)}
+      />
+      {method === 'password' && (
+        <input 
+          type="password"
+          className="w-full border border-slate-300 rounded-lg p-2 text-sm"
+          placeholder={isRegister || !allowRegister ? '设置密码 (至少 6 位)' : '密码'}
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+        />
+      )}
+      <button 
+        type="submit"
+        disabled={busy}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium py-2 rounded-lg transition-colors text-sm"
+      >
+        {busy ? '请稍候...' : method === 'link' ? '发送登录链接' : isRegister ? '注册' : submitLabel}
+      </button>
+      {allowRegister && method === 'password' && (
+        <button type="button" onClick={() => setIsRegister(!isRegister)} className="w-full text-xs text-blue-600 hover:underline">
+          {isRegister ? '已有账号？直接登录' : '没有账号？注册新账号'}
+        </button>
+      )}
+    </form>
+  );
+};
+
+const AuthView = ({ onEmailSignIn, onSendSignInLink, onGuestSignIn }) => (
+  <div className="h-screen flex items-center justify-center bg-slate-50 font-sans">
+    <div className="w-full max-w-sm bg-white p-8 rounded-xl shadow-sm border border-slate-200">
+      <div className="flex items-center gap-3 mb-6">
+        <div className="bg-blue-600 p-2 rounded-lg">
+          <Box className="text-white" size={20} />
+        </div>
+        <div>
+          <h1 className="text-lg font-bold text-slate-800">ReqMaster Pro</h1>
+          <p className="text-xs text-slate-500">登录以同步你的项目</p>
+        </div>
+      </div>
+      <EmailAuthForm 
+        submitLabel="登录" 
+        allowRegister 
+        onPassword={onEmailSignIn} 
+        onSendLink={onSendSignInLink} 
+      />
+      <div className="border-t border-slate-100 mt-6 pt-4 text-center">
+        <button onClick={onGuestSignIn} className="text-sm text-slate-500 hover:text-slate-700">以访客身份继续</button>
+        <p className="text-xs text-slate-400 mt-1">访客数据仅保存在当前浏览器，可稍后在个人设置中升级为正式账号</p>
+      </div>
+    </div>
+  </div>
+);
+
+const AdminView = ({ usersMap, currentUser, onUpdateRole }) => {
+  const members = Object.values(usersMap).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  return (
+    <div className="max-w-3xl mx-auto bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
+      <div className="p-6 border-b border-slate-100">
+        <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2"><Shield size={18} className="text-indigo-500"/> 角色分配</h2>
+        <p className="text-xs text-slate-500 mt-1">角色变更会同步到登录凭证 (custom claims)，成员的权限在几秒内生效。</p>
+      </div>
+      <table className="w-full text-left">
+        <thead className="bg-slate-50 border-b border-slate-200 text-xs uppercase text-slate-500 font-semibold">
+          <tr>
+            <th className="px-6 py-3">成员</th>
+            <th className="px-6 py-3">ID</th>
+            <th className="px-6 py-3">角色</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {members.map(u => (
+            <tr key={u.uid}>
+              <td className="px-6 py-3 flex items-center gap-3">
+                <img src={u.avatar} alt={u.name} className="w-8 h-8 rounded-full bg-slate-100" />
+                <span className="text-sm font-medium text-slate-900">{u.name}</span>
+                {u.uid === currentUser?.uid && <span className="text-xs text-slate-400">(我)</span>}
+              </td>
+              <td className="px-6 py-3 text-xs text-slate-400">{u.uid.substring(0,6)}...</td>
+              <td className="px-6 py-3">
+                <select 
+                  className="border border-slate-300 rounded-lg p-1.5 text-sm bg-white"
+                  value={u.role || 'GUEST'}
+                  onChange={e => onUpdateRole(u.uid, e.target.value)}
+                >
+                  {Object.entries(ROLES).map(([key, val]) => (
+                    <option key={key} value={key}>{val.label}</option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const TrashView = ({ projects, usersMap, retentionDays, onOpen, onRestore, onPurge, onSetRetention }) => {
+  const items = projects
+    .map(p => ({ project: p, ...getPurgeState(p, retentionDays) }))
+    .sort((a, b) => (b.project.deletedAt?.seconds || 0) - (a.project.deletedAt?.seconds || 0));
+  const expiredCount = items.filter(i => i.expired).length;
+
+  const editRetention = () => {
+    const input = prompt('回收站保留天数 (1-365)', retentionDays);
+    if (input === null) return;
+    const days = Number(input);
+    if (!Number.isInteger(days) || days < 1 || days > 365) return alert('请输入 1 到 365 之间的整数');
+    onSetRetention(days);
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
+      <div className="p-6 border-b border-slate-100 flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2"><Trash2 size={18} className="text-slate-500"/> 回收站</h2>
+          <p className="text-xs text-slate-500 mt-1">
+            删除的项目保留 {retentionDays} 天，期间可以恢复；超过保留期后才能彻底删除。
+            {onSetRetention && <button onClick={editRetention} className="ml-1 text-blue-600 hover:underline">修改保留期</button>}
+          </p>
+        </div>
+        {onPurge && expiredCount > 0 && (
+          <button 
+            onClick={() => onPurge(items.map(i => i.project))}
+            className="shrink-0 text-sm text-red-600 border border-red-200 hover:bg-red-50 px-3 py-1.5 rounded-lg"
+          >
+            彻底删除 {expiredCount} 个过期项目
+          </button>
+        )}
+      </div>
+      {items.length === 0 ? (
+        <div className="text-center py-16 text-slate-400 text-sm">回收站是空的</div>
+      ) : (
+        <table className="w-full text-left">
+          <thead className="bg-slate-50 border-b border-slate-200 text-xs uppercase text-slate-500 font-semibold">
+            <tr>
+              <th className="px-6 py-3">项目</th>
+              <th className="px-6 py-3">删除人</th>
+              <th className="px-6 py-3">删除时间</th>
+              <th className="px-6 py-3">可彻底删除</th>
+              <th className="px-6 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {items.map(({ project, purgeAt, expired }) => (
+              <tr key={project.id}>
+                <td className="px-6 py-3">
+                  <button onClick={() => onOpen(project.id)} className="text-sm font-medium text-slate-900 hover:text-blue-600 text-left">{project.title}</button>
+                </td>
+                <td className="px-6 py-3 text-sm text-slate-600">{usersMap[project.deletedBy]?.name || '未知用户'}</td>
+                <td className="px-6 py-3 text-xs text-slate-500">{formatTimestamp(project.deletedAt)}</td>
+                <td className="px-6 py-3 text-xs">
+                  {expired 
+                    ? <span className="text-red-600">已过保留期</span> 
+                    : <span className="text-slate-500">{purgeAt ? new Date(purgeAt).toLocaleDateString() : '-'}</span>}
+                </td>
+                <td className="px-6 py-3">
+                  <div className="flex justify-end gap-3">
+                    <button onClick={() => onRestore(project)} className="text-xs text-blue-600 hover:underline flex items-center gap-1">
+                      <RotateCcw size={12}/> 恢复
+                    </button>
+                    {onPurge && expired && (
+                      <button onClick={() => onPurge([project])} className="text-xs text-red-600 hover:underline">彻底删除</button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// 模板预置内容的一行摘要
+const TemplateSummary = ({ template, usersMap, className = '' }) => {
+  const assignees = Object.entries(template.defaultAssignees || {})
+    .filter(([, uid]) => uid)
+    .map(([role, uid]) => `${ROLES[role]?.label} ${usersMap[uid]?.name || uid.slice(0, 6)}`);
+  const parts = [
+    template.inputSlots?.length && `${template.inputSlots.length} 个输入槽位`,
+    template.outputSpecs?.length && `交付 ${template.outputSpecs.map(o => o.label).join('、')}`,
+    template.requirements?.length && `${template.requirements.length} 个需求项`,
+    assignees.length && `负责人 ${assignees.join('、')}`
+  ].filter(Boolean);
+  return (
+    <p className={`text-xs text-slate-500 ${className}`}>
+      {parts.length ? parts.join(' · ') : '仅预置需求描述'}
+    </p>
+  );
+};
+
+const TemplateManager = ({ templates, usersMap, onSave, onDelete }) => {
+  const [editing, setEditing] = useState(null); // template | 'new' | null
+
+  const handleSubmit = async (data) => {
+    const ok = await onSave(editing === 'new' ? null : editing.id, data);
+    if (ok) setEditing(null);
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto mt-6 bg-white p-8 rounded-xl shadow-sm border border-slate-200">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+          <LayoutTemplate size={20} className="text-indigo-500"/> 项目模板
+        </h2>
+        {!editing && (
+          <button onClick={() => setEditing('new')} className="text-xs bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-lg font-medium">
+            + 新建模板
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-slate-500 mb-6">新建项目时可选择模板，预置描述骨架、必需的输入附件、预期交付格式、需求项和默认负责人。修改模板不影响已创建的项目。</p>
+
+      {editing ? (
+        <TemplateEditor 
+          key={editing === 'new' ? 'new' : editing.id}
+          initial={editing === 'new' ? null : editing} 
+          usersMap={usersMap} 
+          onSubmit={handleSubmit} 
+          onCancel={() => setEditing(null)} 
+        />
+      ) : templates.length > 0 ? (
+        <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+          {templates.map(t => (
+            <div key={t.id} className="p-4 flex items-center gap-4">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-slate-800">{t.name}</p>
+                <TemplateSummary template={t} usersMap={usersMap} className="mt-1" />
+              </div>
+              <button onClick={() => setEditing(t)} className="p-1.5 text-slate-400 hover:text-blue-600" title="编辑"><Pencil size={14}/></button>
+              <button onClick={() => onDelete(t)} className="p-1.5 text-slate-400 hover:text-red-600" title="删除"><Trash2 size={14}/></button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-8 bg-slate-50 rounded-lg border border-dashed border-slate-200 text-slate-400 text-sm">
+          暂无模板
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TemplateEditor = ({ initial, usersMap, onSubmit, onCancel }) => {
+  const [name, setName] = useState(initial?.name || '');
+  const [description, setDescription] = useState(initial?.description || '');
+  const [inputSlots, setInputSlots] = useState(initial?.inputSlots || []);
+  const [outputSpecs, setOutputSpecs] = useState(initial?.outputSpecs || []);
+  const [requirements, setRequirements] = useState(initial?.requirements || []);
+  const [defaultAssignees, setDefaultAssignees] = useState(initial?.defaultAssignees || {});
+  const [editingReq, setEditingReq] = useState(null); // index | 'new' | null
+  const [saving, setSaving] = useState(false);
+
+  const updateAt = (setter, index, patch) => setter(list => list.map((x, i) => (i === index ? { ...x, ...patch } : x)));
+  const removeAt = (setter, index) => setter(list => list.filter((_, i) => i !== index));
+  const saveRequirement = (item) => {
+    setRequirements(list => editingReq === 'new' ? [...list, item] : list.map((r, i) => (i === editingReq ? item : r)));
+    setEditingReq(null);
+  };
+
+  const handleSubmit = async () => {
+    if (!name.trim()) return alert("模板名称不能为空");
+    const slots = inputSlots.map(x => ({ ...x, label: x.label.trim() })).filter(x => x.label);
+    const specs = outputSpecs.map(x => ({ ...x, label: x.label.trim() })).filter(x => x.label);
+    setSaving(true);
+    await onSubmit({ name: name.trim(), description, inputSlots: slots, outputSpecs: specs, requirements, defaultAssignees });
+    setSaving(false);
+  };
+
+  const inputClass = 'flex-1 border border-slate-300 rounded-lg px-2 py-1.5 text-sm';
+  const addButtonClass = 'text-xs text-blue-600 hover:underline';
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">模板名称</label>
+        <input className="w-full border border-slate-300 rounded-lg p-2" value={name} onChange={e => setName(e.target.value)} placeholder="例如：营销活动页面" />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">描述骨架</label>
+        <MarkdownEditor value={description} onChange={setDescription} placeholder="例如：## 背景、## 目标、## 具体要求 等章节标题" rows={6} />
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <label className="text-sm font-medium text-slate-700">输入槽位</label>
+          <button onClick={() => setInputSlots(list => [...list, { id: crypto.randomUUID(), label: '', required: true }])} className={addButtonClass}>+ 添加槽位</button>
+        </div>
+        <div className="space-y-2">
+          {inputSlots.map((slot, i) => (
+            <div key={slot.id} className="flex items-center gap-2">
+              <input className={inputClass} value={slot.label} placeholder="例如：品牌规范、参考图" onChange={e => updateAt(setInputSlots, i, { label: e.target.value })} />
+              <label className="text-xs text-slate-600 flex items-center gap-1">
+                <input type="checkbox" checked={slot.required} onChange={e => updateAt(setInputSlots, i, { required: e.target.checked })} /> 必需
+              </label>
+              <button onClick={() => removeAt(setInputSlots, i)} className="p-1 text-slate-400 hover:text-red-600"><X size={14}/></button>
+            </div>
+          ))}
+          {!inputSlots.length && <p className="text-xs text-slate-400">不限制需求附件</p>}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <label className="text-sm font-medium text-slate-700">预期交付</label>
+          <button onClick={() => setOutputSpecs(list => [...list, { id: crypto.randomUUID(), label: '', format: 'stp', required: true }])} className={addButtonClass}>+ 添加交付项</button>
+        </div>
+        <div className="space-y-2">
+          {outputSpecs.map((spec, i) => (
+            <div key={spec.id} className="flex items-center gap-2">
+              <input className={inputClass} value={spec.label} placeholder="例如：结构件模型、工程图" onChange={e => updateAt(setOutputSpecs, i, { label: e.target.value })} />
+              <select className="border border-slate-300 rounded-lg px-2 py-1.5 text-sm bg-white" value={spec.format} onChange={e => updateAt(setOutputSpecs, i, { format: e.target.value })}>
+                {Object.entries(OUTPUT_SPEC_FORMATS).map(([key, val]) => <option key={key} value={key}>{val.label}</option>)}
+              </select>
+              <label className="text-xs text-slate-600 flex items-center gap-1">
+                <input type="checkbox" checked={spec.required} onChange={e => updateAt(setOutputSpecs, i, { required: e.target.checked })} /> 必需
+              </label>
+              <button onClick={() => removeAt(setOutputSpecs, i)} className="p-1 text-slate-400 hover:text-red-600"><X size={14}/></button>
+            </div>
+          ))}
+          {!outputSpecs.length && <p className="text-xs text-slate-400">不限制交付格式</p>}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <label className="text-sm font-medium text-slate-700">需求项</label>
+          {editingReq === null && <button onClick={() => setEditingReq('new')} className={addButtonClass}>+ 添加需求项</button>}
+        </div>
+        <div className="space-y-2">
+          {requirements.map((r, i) => editingReq === i ? (
+            <RequirementForm key={i} initial={r} onSubmit={saveRequirement} onCancel={() => setEditingReq(null)} />
+          ) : (
+            <div key={i} className="flex items-center gap-2 text-sm p-2 rounded-lg border border-slate-200">
+              <PriorityBadge priority={r.priority} />
+              <span className="flex-1 text-slate-700 truncate">{r.title}</span>
+              {r.criteria?.length > 0 && <span className="text-xs text-slate-400">{r.criteria.length} 条验收标准</span>}
+              <button onClick={() => setEditingReq(i)} className="p-1 text-slate-400 hover:text-blue-600"><Pencil size={12}/></button>
+              <button onClick={() => removeAt(setRequirements, i)} className="p-1 text-slate-400 hover:text-red-600"><X size={14}/></button>
+            </div>
+          ))}
+          {editingReq === 'new' && <RequirementForm onSubmit={saveRequirement} onCancel={() => setEditingReq(null)} />}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-2">默认负责人</label>
+        <div className="grid grid-cols-2 gap-4">
+          {ASSIGNABLE_ROLES.map(role => (
+            <div key={role}>
+              <p className="text-xs text-slate-500 mb-1">{ROLES[role].label}</p>
+              <select 
+                className="w-full border border-slate-300 rounded-lg p-2 text-sm bg-white"
+                value={defaultAssignees[role] || ''}
+                onChange={e => setDefaultAssignees(prev => ({ ...prev, [role]: e.target.value || null }))}
+              >
+                <option value="">不指定</option>
+                {Object.values(usersMap).filter(u => u.role === role).map(u => <option key={u.uid} value={u.uid}>{u.name}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex gap-3 pt-2">
+        <button onClick={handleSubmit} disabled={saving} className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50">保存模板</button>
+        <button onClick={onCancel} className="flex-1 bg-slate-100 text-slate-700 py-2 rounded-lg hover:bg-slate-200 font-medium">取消</button>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,408 @@
+// firestore.rules 的测试，需要 Firestore 模拟器：npm test (firebase emulators:exec 启动模拟器后运行)
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, arrayUnion, collection, deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+const PROJECT_ID = 'demo-rules-test';
+const DATA_PATH = 'artifacts/default-app/public/data';
+const ROLES = ['MANAGER', 'DESIGNER', 'ENGINEER', 'GUEST'];
+const STAFF = ['MANAGER', 'DESIGNER', 'ENGINEER'];
+const DAY = 24 * 60 * 60 * 1000;
+
+let env;
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(() => env.cleanup());
+
+beforeEach(() => env.clearFirestore());
+
+// claims 与 functions 中 syncRoleClaims 写入的一致
+const dbAs = (role, claims = {}) => env.authenticatedContext(`${role.toLowerCase()}-uid`, { role, ...claims }).firestore();
+
+const projectRef = (db, id = 'p1') => doc(db, `${DATA_PATH}/projects/${id}`);
+
+const seedProject = (fields = {}) => env.withSecurityRulesDisabled((context) => setDoc(projectRef(context.firestore()), {
+  title: '测试项目',
+  createdBy: 'manager-uid',
+  status: 'pending',
+  inputs: [],
+  outputs: [],
+  deleted: false,
+  archived: false,
+  ...fields
+}));
+
+const newFile = (role, id = 'f1') => ({ id, artifactId: id, version: 1, name: `${id}.png`, addedBy: `${role.toLowerCase()}-uid` });
+
+describe('创建项目', () => {
+  for (const role of ROLES) {
+    test(`${role} ${STAFF.includes(role) ? '可以' : '不能'}创建项目`, async () => {
+      const db = dbAs(role);
+      const write = setDoc(projectRef(db), {
+        title: '新项目',
+        createdBy: `${role.toLowerCase()}-uid`,
+        status: 'pending',
+        inputs: [],
+        outputs: [],
+        deleted: false,
+        archived: false
+      });
+      await (STAFF.includes(role) ? assertSucceeds(write) : assertFails(write));
+    });
+  }
+
+  test('不能以他人身份或非待处理状态创建', async () => {
+    const db = dbAs('MANAGER');
+    const base = { title: '新项目', createdBy: 'manager-uid', status: 'pending', inputs: [], outputs: [] };
+    await assertFails(setDoc(projectRef(db), { ...base, createdBy: 'someone-else' }));
+    await assertFails(setDoc(projectRef(db), { ...base, status: 'completed' }));
+    await assertFails(setDoc(projectRef(db), { ...base, approvalsComplete: true }));
+  });
+});
+
+describe('状态变更', () => {
+  for (const role of ROLES) {
+    test(`${role} ${STAFF.includes(role) ? '可以' : '不能'}开始处理项目`, async () => {
+      await seedProject();
+      const write = updateDoc(projectRef(dbAs(role)), { status: 'in_progress', statusFrom: 'pending' });
+      await (STAFF.includes(role) ? assertSucceeds(write) : assertFails(write));
+    });
+
+    test(`${role} ${role === 'MANAGER' ? '可以' : '不能'}完成审核通过的项目`, async () => {
+      await seedProject({ status: 'review', outputs: [newFile('DESIGNER')], approvalsComplete: true });
+      const write = updateDoc(projectRef(dbAs(role)), { status: 'completed', statusFrom: 'review' });
+      await (role === 'MANAGER' ? assertSucceeds(write) : assertFails(write));
+    });
+  }
+
+  test('审核未全部通过时不能完成', async () => {
+    await seedProject({ status: 'review', outputs: [newFile('DESIGNER')], approvalsComplete: false });
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), { status: 'completed', statusFrom: 'review' }));
+  });
+
+  test('客户端不能自行标记审核通过', async () => {
+    await seedProject({ status: 'review', outputs: [newFile('DESIGNER')], approvalsComplete: false });
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), { status: 'completed', statusFrom: 'review', approvalsComplete: true }));
+  });
+
+  test('所基于的状态与服务端不一致时拒绝', async () => {
+    await seedProject({ status: 'in_progress' });
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), { status: 'pending', statusFrom: 'review' }));
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), { status: 'pending' }));
+    await assertSucceeds(updateDoc(projectRef(dbAs('MANAGER')), { status: 'pending', statusFrom: 'in_progress' }));
+  });
+});
+
+describe('添加文件', () => {
+  for (const role of ROLES) {
+    test(`${role} ${STAFF.includes(role) ? '可以' : '不能'}添加交付成果`, async () => {
+      await seedProject({ status: 'in_progress' });
+      const write = updateDoc(projectRef(dbAs(role)), { outputs: arrayUnion(newFile(role)), approvalsComplete: false });
+      await (STAFF.includes(role) ? assertSucceeds(write) : assertFails(write));
+    });
+  }
+
+  test('修改交付成果时必须清除审核汇总', async () => {
+    await seedProject({ status: 'in_progress', approvalsComplete: true });
+    await assertFails(updateDoc(projectRef(dbAs('DESIGNER')), { outputs: arrayUnion(newFile('DESIGNER')) }));
+  });
+
+  // 与 handleAddFile 相同的写入：arrayUnion 在服务端合并，同时上传完成的文件互不覆盖
+  test('两个成员同时添加的文件都会保留', async () => {
+    await seedProject({ status: 'in_progress' });
+    const add = (role, id) => updateDoc(projectRef(dbAs(role)), {
+      outputs: arrayUnion(newFile(role, id)),
+      approvalsComplete: false,
+      updatedAt: serverTimestamp()
+    });
+    await Promise.all([assertSucceeds(add('DESIGNER', 'f1')), assertSucceeds(add('ENGINEER', 'f2'))]);
+    let outputs;
+    await env.withSecurityRulesDisabled(async (context) => {
+      outputs = (await getDoc(projectRef(context.firestore()))).data().outputs;
+    });
+    assert.deepEqual(outputs.map(f => f.id).sort(), ['f1', 'f2']);
+  });
+
+  test('不能改写已有文件', async () => {
+    await seedProject({ status: 'in_progress', inputs: [newFile('DESIGNER')] });
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), { inputs: [{ ...newFile('DESIGNER'), name: 'changed.png' }] }));
+  });
+});
+
+describe('描述修订', () => {
+  const revisionRef = (db) => doc(collection(db, `${DATA_PATH}/projects/p1/revisions`));
+  // 与 handleSaveDescription 相同：修订和项目描述在同一批写入中
+  const saveDescription = (role, revision, project = {}) => {
+    const db = dbAs(role);
+    const batch = writeBatch(db);
+    batch.set(revisionRef(db), { number: 3, description: '新描述', authorId: `${role.toLowerCase()}-uid`, createdAt: serverTimestamp(), ...revision });
+    batch.update(projectRef(db), { description: '新描述', descriptionRevision: 3, ...project });
+    return batch.commit();
+  };
+
+  test('修改描述时以本人身份写入下一个修订', async () => {
+    await seedProject({ description: '旧描述', descriptionRevision: 2 });
+    await assertSucceeds(saveDescription('DESIGNER'));
+  });
+
+  test('访客不能写入修订', async () => {
+    await seedProject({ description: '旧描述', descriptionRevision: 2 });
+    await assertFails(saveDescription('GUEST'));
+  });
+
+  test('不能伪造作者、时间、修订号或内容', async () => {
+    await seedProject({ description: '旧描述', descriptionRevision: 2 });
+    await assertFails(saveDescription('DESIGNER', { authorId: 'manager-uid' }));
+    await assertFails(saveDescription('DESIGNER', { createdAt: Timestamp.fromMillis(0) }));
+    await assertFails(saveDescription('DESIGNER', { number: 4 }));
+    await assertFails(saveDescription('DESIGNER', { description: '其他内容' }));
+  });
+
+  test('不能脱离描述修改单独写入修订', async () => {
+    await seedProject({ description: '旧描述', descriptionRevision: 2 });
+    const db = dbAs('DESIGNER');
+    await assertFails(setDoc(revisionRef(db), { number: 2, description: '旧描述', authorId: 'designer-uid', createdAt: serverTimestamp() }));
+    await assertFails(setDoc(revisionRef(db), { number: 3, description: '新描述', authorId: 'designer-uid', createdAt: serverTimestamp() }));
+  });
+
+  test('早于修订功能的项目补记原描述，作者为项目创建者', async () => {
+    const createdAt = Timestamp.fromMillis(Date.now() - DAY);
+    await seedProject({ description: '旧描述', createdAt });
+    const legacy = (revision) => {
+      const db = dbAs('DESIGNER');
+      const batch = writeBatch(db);
+      batch.set(revisionRef(db), { number: 1, description: '旧描述', authorId: 'manager-uid', createdAt, ...revision });
+      batch.set(revisionRef(db), { number: 2, description: '新描述', authorId: 'designer-uid', createdAt: serverTimestamp() });
+      batch.update(projectRef(db), { description: '新描述', descriptionRevision: 2 });
+      return batch.commit();
+    };
+    await assertFails(legacy({ authorId: 'engineer-uid' }));
+    await assertFails(legacy({ description: '伪造的原描述' }));
+    await assertSucceeds(legacy());
+  });
+
+  test('修订不能修改或删除', async () => {
+    await seedProject({ description: '旧描述', descriptionRevision: 2 });
+    const ref = revisionRef(dbAs('DESIGNER'));
+    await env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), ref.path), { number: 2, description: '旧描述', authorId: 'designer-uid' }));
+    await assertFails(updateDoc(ref, { description: '改写' }));
+    await assertFails(deleteDoc(ref));
+  });
+});
+
+describe('审核', () => {
+  const requestedAt = Timestamp.fromMillis(Date.now() - DAY);
+  // 设计师上传的交付成果，项目审核人为工程师
+  const seedReview = (fields = {}) => seedProject({ status: 'review', outputs: [newFile('DESIGNER')], reviewerId: 'engineer-uid', ...fields });
+  const request = (role, reviewers, fields = {}) => updateDoc(projectRef(dbAs(role)), {
+    'reviews.f1': { artifactId: 'f1', version: 1, reviewers, requestedBy: `${role.toLowerCase()}-uid`, requestedAt: serverTimestamp(), ...fields },
+    lastReview: { fileId: 'f1', index: 0 },
+    approvalsComplete: false
+  });
+  const decisionRef = (db) => doc(collection(db, `${DATA_PATH}/projects/p1/review_decisions`));
+  const decision = (role, fields = {}) => ({
+    fileId: 'f1', requestedAt, reviewerId: `${role.toLowerCase()}-uid`, decision: 'approved', comment: '', at: serverTimestamp(), ...fields
+  });
+
+  test('经理或项目审核人可以发起审核', async () => {
+    await seedReview();
+    await assertSucceeds(request('MANAGER', ['engineer-uid']));
+    await assertSucceeds(request('ENGINEER', ['manager-uid']));
+  });
+
+  test('其他成员不能发起审核', async () => {
+    await seedReview({ reviewerId: null });
+    await assertFails(request('ENGINEER', ['manager-uid']));
+    await assertFails(request('DESIGNER', ['manager-uid']));
+  });
+
+  test('发起人和上传者不能担任审核人', async () => {
+    await seedReview();
+    await assertFails(request('MANAGER', ['manager-uid']));
+    await assertFails(request('MANAGER', ['designer-uid']));
+    await assertFails(request('ENGINEER', ['engineer-uid', 'manager-uid']));
+  });
+
+  test('发起时间必须为服务端时间，文件必须是交付成果', async () => {
+    await seedReview();
+    await assertFails(request('MANAGER', ['engineer-uid'], { requestedAt: Timestamp.fromMillis(Date.now()) }));
+    await assertFails(request('MANAGER', ['engineer-uid'], { requestedBy: 'engineer-uid' }));
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), {
+      'reviews.f1': { artifactId: 'f1', version: 1, reviewers: ['engineer-uid'], requestedBy: 'manager-uid', requestedAt: serverTimestamp() },
+      lastReview: { fileId: 'f1', index: 1 },
+      approvalsComplete: false
+    }));
+  });
+
+  test('不能改写已有审核请求的审核人', async () => {
+    await seedReview({ reviews: { f1: { artifactId: 'f1', version: 1, reviewers: ['engineer-uid'], requestedBy: 'manager-uid', requestedAt } } });
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), { 'reviews.f1.reviewers': ['manager-uid'], lastReview: { fileId: 'f1' }, approvalsComplete: false }));
+    await assertFails(updateDoc(projectRef(dbAs('DESIGNER')), { 'reviews.f1.reviewers': ['designer-uid'], lastReview: { fileId: 'f1' }, approvalsComplete: false }));
+  });
+
+  test('只有审核请求中的审核人能以本人身份提交结论', async () => {
+    await seedReview({ reviews: { f1: { artifactId: 'f1', version: 1, reviewers: ['engineer-uid'], requestedBy: 'manager-uid', requestedAt } } });
+    await assertSucceeds(setDoc(decisionRef(dbAs('ENGINEER')), decision('ENGINEER')));
+    await assertFails(setDoc(decisionRef(dbAs('DESIGNER')), decision('DESIGNER')));
+    await assertFails(setDoc(decisionRef(dbAs('DESIGNER')), decision('DESIGNER', { reviewerId: 'engineer-uid' })));
+    await assertFails(setDoc(decisionRef(dbAs('ENGINEER')), decision('ENGINEER', { requestedAt: Timestamp.fromMillis(0) })));
+    await assertFails(setDoc(decisionRef(dbAs('ENGINEER')), decision('ENGINEER', { at: Timestamp.fromMillis(0) })));
+  });
+
+  test('结论不能修改或删除', async () => {
+    await seedReview({ reviews: { f1: { artifactId: 'f1', version: 1, reviewers: ['engineer-uid'], requestedBy: 'manager-uid', requestedAt } } });
+    const ref = decisionRef(dbAs('ENGINEER'));
+    await assertSucceeds(setDoc(ref, decision('ENGINEER')));
+    await assertFails(updateDoc(ref, { decision: 'changes_requested' }));
+    await assertFails(deleteDoc(ref));
+  });
+});
+
+describe('回收站与归档', () => {
+  for (const role of ROLES) {
+    test(`${role} ${role === 'MANAGER' ? '可以' : '不能'}移入回收站和归档`, async () => {
+      await seedProject();
+      const db = dbAs(role);
+      const trash = updateDoc(projectRef(db), { deleted: true, deletedAt: serverTimestamp(), deletedBy: `${role.toLowerCase()}-uid` });
+      await (role === 'MANAGER' ? assertSucceeds(trash) : assertFails(trash));
+      await seedProject();
+      const archive = updateDoc(projectRef(db), { archived: true, archivedAt: serverTimestamp(), archivedBy: `${role.toLowerCase()}-uid` });
+      await (role === 'MANAGER' ? assertSucceeds(archive) : assertFails(archive));
+    });
+  }
+
+  test('回收站中的项目恢复前不能修改', async () => {
+    await seedProject({ deleted: true, deletedAt: Timestamp.now(), deletedBy: 'manager-uid' });
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), { priority: 'high', editVersion: 1 }));
+    await assertFails(updateDoc(projectRef(dbAs('MANAGER')), { deleted: false, title: '改名' }));
+    await assertSucceeds(updateDoc(projectRef(dbAs('MANAGER')), { deleted: false, deletedAt: null, deletedBy: null }));
+  });
+});
+
+describe('彻底删除项目', () => {
+  const trashed = (days) => ({ deleted: true, deletedAt: Timestamp.fromMillis(Date.now() - days * DAY), deletedBy: 'manager-uid' });
+
+  for (const role of ROLES) {
+    test(`${role} 没有 purge 权限时不能彻底删除`, async () => {
+      await seedProject(trashed(31));
+      await assertFails(deleteDoc(projectRef(dbAs(role))));
+    });
+
+    test(`${role} 有 purge 权限时可以删除超过保留期的项目`, async () => {
+      await seedProject(trashed(31));
+      await assertSucceeds(deleteDoc(projectRef(dbAs(role, { purge: true }))));
+    });
+  }
+
+  test('保留期内或不在回收站中的项目不能删除', async () => {
+    const db = dbAs('MANAGER', { purge: true });
+    await seedProject(trashed(5));
+    await assertFails(deleteDoc(projectRef(db)));
+    await seedProject();
+    await assertFails(deleteDoc(projectRef(db)));
+  });
+
+  test('保留期以 settings/trash 为准', async () => {
+    await env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${DATA_PATH}/settings/trash`), { retentionDays: 3 }));
+    await seedProject(trashed(5));
+    await assertSucceeds(deleteDoc(projectRef(dbAs('MANAGER', { purge: true }))));
+  });
+});
+
+describe('图片标注', () => {
+  const annotationRef = (db, id = 'a1') => doc(db, `${DATA_PATH}/projects/p1/annotations/${id}`);
+  const annotation = (role) => ({ fileId: 'f1', authorId: `${role.toLowerCase()}-uid`, shape: 'rect', resolved: false, createdAt: serverTimestamp() });
+  const seedAnnotation = (role) => env.withSecurityRulesDisabled((context) => setDoc(annotationRef(context.firestore()), annotation(role)));
+
+  test('成员只能以本人身份添加标注，访客不能添加', async () => {
+    await seedProject();
+    await assertSucceeds(setDoc(annotationRef(dbAs('DESIGNER')), annotation('DESIGNER')));
+    await assertFails(setDoc(annotationRef(dbAs('ENGINEER'), 'a2'), annotation('DESIGNER')));
+    await assertFails(setDoc(annotationRef(dbAs('GUEST'), 'a3'), annotation('GUEST')));
+  });
+
+  test('其他成员只能标记解决，作者可以修改和删除', async () => {
+    await seedProject();
+    await seedAnnotation('DESIGNER');
+    await assertFails(updateDoc(annotationRef(dbAs('ENGINEER')), { shape: 'arrow' }));
+    await assertFails(updateDoc(annotationRef(dbAs('ENGINEER')), { authorId: 'engineer-uid' }));
+    await assertFails(deleteDoc(annotationRef(dbAs('ENGINEER'))));
+    await assertSucceeds(updateDoc(annotationRef(dbAs('ENGINEER')), { resolved: true, resolvedBy: 'engineer-uid', resolvedAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(annotationRef(dbAs('DESIGNER')), { shape: 'arrow' }));
+    await assertSucceeds(deleteDoc(annotationRef(dbAs('DESIGNER'))));
+  });
+});
+
+describe('团队设置', () => {
+  const settingRef = (db, id) => doc(db, `${DATA_PATH}/settings/${id}`);
+
+  test('只有经理能修改看板设置', async () => {
+    await assertFails(setDoc(settingRef(dbAs('DESIGNER'), 'board'), { wipLimits: { review: 3 } }));
+    await assertSucceeds(setDoc(settingRef(dbAs('MANAGER'), 'board'), { wipLimits: { review: 3 } }));
+  });
+
+  test('回收站保留期只能由有 purge 权限的用户修改', async () => {
+    await assertFails(setDoc(settingRef(dbAs('MANAGER'), 'trash'), { retentionDays: 1 }));
+    await assertSucceeds(setDoc(settingRef(dbAs('ENGINEER', { purge: true }), 'trash'), { retentionDays: 1 }));
+  });
+});
+
+describe('用户资料', () => {
+  const userRef = (db, uid) => doc(db, `${DATA_PATH}/users/${uid}`);
+  const profile = (uid, fields = {}) => ({ uid, name: uid, role: 'GUEST', avatar: '', ...fields });
+  const seedUser = (uid, fields) => env.withSecurityRulesDisabled((context) => setDoc(userRef(context.firestore(), uid), profile(uid, fields)));
+
+  test('只能以访客身份创建自己的资料，不能写入邮箱或 purge 权限', async () => {
+    const db = dbAs('GUEST');
+    await assertFails(setDoc(userRef(db, 'guest-uid'), profile('guest-uid', { role: 'MANAGER' })));
+    await assertFails(setDoc(userRef(db, 'guest-uid'), profile('guest-uid', { email: 'guest@example.com' })));
+    await assertFails(setDoc(userRef(db, 'guest-uid'), profile('guest-uid', { canPurge: true })));
+    await assertFails(setDoc(userRef(db, 'other-uid'), profile('other-uid')));
+    await assertSucceeds(setDoc(userRef(db, 'guest-uid'), profile('guest-uid')));
+  });
+
+  test('本人可以修改名称，不能写入邮箱或修改角色', async () => {
+    await seedUser('designer-uid', { role: 'DESIGNER' });
+    const db = dbAs('DESIGNER');
+    await assertSucceeds(updateDoc(userRef(db, 'designer-uid'), { name: '新名字' }));
+    await assertFails(updateDoc(userRef(db, 'designer-uid'), { email: 'designer@example.com' }));
+    await assertFails(updateDoc(userRef(db, 'designer-uid'), { role: 'MANAGER' }));
+    await assertFails(updateDoc(userRef(db, 'designer-uid'), { canPurge: true }));
+  });
+
+  test('只有经理能修改他人角色', async () => {
+    await seedUser('designer-uid', { role: 'DESIGNER' });
+    await assertFails(updateDoc(userRef(dbAs('ENGINEER'), 'designer-uid'), { role: 'MANAGER' }));
+    await assertFails(updateDoc(userRef(dbAs('MANAGER'), 'designer-uid'), { role: 'ENGINEER', name: '改名' }));
+    await assertSucceeds(updateDoc(userRef(dbAs('MANAGER'), 'designer-uid'), { role: 'ENGINEER' }));
+  });
+});
+
+describe('动态', () => {
+  // 每次写入新文档：动态只允许创建
+  const logRef = (db) => doc(collection(db, `${DATA_PATH}/activity_logs`));
+  const log = (role, fields) => ({ actorId: `${role.toLowerCase()}-uid`, projectId: 'p1', projectTitle: '测试项目', details: {}, createdAt: serverTimestamp(), ...fields });
+
+  test('只能为所持角色允许的操作、已存在的项目记录动态', async () => {
+    await seedProject();
+    await assertSucceeds(setDoc(logRef(dbAs('DESIGNER')), log('DESIGNER', { type: 'file_add' })));
+    await assertFails(setDoc(logRef(dbAs('GUEST')), log('GUEST', { type: 'file_add' })));
+    await assertFails(setDoc(logRef(dbAs('DESIGNER')), log('DESIGNER', { type: 'project_trash' })));
+    await assertFails(setDoc(logRef(dbAs('DESIGNER')), log('DESIGNER', { type: 'file_add', projectId: 'missing' })));
+    await assertFails(setDoc(logRef(dbAs('DESIGNER')), log('DESIGNER', { type: 'unknown' })));
+  });
+
+  test('不能冒名或伪造时间', async () => {
+    await seedProject();
+    await assertFails(setDoc(logRef(dbAs('DESIGNER')), log('DESIGNER', { type: 'file_add', actorId: 'manager-uid' })));
+    await assertFails(setDoc(logRef(dbAs('DESIGNER')), log('DESIGNER', { type: 'file_add', createdAt: Timestamp.fromMillis(0) })));
+  });
+});